@@ -19,6 +19,23 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Obtener los cursos del usuario con su avance
+router.get('/mis-cursos', async (req, res) => {
+  try {
+    const response = await axios.get(`${COURSES_SERVICE_URL}/api/v1/me/courses`, {
+      params: req.query,
+      headers: { Authorization: req.headers.authorization }
+    });
+    res.json(response.data);
+  } catch (error) {
+    console.error('Error al obtener los cursos del usuario:', error);
+    res.status(error.response?.status || 500).json({
+      mensaje: 'Error al obtener tus cursos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Obtener un curso específico por ID
 router.get('/:id', async (req, res) => {
   try {
@@ -99,18 +116,18 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Inscribir usuario a un curso
+// Inscribir usuario a un curso (los cursos de pago se inscriben al completarse el pago)
 router.post('/:id/inscripcion', async (req, res) => {
   try {
     const { id } = req.params;
-    const usuarioId = req.usuario.id; // Obtenido del token JWT
 
-    const response = await axios.post(`${COURSES_SERVICE_URL}/cursos/${id}/inscripcion`, {
-      usuarioId,
-      ...req.body
-    });
+    const response = await axios.post(
+      `${COURSES_SERVICE_URL}/api/v1/courses/${id}/enroll`,
+      req.body,
+      { headers: { Authorization: req.headers.authorization } }
+    );
 
-    res.status(201).json(response.data);
+    res.status(response.status).json(response.data);
   } catch (error) {
     console.error(`Error al inscribir en curso ${req.params.id}:`, error);
     res.status(error.response?.status || 500).json({
@@ -124,9 +141,10 @@ router.post('/:id/inscripcion', async (req, res) => {
 router.get('/:id/progreso', async (req, res) => {
   try {
     const { id } = req.params;
-    const usuarioId = req.usuario.id;
 
-    const response = await axios.get(`${COURSES_SERVICE_URL}/cursos/${id}/progreso/${usuarioId}`);
+    const response = await axios.get(`${COURSES_SERVICE_URL}/api/v1/courses/${id}/progress`, {
+      headers: { Authorization: req.headers.authorization }
+    });
     res.json(response.data);
   } catch (error) {
     console.error(`Error al obtener progreso del curso ${req.params.id}:`, error);
@@ -0,0 +1,155 @@
+const asyncHandler = require('express-async-handler');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Certificate = require('../models/Certificate');
+const ApiError = require('../utils/ApiError');
+const { renderCertificate, verificationUrl } = require('../utils/certificatePdf');
+
+// Obtener un certificado del usuario (o cualquiera si es admin)
+const findOwnCertificate = async (req) => {
+  const certificate = await Certificate.findOne({ code: req.params.code.toUpperCase() });
+
+  if (!certificate || (certificate.user !== req.usuario.id && req.usuario.role !== 'admin')) {
+    throw new ApiError('Certificado no encontrado', 404);
+  }
+
+  return certificate;
+};
+
+// @desc    Emitir el certificado de un curso terminado
+// @route   POST /api/v1/courses/:id/certificate
+// @access  Private
+exports.issueCertificate = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    throw new ApiError('Curso no encontrado', 404);
+  }
+
+  if (!course.certificates.enabled) {
+    throw new ApiError('Este curso no otorga certificado', 400);
+  }
+
+  const enrollment = await Enrollment.findActive(req.usuario.id, course._id);
+
+  if (!enrollment) {
+    throw new ApiError('No estás inscrito en este curso', 404);
+  }
+
+  const existing = await Certificate.findOne({ user: req.usuario.id, course: course._id });
+
+  if (existing && existing.status === 'valid') {
+    return res.status(200).json({
+      status: 'success',
+      data: existing
+    });
+  }
+
+  if (enrollment.status !== 'completed') {
+    throw new ApiError('Debes completar todas las lecciones para obtener el certificado', 400);
+  }
+
+  // Un certificado revocado por reembolso se restablece al volver a inscribirse
+  if (existing) {
+    existing.status = 'valid';
+    existing.revokedAt = undefined;
+    existing.enrollment = enrollment._id;
+    await existing.save();
+
+    return res.status(200).json({
+      status: 'success',
+      data: existing
+    });
+  }
+
+  const studentName = (req.body.studentName || '').trim();
+
+  if (!studentName) {
+    throw new ApiError('El nombre para el certificado es requerido', 400);
+  }
+
+  const issuedAt = new Date();
+  const values = {
+    studentName,
+    courseTitle: course.title,
+    hours: course.duration,
+    instructor: course.instructor.name,
+    date: issuedAt.toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City' })
+  };
+
+  const certificate = await Certificate.create({
+    user: req.usuario.id,
+    course: course._id,
+    enrollment: enrollment._id,
+    studentName,
+    courseTitle: course.title,
+    instructorName: course.instructor.name,
+    hours: course.duration,
+    text: Certificate.renderTemplate(course.certificates.template, values),
+    issuedAt
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: certificate
+  });
+});
+
+// @desc    Obtener los certificados del usuario
+// @route   GET /api/v1/me/certificates
+// @access  Private
+exports.getMyCertificates = asyncHandler(async (req, res) => {
+  const certificates = await Certificate.find({ user: req.usuario.id })
+    .sort({ issuedAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: certificates.length,
+    data: certificates
+  });
+});
+
+// @desc    Descargar el certificado en PDF
+// @route   GET /api/v1/certificates/:code/pdf
+// @access  Private
+exports.downloadCertificate = asyncHandler(async (req, res) => {
+  const certificate = await findOwnCertificate(req);
+
+  if (certificate.status !== 'valid') {
+    throw new ApiError('El certificado fue revocado', 410);
+  }
+
+  const pdf = await renderCertificate(certificate);
+
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="certificado-${certificate.code}.pdf"`);
+  res.send(pdf);
+});
+
+// @desc    Verificar la autenticidad de un certificado. El nombre del
+//          estudiante sólo se incluye si fue verificado
+// @route   GET /api/v1/certificates/:code/verify
+// @access  Public
+exports.verifyCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findOne({ code: req.params.code.toUpperCase() });
+
+  if (!certificate) {
+    throw new ApiError('Certificado no encontrado', 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code: certificate.code,
+      valid: certificate.status === 'valid',
+      status: certificate.status,
+      studentName: certificate.studentNameVerified ? certificate.studentName : undefined,
+      studentNameVerified: certificate.studentNameVerified,
+      courseTitle: certificate.courseTitle,
+      instructorName: certificate.instructorName,
+      hours: certificate.hours,
+      issuedAt: certificate.issuedAt,
+      verificationUrl: verificationUrl(certificate.code)
+    }
+  });
+});
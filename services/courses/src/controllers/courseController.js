@@ -2,6 +2,8 @@ const asyncHandler = require('express-async-handler');
 const Course = require('../models/Course');
 const ApiError = require('../utils/ApiError');
 const { getPagination } = require('../utils/pagination');
+const { hasContentAccess } = require('../utils/courseAccess');
+const { signVideoUrl } = require('../utils/signedUrl');
 
 // @desc    Obtener todos los cursos
 // @route   GET /api/v1/courses
@@ -65,12 +67,13 @@ exports.getCourses = asyncHandler(async (req, res) => {
 // @route   GET /api/v1/courses/:id
 // @access  Public
 exports.getCourse = asyncHandler(async (req, res) => {
+  // El video y los recursos sólo se entregan por /lessons
   const course = await Course.findOne({
     $or: [
       { _id: req.params.id },
       { slug: req.params.id }
     ]
-  });
+  }).select('-lessons.videoUrl -lessons.resources');
 
   if (!course) {
     throw new ApiError('Curso no encontrado', 404);
@@ -133,20 +136,51 @@ exports.deleteCourse = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Obtener lecciones de un curso
+// @desc    Obtener lecciones de un curso. Los inscritos, el instructor y los
+//          administradores reciben todas con URL de video firmada; los demás
+//          sólo las de muestra y el resto aparece bloqueado
 // @route   GET /api/v1/courses/:id/lessons
 // @access  Private
 exports.getCourseLessons = asyncHandler(async (req, res) => {
   const course = await Course.findById(req.params.id)
-    .select('lessons');
+    .select('lessons instructor status');
 
   if (!course) {
     throw new ApiError('Curso no encontrado', 404);
   }
 
+  const fullAccess = await hasContentAccess(course, req.usuario);
+
+  if (course.status !== 'published' && !fullAccess) {
+    throw new ApiError('Curso no encontrado', 404);
+  }
+
+  const lessons = [...course.lessons]
+    .sort((a, b) => a.order - b.order)
+    .map(lesson => {
+      const { videoUrl, resources, ...data } = lesson.toObject();
+
+      if (!fullAccess && !lesson.isPreview) {
+        return { ...data, locked: true };
+      }
+
+      if (!videoUrl) {
+        return { ...data, resources, locked: false };
+      }
+
+      const video = signVideoUrl(videoUrl);
+      return {
+        ...data,
+        resources,
+        locked: false,
+        videoUrl: video.url,
+        videoUrlExpiresAt: video.expiresAt
+      };
+    });
+
   res.status(200).json({
     status: 'success',
-    data: course.lessons
+    data: lessons
   });
 });
 
@@ -212,29 +246,3 @@ exports.deleteLesson = asyncHandler(async (req, res) => {
     data: null
   });
 });
-
-// @desc    Actualizar calificación de un curso
-// @route   POST /api/v1/courses/:id/rating
-// @access  Private
-exports.rateCourse = asyncHandler(async (req, res) => {
-  const { rating } = req.body;
-
-  if (!rating || rating < 1 || rating > 5) {
-    throw new ApiError('La calificación debe estar entre 1 y 5', 400);
-  }
-
-  const course = await Course.findById(req.params.id);
-
-  if (!course) {
-    throw new ApiError('Curso no encontrado', 404);
-  }
-
-  await course.updateRating(rating);
-
-  res.status(200).json({
-    status: 'success',
-    data: {
-      rating: course.rating
-    }
-  });
-});
@@ -0,0 +1,236 @@
+const asyncHandler = require('express-async-handler');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Certificate = require('../models/Certificate');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const { getPagination } = require('../utils/pagination');
+const { verifySignature } = require('../utils/paymentEvents');
+
+// Obtener el curso y la inscripción vigente del usuario
+const findEnrollment = async (req) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    throw new ApiError('Curso no encontrado', 404);
+  }
+
+  const enrollment = await Enrollment.findActive(req.usuario.id, course._id);
+
+  if (!enrollment) {
+    throw new ApiError('No estás inscrito en este curso', 404);
+  }
+
+  return { course, enrollment };
+};
+
+// Obtener una lección del curso
+const findLesson = (course, lessonId) => {
+  const lesson = course.lessons.id(lessonId);
+
+  if (!lesson) {
+    throw new ApiError('Lección no encontrada', 404);
+  }
+
+  return lesson;
+};
+
+// Resumen del avance de una inscripción
+const progressSummary = (course, enrollment) => ({
+  course: course._id,
+  status: enrollment.status,
+  enrolledAt: enrollment.enrolledAt,
+  completedAt: enrollment.completedAt,
+  progress: enrollment.progress,
+  completedLessons: enrollment.lessons.filter(item => item.completed && course.lessons.id(item.lesson)).length,
+  totalLessons: course.lessons.length,
+  lessons: enrollment.lessons,
+  resume: enrollment.resumePoint(course)
+});
+
+// @desc    Inscribirse en un curso
+// @route   POST /api/v1/courses/:id/enroll
+// @access  Private
+exports.enrollCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course || course.status !== 'published') {
+    throw new ApiError('Curso no encontrado', 404);
+  }
+
+  // Un administrador puede inscribir a otro usuario sin pago
+  const isAdmin = req.usuario.role === 'admin';
+  const userId = isAdmin && req.body.userId ? req.body.userId : req.usuario.id;
+
+  let source;
+  if (isAdmin) {
+    source = { type: 'admin' };
+  } else if (course.price === 0) {
+    source = { type: 'free' };
+  } else {
+    const enrollment = await Enrollment.findActive(userId, course._id);
+
+    if (!enrollment) {
+      throw new ApiError(
+        'Este curso requiere pago. La inscripción se registra al completarse el pago',
+        402
+      );
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: enrollment
+    });
+  }
+
+  const { enrollment, created } = await Enrollment.enroll(userId, course, source);
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    data: enrollment
+  });
+});
+
+// @desc    Obtener los cursos del usuario con su avance
+// @route   GET /api/v1/me/courses
+// @access  Private
+exports.getMyCourses = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  const query = {
+    user: req.usuario.id,
+    status: req.query.status || { $in: ['active', 'completed'] }
+  };
+
+  const enrollments = await Enrollment.find(query)
+    .sort({ lastAccessedAt: -1, enrolledAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('-lessons')
+    .populate('course', 'title slug thumbnail instructor level duration');
+
+  const total = await Enrollment.countDocuments(query);
+
+  res.status(200).json({
+    status: 'success',
+    results: enrollments.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: enrollments
+  });
+});
+
+// @desc    Obtener el avance del usuario en un curso y el punto para retomarlo
+// @route   GET /api/v1/courses/:id/progress
+// @access  Private
+exports.getProgress = asyncHandler(async (req, res) => {
+  const { course, enrollment } = await findEnrollment(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: progressSummary(course, enrollment)
+  });
+});
+
+// @desc    Marcar una lección como completada
+// @route   POST /api/v1/courses/:id/lessons/:lessonId/complete
+// @access  Private
+exports.completeLesson = asyncHandler(async (req, res) => {
+  const { course, enrollment } = await findEnrollment(req);
+  const lesson = findLesson(course, req.params.lessonId);
+
+  if (lesson.type === 'quiz') {
+    throw new ApiError('Una evaluación se completa al aprobarla', 400);
+  }
+
+  enrollment.completeLesson(course, lesson._id);
+  await enrollment.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: progressSummary(course, enrollment)
+  });
+});
+
+// @desc    Guardar la posición del video de una lección
+// @route   PUT /api/v1/courses/:id/lessons/:lessonId/position
+// @access  Private
+exports.saveLessonPosition = asyncHandler(async (req, res) => {
+  const position = Number(req.body.position);
+
+  if (!Number.isFinite(position) || position < 0) {
+    throw new ApiError('La posición debe ser un número de segundos mayor o igual a 0', 400);
+  }
+
+  const { course, enrollment } = await findEnrollment(req);
+  const lesson = findLesson(course, req.params.lessonId);
+
+  enrollment.savePosition(lesson._id, Math.floor(position));
+  await enrollment.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lessonId: lesson._id,
+      position: enrollment.lessonProgress(lesson._id).position
+    }
+  });
+});
+
+// @desc    Recibir eventos del servicio de pagos (inscripción y reembolso)
+// @route   POST /api/v1/payment-events
+// @access  Public (firma X-Eqhuma-Signature)
+exports.handlePaymentEvent = asyncHandler(async (req, res) => {
+  const valid = verifySignature(
+    req.headers['x-eqhuma-signature'],
+    req.rawBody,
+    process.env.PAYMENT_EVENTS_SECRET
+  );
+
+  if (!valid) {
+    throw new ApiError('Firma del evento inválida', 401);
+  }
+
+  const { type, data } = req.body;
+
+  if (!data || data.type !== 'course') {
+    return res.status(200).json({ received: true });
+  }
+
+  if (type === 'payment.completed') {
+    const course = await Course.findById(data.itemId);
+
+    if (!course) {
+      // Un curso inexistente no se resuelve reintentando la entrega
+      logger.warn(`Pago ${data.paymentId} para el curso inexistente ${data.itemId}`);
+      return res.status(200).json({ received: true });
+    }
+
+    const { created } = await Enrollment.enroll(data.userId, course, {
+      type: 'payment',
+      paymentId: data.paymentId
+    });
+
+    if (created) {
+      logger.info(`Usuario ${data.userId} inscrito en ${course._id} por el pago ${data.paymentId}`);
+    }
+  } else if (type === 'payment.refunded' && data.refundedAmount >= data.amount) {
+    // Sólo el reembolso total retira el acceso
+    const enrollment = await Enrollment.findOne({ 'source.paymentId': data.paymentId });
+
+    if (enrollment) {
+      await enrollment.revoke('refunded');
+      await Certificate.updateMany(
+        { enrollment: enrollment._id, status: 'valid' },
+        { status: 'revoked', revokedAt: new Date() }
+      );
+      logger.info(`Inscripción ${enrollment._id} retirada por el reembolso del pago ${data.paymentId}`);
+    }
+  }
+
+  res.status(200).json({ received: true });
+});
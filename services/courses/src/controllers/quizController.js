@@ -0,0 +1,454 @@
+const asyncHandler = require('express-async-handler');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const QuizQuestion = require('../models/QuizQuestion');
+const QuizAttempt = require('../models/QuizAttempt');
+const ApiError = require('../utils/ApiError');
+const { getPagination } = require('../utils/pagination');
+const { isCourseInstructor } = require('../utils/courseAccess');
+
+const QUESTION_FIELDS = [
+  'type',
+  'prompt',
+  'options',
+  'correctAnswer',
+  'acceptedAnswers',
+  'points',
+  'explanation',
+  'active'
+];
+
+// Copiar los campos editables de una pregunta
+const pickQuestionFields = body => QUESTION_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// Mezclar un arreglo (Fisher-Yates) sin modificar el original
+const shuffle = items => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Obtener el curso y una lección de evaluación
+const findQuiz = async (req) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    throw new ApiError('Curso no encontrado', 404);
+  }
+
+  const lesson = req.params.lessonId ? course.lessons.id(req.params.lessonId) : null;
+
+  if (req.params.lessonId && (!lesson || lesson.type !== 'quiz')) {
+    throw new ApiError('Evaluación no encontrada', 404);
+  }
+
+  return { course, lesson };
+};
+
+// Curso y evaluación que el usuario administra (admin o instructor del curso)
+const findManagedQuiz = async (req) => {
+  const { course, lesson } = await findQuiz(req);
+
+  if (req.usuario.role !== 'admin' && !isCourseInstructor(course, req.usuario)) {
+    throw new ApiError('No tienes permiso para administrar este curso', 403);
+  }
+
+  return { course, lesson };
+};
+
+// Inscripción vigente del usuario o 404
+const findEnrollment = async (req, course) => {
+  const enrollment = await Enrollment.findActive(req.usuario.id, course._id);
+
+  if (!enrollment) {
+    throw new ApiError('No estás inscrito en este curso', 404);
+  }
+
+  return enrollment;
+};
+
+// Calificaciones por evaluación a partir de los intentos de una inscripción
+const buildGradebook = (course, attempts) => course.lessons
+  .filter(lesson => lesson.type === 'quiz')
+  .sort((a, b) => a.order - b.order)
+  .map(lesson => {
+    const lessonAttempts = attempts.filter(attempt => attempt.lesson.equals(lesson._id));
+    const submitted = lessonAttempts.filter(attempt => attempt.status === 'submitted');
+    const { maxAttempts, passingScore } = lesson.quiz;
+
+    return {
+      lessonId: lesson._id,
+      title: lesson.title,
+      passingScore,
+      maxAttempts,
+      attempts: submitted.length,
+      attemptsRemaining: maxAttempts ? Math.max(maxAttempts - lessonAttempts.length, 0) : null,
+      bestScore: submitted.length > 0 ? Math.max(...submitted.map(attempt => attempt.score)) : null,
+      passed: submitted.some(attempt => attempt.passed),
+      lastSubmittedAt: submitted.length > 0
+        ? new Date(Math.max(...submitted.map(attempt => attempt.submittedAt)))
+        : null
+    };
+  });
+
+// @desc    Iniciar un intento de evaluación (o retomar el que está en curso)
+// @route   POST /api/v1/courses/:id/lessons/:lessonId/quiz/attempts
+// @access  Private
+exports.startAttempt = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findQuiz(req);
+  const enrollment = await findEnrollment(req, course);
+
+  const inProgress = await QuizAttempt.findOne({
+    enrollment: enrollment._id,
+    lesson: lesson._id,
+    status: 'in_progress'
+  });
+
+  if (inProgress) {
+    return res.status(200).json({
+      status: 'success',
+      data: inProgress.toStudentView()
+    });
+  }
+
+  const used = await QuizAttempt.countDocuments({ enrollment: enrollment._id, lesson: lesson._id });
+  const { maxAttempts, questionsPerAttempt } = lesson.quiz;
+
+  if (maxAttempts && used >= maxAttempts) {
+    throw new ApiError(`Ya usaste los ${maxAttempts} intentos de esta evaluación`, 400);
+  }
+
+  const bank = await QuizQuestion.find({ course: course._id, lesson: lesson._id, active: true });
+
+  if (bank.length === 0) {
+    throw new ApiError('La evaluación todavía no tiene preguntas', 400);
+  }
+
+  // Sorteo de preguntas del banco y de sus opciones
+  const questions = shuffle(bank).slice(0, questionsPerAttempt || bank.length);
+
+  let attempt;
+  try {
+    attempt = await QuizAttempt.create({
+      user: req.usuario.id,
+      enrollment: enrollment._id,
+      course: course._id,
+      lesson: lesson._id,
+      number: used + 1,
+      questions: questions.map(question => ({
+        question: question._id,
+        type: question.type,
+        prompt: question.prompt,
+        options: shuffle(question.options).map(option => ({ _id: option._id, text: option.text })),
+        points: question.points
+      }))
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError('Ya hay un intento en curso para esta evaluación', 409);
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: attempt.toStudentView()
+  });
+});
+
+// @desc    Enviar las respuestas de un intento y calificarlo
+// @route   POST /api/v1/courses/:id/lessons/:lessonId/quiz/attempts/:attemptId/submit
+// @access  Private
+exports.submitAttempt = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findQuiz(req);
+  const enrollment = await findEnrollment(req, course);
+
+  const filter = {
+    _id: req.params.attemptId,
+    enrollment: enrollment._id,
+    lesson: lesson._id
+  };
+
+  // Reclamar el intento antes de calificarlo: de dos envíos simultáneos sólo
+  // uno lo encuentra en curso
+  const attempt = await QuizAttempt.findOneAndUpdate(
+    { ...filter, status: 'in_progress' },
+    { status: 'submitted', submittedAt: new Date() },
+    { new: true }
+  );
+
+  if (!attempt) {
+    if (!(await QuizAttempt.exists(filter))) {
+      throw new ApiError('Intento no encontrado', 404);
+    }
+    throw new ApiError('Este intento ya fue enviado', 400);
+  }
+
+  const answers = new Map(
+    (Array.isArray(req.body.answers) ? req.body.answers : [])
+      .filter(item => item && item.question)
+      .map(item => [String(item.question), item.answer])
+  );
+
+  try {
+    const bank = await QuizQuestion.find({ _id: { $in: attempt.questions.map(item => item.question) } });
+    const questions = new Map(bank.map(question => [String(question._id), question]));
+
+    let total = 0;
+    let earned = 0;
+    attempt.questions.forEach(item => {
+      const question = questions.get(String(item.question));
+      const answer = answers.get(String(item.question));
+
+      item.answer = answer === undefined ? null : answer;
+
+      // Una pregunta eliminada después de iniciar el intento no cuenta
+      if (!question) {
+        item.correct = undefined;
+        item.pointsAwarded = 0;
+        return;
+      }
+
+      item.correct = question.grade(answer);
+      item.pointsAwarded = item.correct ? item.points : 0;
+      total += item.points;
+      earned += item.pointsAwarded;
+    });
+
+    attempt.score = total > 0 ? Math.round(earned / total * 100) : 0;
+    attempt.passed = attempt.score >= lesson.quiz.passingScore;
+    await attempt.save();
+  } catch (error) {
+    // Si no se pudo calificar, el intento vuelve a quedar en curso
+    await QuizAttempt.updateOne(
+      { _id: attempt._id, score: { $exists: false } },
+      { status: 'in_progress', $unset: { submittedAt: 1 } }
+    );
+    throw error;
+  }
+
+  if (attempt.passed) {
+    enrollment.completeLesson(course, lesson._id);
+    await enrollment.save();
+  }
+
+  const { maxAttempts, passingScore } = lesson.quiz;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      attemptId: attempt._id,
+      number: attempt.number,
+      score: attempt.score,
+      passingScore,
+      passed: attempt.passed,
+      attemptsRemaining: maxAttempts ? Math.max(maxAttempts - attempt.number, 0) : null,
+      progress: enrollment.progress,
+      questions: attempt.questions.map(item => ({
+        question: item.question,
+        correct: item.correct,
+        pointsAwarded: item.pointsAwarded,
+        points: item.points,
+        explanation: questions.get(String(item.question))?.explanation
+      }))
+    }
+  });
+});
+
+// @desc    Obtener las calificaciones del usuario en un curso
+// @route   GET /api/v1/courses/:id/gradebook
+// @access  Private
+exports.getGradebook = asyncHandler(async (req, res) => {
+  const { course } = await findQuiz(req);
+  const enrollment = await findEnrollment(req, course);
+  const attempts = await QuizAttempt.find({ enrollment: enrollment._id });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      progress: enrollment.progress,
+      quizzes: buildGradebook(course, attempts)
+    }
+  });
+});
+
+// @desc    Obtener las calificaciones de todos los inscritos en un curso
+// @route   GET /api/v1/courses/:id/gradebooks
+// @access  Private/Instructor
+exports.getCourseGradebooks = asyncHandler(async (req, res) => {
+  const { course } = await findManagedQuiz(req);
+  const { page, limit, skip } = getPagination(req.query);
+
+  const query = { course: course._id, status: { $in: ['active', 'completed'] } };
+  const enrollments = await Enrollment.find(query)
+    .sort({ enrolledAt: 1 })
+    .skip(skip)
+    .limit(limit)
+    .select('user status progress enrolledAt');
+
+  const total = await Enrollment.countDocuments(query);
+  const attempts = await QuizAttempt.find({
+    enrollment: { $in: enrollments.map(enrollment => enrollment._id) }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: enrollments.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: enrollments.map(enrollment => ({
+      user: enrollment.user,
+      status: enrollment.status,
+      progress: enrollment.progress,
+      quizzes: buildGradebook(
+        course,
+        attempts.filter(attempt => attempt.enrollment.equals(enrollment._id))
+      )
+    }))
+  });
+});
+
+// @desc    Obtener los resultados de una evaluación por estudiante
+// @route   GET /api/v1/courses/:id/lessons/:lessonId/quiz/results
+// @access  Private/Instructor
+exports.getQuizResults = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findManagedQuiz(req);
+
+  const attempts = await QuizAttempt.find({
+    course: course._id,
+    lesson: lesson._id,
+    status: 'submitted'
+  }).sort({ submittedAt: 1 });
+
+  const byUser = attempts.reduce((acc, attempt) => {
+    acc[attempt.user] = acc[attempt.user] || [];
+    acc[attempt.user].push(attempt);
+    return acc;
+  }, {});
+
+  const students = Object.entries(byUser).map(([user, userAttempts]) => ({
+    user,
+    attempts: userAttempts.map(attempt => ({
+      attemptId: attempt._id,
+      number: attempt.number,
+      score: attempt.score,
+      passed: attempt.passed,
+      submittedAt: attempt.submittedAt
+    })),
+    bestScore: Math.max(...userAttempts.map(attempt => attempt.score)),
+    passed: userAttempts.some(attempt => attempt.passed)
+  }));
+
+  const passedCount = students.filter(student => student.passed).length;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lessonId: lesson._id,
+      title: lesson.title,
+      passingScore: lesson.quiz.passingScore,
+      summary: {
+        students: students.length,
+        attempts: attempts.length,
+        passRate: students.length > 0 ? Math.round(passedCount / students.length * 100) : 0,
+        averageBestScore: students.length > 0
+          ? Math.round(students.reduce((sum, student) => sum + student.bestScore, 0) / students.length)
+          : 0
+      },
+      students
+    }
+  });
+});
+
+// @desc    Obtener el banco de preguntas de una evaluación
+// @route   GET /api/v1/courses/:id/lessons/:lessonId/questions
+// @access  Private/Instructor
+exports.getQuestions = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findManagedQuiz(req);
+
+  const questions = await QuizQuestion.find({ course: course._id, lesson: lesson._id })
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: questions.length,
+    data: questions
+  });
+});
+
+// @desc    Agregar una pregunta al banco de una evaluación
+// @route   POST /api/v1/courses/:id/lessons/:lessonId/questions
+// @access  Private/Instructor
+exports.createQuestion = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findManagedQuiz(req);
+
+  const question = await QuizQuestion.create({
+    ...pickQuestionFields(req.body),
+    course: course._id,
+    lesson: lesson._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: question
+  });
+});
+
+// @desc    Actualizar una pregunta
+// @route   PUT /api/v1/courses/:id/lessons/:lessonId/questions/:questionId
+// @access  Private/Instructor
+exports.updateQuestion = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findManagedQuiz(req);
+
+  const question = await QuizQuestion.findOne({
+    _id: req.params.questionId,
+    course: course._id,
+    lesson: lesson._id
+  });
+
+  if (!question) {
+    throw new ApiError('Pregunta no encontrada', 404);
+  }
+
+  Object.assign(question, pickQuestionFields(req.body));
+  await question.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: question
+  });
+});
+
+// @desc    Eliminar una pregunta
+// @route   DELETE /api/v1/courses/:id/lessons/:lessonId/questions/:questionId
+// @access  Private/Instructor
+exports.deleteQuestion = asyncHandler(async (req, res) => {
+  const { course, lesson } = await findManagedQuiz(req);
+
+  const question = await QuizQuestion.findOneAndDelete({
+    _id: req.params.questionId,
+    course: course._id,
+    lesson: lesson._id
+  });
+
+  if (!question) {
+    throw new ApiError('Pregunta no encontrada', 404);
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
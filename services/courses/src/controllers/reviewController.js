@@ -0,0 +1,225 @@
+const asyncHandler = require('express-async-handler');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Review = require('../models/Review');
+const ApiError = require('../utils/ApiError');
+const { getPagination } = require('../utils/pagination');
+const { isCourseInstructor } = require('../utils/courseAccess');
+
+// Obtener una reseña con su curso o 404
+const findReview = async (reviewId) => {
+  const review = await Review.findById(reviewId);
+
+  if (!review) {
+    throw new ApiError('Reseña no encontrada', 404);
+  }
+
+  const course = await Course.findById(review.course).select('instructor');
+
+  return { review, course };
+};
+
+// Aplicar a una reseña existente los campos enviados
+const editReview = async (review, rating, comment) => {
+  review.rating = rating !== undefined ? rating : review.rating;
+  review.comment = comment !== undefined ? comment : review.comment;
+  review.editedAt = new Date();
+
+  return review.save();
+};
+
+// @desc    Obtener las reseñas publicadas de un curso
+// @route   GET /api/v1/courses/:id/reviews
+// @access  Public
+exports.getCourseReviews = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  const query = { course: req.params.id, status: 'published' };
+  if (req.query.rating) {
+    query.rating = Number(req.query.rating);
+  }
+
+  const sort = req.query.sort === 'helpful'
+    ? { helpfulCount: -1, createdAt: -1 }
+    : { createdAt: -1 };
+
+  const reviews = await Review.find(query)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit)
+    .select('-moderation');
+
+  const total = await Review.countDocuments(query);
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: reviews
+  });
+});
+
+// @desc    Crear o editar la reseña del usuario (una por curso)
+// @route   PUT /api/v1/courses/:id/reviews/me
+// @route   POST /api/v1/courses/:id/rating
+// @access  Private
+exports.saveMyReview = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id).select('_id');
+
+  if (!course) {
+    throw new ApiError('Curso no encontrado', 404);
+  }
+
+  const enrollment = await Enrollment.findActive(req.usuario.id, course._id);
+
+  if (!enrollment) {
+    throw new ApiError('Sólo los usuarios inscritos pueden calificar el curso', 403);
+  }
+
+  const { rating, comment } = req.body;
+  let review = await Review.findOne({ user: req.usuario.id, course: course._id });
+  let created = !review;
+
+  if (review) {
+    await editReview(review, rating, comment);
+  } else {
+    try {
+      review = await Review.create({ user: req.usuario.id, course: course._id, rating, comment });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Otra petición simultánea creó la reseña: se edita la existente
+      review = await Review.findOne({ user: req.usuario.id, course: course._id });
+      created = false;
+      await editReview(review, rating, comment);
+    }
+  }
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    data: review
+  });
+});
+
+// @desc    Eliminar la reseña del usuario
+// @route   DELETE /api/v1/courses/:id/reviews/me
+// @access  Private
+exports.deleteMyReview = asyncHandler(async (req, res) => {
+  const review = await Review.findOneAndDelete({ user: req.usuario.id, course: req.params.id });
+
+  if (!review) {
+    throw new ApiError('Reseña no encontrada', 404);
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Marcar o desmarcar una reseña como útil
+// @route   POST /api/v1/reviews/:reviewId/helpful
+// @access  Private
+exports.toggleHelpful = asyncHandler(async (req, res) => {
+  const review = await Review.findOne({ _id: req.params.reviewId, status: 'published' })
+    .select('user');
+
+  if (!review) {
+    throw new ApiError('Reseña no encontrada', 404);
+  }
+
+  if (review.user === req.usuario.id) {
+    throw new ApiError('No puedes votar tu propia reseña', 400);
+  }
+
+  // La condición va en el filtro para que dos votos simultáneos no cuenten doble
+  let helpful = true;
+  let updated = await Review.findOneAndUpdate(
+    { _id: review._id, status: 'published', helpfulVotes: { $ne: req.usuario.id } },
+    { $addToSet: { helpfulVotes: req.usuario.id }, $inc: { helpfulCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    helpful = false;
+    updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVotes: req.usuario.id },
+      { $pull: { helpfulVotes: req.usuario.id }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+  }
+
+  if (!updated) {
+    throw new ApiError('Reseña no encontrada', 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      helpful,
+      helpfulCount: updated.helpfulCount
+    }
+  });
+});
+
+// @desc    Responder una reseña como instructor del curso
+// @route   PUT /api/v1/reviews/:reviewId/reply
+// @access  Private/Instructor
+exports.replyToReview = asyncHandler(async (req, res) => {
+  const { review, course } = await findReview(req.params.reviewId);
+
+  if (req.usuario.role !== 'admin' && !(course && isCourseInstructor(course, req.usuario))) {
+    throw new ApiError('Sólo el instructor del curso puede responder', 403);
+  }
+
+  const text = (req.body.text || '').trim();
+
+  if (!text) {
+    throw new ApiError('La respuesta no puede estar vacía', 400);
+  }
+
+  review.reply = {
+    text,
+    author: req.usuario.id,
+    repliedAt: new Date()
+  };
+  await review.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: review
+  });
+});
+
+// @desc    Ocultar o volver a publicar una reseña
+// @route   PATCH /api/v1/reviews/:reviewId/moderation
+// @access  Private/Admin
+exports.moderateReview = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  if (!['published', 'hidden'].includes(status)) {
+    throw new ApiError('El estado debe ser: published o hidden', 400);
+  }
+
+  const { review } = await findReview(req.params.reviewId);
+
+  review.status = status;
+  review.moderation = {
+    reason,
+    moderatedBy: req.usuario.id,
+    moderatedAt: new Date()
+  };
+  await review.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: review
+  });
+});
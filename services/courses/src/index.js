@@ -15,7 +15,12 @@ const app = express();
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(express.json());
+app.use(express.json({
+  // El cuerpo original se conserva para verificar la firma de los eventos de pagos
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const certificateSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true
+  },
+  user: {
+    type: String,
+    required: [true, 'Un certificado debe tener un usuario']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Un certificado debe tener un curso']
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true
+  },
+  // Datos tal como se emitieron; no cambian si después se edita el curso
+  studentName: {
+    type: String,
+    required: [true, 'Un certificado debe tener el nombre del estudiante'],
+    trim: true,
+    maxlength: [120, 'El nombre no puede tener más de 120 caracteres']
+  },
+  // El nombre lo captura el estudiante; mientras no se confirme contra su
+  // identidad, la verificación pública no lo muestra
+  studentNameVerified: {
+    type: Boolean,
+    default: false
+  },
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  instructorName: String,
+  hours: Number,
+  text: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'revoked'],
+    default: 'valid'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+
+// Código público de verificación, p. ej. 3F9A-1C07-B2E4
+certificateSchema.pre('save', function(next) {
+  if (!this.code) {
+    this.code = crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+  }
+  next();
+});
+
+// Texto por defecto cuando el curso no define `certificates.template`
+certificateSchema.statics.DEFAULT_TEMPLATE =
+  'Se otorga el presente certificado a {{studentName}} por haber concluido ' +
+  'el curso "{{courseTitle}}" con una duración de {{hours}} horas, ' +
+  'impartido por {{instructor}}.';
+
+// Sustituir los campos {{...}} de la plantilla
+certificateSchema.statics.renderTemplate = function(template, values) {
+  return (template || this.DEFAULT_TEMPLATE).replace(
+    /{{\s*(\w+)\s*}}/g,
+    (match, key) => (values[key] !== undefined ? values[key] : match)
+  );
+};
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+module.exports = Certificate;
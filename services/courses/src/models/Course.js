@@ -12,9 +12,20 @@ const lessonSchema = new mongoose.Schema({
     required: [true, 'Una lección debe tener una descripción'],
     trim: true
   },
+  type: {
+    type: String,
+    enum: {
+      values: ['video', 'quiz'],
+      message: 'El tipo de lección debe ser: video o quiz'
+    },
+    default: 'video'
+  },
   videoUrl: {
     type: String,
-    required: [true, 'Una lección debe tener un video asociado']
+    required: [
+      function() { return this.type !== 'quiz'; },
+      'Una lección debe tener un video asociado'
+    ]
   },
   duration: {
     type: Number,
@@ -24,6 +35,31 @@ const lessonSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Una lección debe tener un orden']
   },
+  // Configuración de las lecciones de evaluación; las preguntas están en QuizQuestion
+  quiz: {
+    passingScore: {
+      type: Number,
+      default: 70,
+      min: [0, 'La calificación mínima debe ser al menos 0'],
+      max: [100, 'La calificación mínima no puede ser mayor a 100']
+    },
+    // 0 = intentos ilimitados
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: [0, 'El número de intentos no puede ser negativo']
+    },
+    // Preguntas sorteadas del banco en cada intento; vacío = todas
+    questionsPerAttempt: {
+      type: Number,
+      min: [1, 'Cada intento debe tener al menos una pregunta']
+    }
+  },
+  // Lección de muestra, visible sin inscripción
+  isPreview: {
+    type: Boolean,
+    default: false
+  },
   resources: [{
     title: String,
     type: {
@@ -55,6 +91,8 @@ const courseSchema = new mongoose.Schema({
     trim: true
   },
   instructor: {
+    // ID del usuario instructor, para darle acceso al contenido del curso
+    user: String,
     name: {
       type: String,
       required: [true, 'Un curso debe tener un instructor']
@@ -69,6 +107,12 @@ const courseSchema = new mongoose.Schema({
   originalPrice: {
     type: Number
   },
+  // Los precios se capturan en MXN; el cobro en otras monedas se cotiza en payments
+  currency: {
+    type: String,
+    enum: ['MXN'],
+    default: 'MXN'
+  },
   level: {
     type: String,
     required: [true, 'Un curso debe tener un nivel'],
@@ -102,6 +146,7 @@ const courseSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Calculado a partir de las reseñas publicadas (Review.recalculateRating)
   rating: {
     average: {
       type: Number,
@@ -160,27 +205,12 @@ courseSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual para calcular el progreso total del curso
-courseSchema.virtual('totalProgress').get(function() {
-  return this.lessons.length > 0 
-    ? Math.round((this.completedLessons || 0) / this.lessons.length * 100)
-    : 0;
-});
-
 // Virtual para calcular el descuento
 courseSchema.virtual('discount').get(function() {
   if (!this.originalPrice || this.originalPrice <= this.price) return 0;
   return Math.round((1 - this.price / this.originalPrice) * 100);
 });
 
-// Método para actualizar la calificación promedio
-courseSchema.methods.updateRating = async function(newRating) {
-  const oldTotal = this.rating.average * this.rating.count;
-  this.rating.count += 1;
-  this.rating.average = (oldTotal + newRating) / this.rating.count;
-  await this.save();
-};
-
 const Course = mongoose.model('Course', courseSchema);
 
 module.exports = Course;
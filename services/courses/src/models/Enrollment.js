@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Course = require('./Course');
+
+const lessonProgressSchema = new mongoose.Schema({
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: Date,
+  // Último segundo reproducido del video, para retomar
+  position: {
+    type: Number,
+    default: 0,
+    min: [0, 'La posición no puede ser negativa']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const enrollmentSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'Una inscripción debe tener un usuario']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Una inscripción debe tener un curso']
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['free', 'payment', 'admin'],
+      required: true
+    },
+    // ID del pago en el servicio de pagos (pay_...)
+    paymentId: String
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'completed', 'refunded', 'cancelled'],
+      message: 'El estado debe ser: active, completed, refunded o cancelled'
+    },
+    default: 'active'
+  },
+  lessons: [lessonProgressSchema],
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  lastLesson: mongoose.Schema.Types.ObjectId,
+  lastAccessedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+enrollmentSchema.index({ user: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ course: 1, status: 1 });
+enrollmentSchema.index({ 'source.paymentId': 1 });
+
+// Una inscripción da acceso al contenido si está activa o terminada
+enrollmentSchema.virtual('hasAccess').get(function() {
+  return ['active', 'completed'].includes(this.status);
+});
+
+// Obtener (o crear) el registro de avance de una lección
+enrollmentSchema.methods.lessonProgress = function(lessonId) {
+  let entry = this.lessons.find(item => item.lesson.equals(lessonId));
+
+  if (!entry) {
+    this.lessons.push({ lesson: lessonId });
+    entry = this.lessons[this.lessons.length - 1];
+  }
+
+  return entry;
+};
+
+// Recalcular el avance contra las lecciones actuales del curso
+enrollmentSchema.methods.updateProgress = function(course) {
+  const lessonIds = course.lessons.map(lesson => String(lesson._id));
+  const completed = this.lessons
+    .filter(item => item.completed && lessonIds.includes(String(item.lesson)))
+    .length;
+
+  this.progress = lessonIds.length > 0
+    ? Math.round(completed / lessonIds.length * 100)
+    : 0;
+
+  if (this.progress === 100 && this.status === 'active') {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+
+  return this.progress;
+};
+
+// Marcar una lección como completada
+enrollmentSchema.methods.completeLesson = function(course, lessonId) {
+  const entry = this.lessonProgress(lessonId);
+
+  if (!entry.completed) {
+    entry.completed = true;
+    entry.completedAt = new Date();
+  }
+  entry.updatedAt = new Date();
+
+  this.lastLesson = lessonId;
+  this.lastAccessedAt = new Date();
+  this.updateProgress(course);
+};
+
+// Guardar la posición del video para retomar la lección
+enrollmentSchema.methods.savePosition = function(lessonId, position) {
+  const entry = this.lessonProgress(lessonId);
+
+  entry.position = position;
+  entry.updatedAt = new Date();
+
+  this.lastLesson = lessonId;
+  this.lastAccessedAt = new Date();
+};
+
+// Lección y posición para retomar el curso: la última vista o la primera pendiente
+enrollmentSchema.methods.resumePoint = function(course) {
+  const lessons = [...course.lessons].sort((a, b) => a.order - b.order);
+  const last = this.lastLesson && lessons.find(lesson => lesson._id.equals(this.lastLesson));
+  const entry = last && this.lessons.find(item => item.lesson.equals(last._id));
+
+  if (last && !(entry && entry.completed)) {
+    return { lessonId: last._id, position: entry ? entry.position : 0 };
+  }
+
+  const pending = lessons.find(lesson => {
+    const item = this.lessons.find(progress => progress.lesson.equals(lesson._id));
+    return !(item && item.completed);
+  });
+
+  if (!pending) {
+    return null;
+  }
+
+  const pendingEntry = this.lessons.find(item => item.lesson.equals(pending._id));
+  return { lessonId: pending._id, position: pendingEntry ? pendingEntry.position : 0 };
+};
+
+// Inscripción vigente de un usuario en un curso
+enrollmentSchema.statics.findActive = function(userId, courseId) {
+  return this.findOne({
+    user: userId,
+    course: courseId,
+    status: { $in: ['active', 'completed'] }
+  });
+};
+
+// Inscribir a un usuario; si ya existe una inscripción vigente la devuelve
+// y si fue reembolsada o cancelada la reactiva conservando su avance
+enrollmentSchema.statics.enroll = async function(userId, course, source) {
+  const existing = await this.findOne({ user: userId, course: course._id });
+
+  if (existing && existing.hasAccess) {
+    return { enrollment: existing, created: false };
+  }
+
+  let enrollment;
+  if (existing) {
+    existing.source = source;
+    existing.enrolledAt = new Date();
+    existing.status = existing.progress === 100 ? 'completed' : 'active';
+    enrollment = await existing.save();
+  } else {
+    try {
+      enrollment = await this.create({ user: userId, course: course._id, source });
+    } catch (error) {
+      // Otra petición pudo inscribirlo al mismo tiempo
+      if (error.code === 11000) {
+        return { enrollment: await this.findOne({ user: userId, course: course._id }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  await Course.updateOne({ _id: course._id }, { $inc: { enrollments: 1 } });
+  return { enrollment, created: true };
+};
+
+// Retirar el acceso de una inscripción (reembolso o cancelación)
+enrollmentSchema.methods.revoke = async function(status) {
+  if (!this.hasAccess) {
+    return this;
+  }
+
+  this.status = status;
+  await this.save();
+  await Course.updateOne({ _id: this.course }, { $inc: { enrollments: -1 } });
+
+  return this;
+};
+
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+module.exports = Enrollment;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Pregunta tal como se presentó en el intento, con su calificación
+const attemptQuestionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizQuestion',
+    required: true
+  },
+  type: String,
+  prompt: String,
+  // Opciones en el orden mostrado, sin indicar cuál es correcta
+  options: [{
+    _id: mongoose.Schema.Types.ObjectId,
+    text: String
+  }],
+  points: Number,
+  answer: mongoose.Schema.Types.Mixed,
+  correct: Boolean,
+  pointsAwarded: Number
+}, {
+  _id: false
+});
+
+const quizAttemptSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: true
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  questions: [attemptQuestionSchema],
+  // Porcentaje de puntos obtenidos (0 a 100)
+  score: Number,
+  passed: Boolean,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+quizAttemptSchema.index({ enrollment: 1, lesson: 1, number: 1 }, { unique: true });
+quizAttemptSchema.index({ course: 1, lesson: 1, status: 1 });
+
+// Preguntas para el estudiante, sin respuestas ni calificación
+quizAttemptSchema.methods.toStudentView = function() {
+  return {
+    _id: this._id,
+    lesson: this.lesson,
+    number: this.number,
+    status: this.status,
+    startedAt: this.startedAt,
+    questions: this.questions.map(item => ({
+      question: item.question,
+      type: item.type,
+      prompt: item.prompt,
+      options: item.type === 'multiple_choice' ? item.options : undefined,
+      points: item.points
+    }))
+  };
+};
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+module.exports = QuizAttempt;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Normalizar una respuesta abierta: minúsculas, sin acentos ni espacios extra
+const normalizeAnswer = value => String(value === undefined || value === null ? '' : value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const quizQuestionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Una pregunta debe tener un tipo'],
+    enum: {
+      values: ['multiple_choice', 'true_false', 'short_answer'],
+      message: 'El tipo debe ser: multiple_choice, true_false o short_answer'
+    }
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Una pregunta debe tener un enunciado'],
+    trim: true,
+    maxlength: [1000, 'El enunciado no puede tener más de 1000 caracteres']
+  },
+  // Opción múltiple: puede haber más de una correcta
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    correct: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Verdadero o falso
+  correctAnswer: Boolean,
+  // Respuesta corta: se compara sin acentos ni mayúsculas
+  acceptedAnswers: [String],
+  points: {
+    type: Number,
+    default: 1,
+    min: [1, 'Una pregunta debe valer al menos 1 punto']
+  },
+  explanation: String,
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+quizQuestionSchema.index({ course: 1, lesson: 1, active: 1 });
+
+// Validar que la pregunta tenga respuesta correcta según su tipo
+quizQuestionSchema.pre('validate', function(next) {
+  if (this.type === 'multiple_choice') {
+    if (this.options.length < 2) {
+      this.invalidate('options', 'Una pregunta de opción múltiple debe tener al menos 2 opciones');
+    } else if (!this.options.some(option => option.correct)) {
+      this.invalidate('options', 'Al menos una opción debe ser correcta');
+    }
+  }
+
+  if (this.type === 'true_false' && typeof this.correctAnswer !== 'boolean') {
+    this.invalidate('correctAnswer', 'Una pregunta de verdadero o falso debe indicar la respuesta correcta');
+  }
+
+  if (this.type === 'short_answer' && this.acceptedAnswers.filter(Boolean).length === 0) {
+    this.invalidate('acceptedAnswers', 'Una pregunta de respuesta corta debe tener al menos una respuesta aceptada');
+  }
+
+  next();
+});
+
+// Calificar una respuesta del estudiante
+quizQuestionSchema.methods.grade = function(answer) {
+  if (this.type === 'multiple_choice') {
+    const selected = (Array.isArray(answer) ? answer : [answer]).map(String).sort();
+    const correct = this.options
+      .filter(option => option.correct)
+      .map(option => String(option._id))
+      .sort();
+
+    return selected.length === correct.length &&
+      selected.every((id, index) => id === correct[index]);
+  }
+
+  if (this.type === 'true_false') {
+    return answer === this.correctAnswer || String(answer) === String(this.correctAnswer);
+  }
+
+  const normalized = normalizeAnswer(answer);
+  return normalized !== '' &&
+    this.acceptedAnswers.some(accepted => normalizeAnswer(accepted) === normalized);
+};
+
+const QuizQuestion = mongoose.model('QuizQuestion', quizQuestionSchema);
+
+module.exports = QuizQuestion;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Course = require('./Course');
+
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'Una reseña debe tener un usuario']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Una reseña debe tener un curso']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Una reseña debe tener una calificación'],
+    min: [1, 'La calificación debe estar entre 1 y 5'],
+    max: [5, 'La calificación debe estar entre 1 y 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'La calificación debe ser un número entero'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'El comentario no puede tener más de 2000 caracteres']
+  },
+  editedAt: Date,
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'La respuesta no puede tener más de 2000 caracteres']
+    },
+    author: String,
+    repliedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: String,
+    moderatedAt: Date
+  },
+  // Usuarios que marcaron la reseña como útil
+  helpfulVotes: {
+    type: [String],
+    select: false
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+reviewSchema.index({ user: 1, course: 1 }, { unique: true });
+reviewSchema.index({ course: 1, status: 1, helpfulCount: -1 });
+
+// Recalcular la calificación del curso con las reseñas publicadas
+reviewSchema.statics.recalculateRating = async function(courseId) {
+  const [stats] = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), status: 'published' } },
+    { $group: { _id: '$course', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Course.updateOne(
+    { _id: courseId },
+    {
+      'rating.average': stats ? Math.round(stats.average * 10) / 10 : 0,
+      'rating.count': stats ? stats.count : 0
+    }
+  );
+};
+
+// Mantener `rating` del curso al día al guardar o eliminar reseñas
+reviewSchema.post('save', async function(doc) {
+  await doc.constructor.recalculateRating(doc.course);
+});
+
+reviewSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await doc.constructor.recalculateRating(doc.course);
+  }
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const QuizQuestion = require('../QuizQuestion');
+
+const base = {
+  course: new mongoose.Types.ObjectId(),
+  lesson: new mongoose.Types.ObjectId(),
+  prompt: 'Pregunta'
+};
+
+describe('QuizQuestion.grade', () => {
+  describe('multiple_choice', () => {
+    const question = new QuizQuestion({
+      ...base,
+      type: 'multiple_choice',
+      options: [
+        { text: 'A', correct: true },
+        { text: 'B' },
+        { text: 'C', correct: true }
+      ]
+    });
+    const [a, b, c] = question.options.map(option => String(option._id));
+
+    it('aprueba cuando se eligen exactamente las opciones correctas, en cualquier orden', () => {
+      expect(question.grade([a, c])).toBe(true);
+      expect(question.grade([c, a])).toBe(true);
+    });
+
+    it('reprueba una selección incompleta o con opciones de más', () => {
+      expect(question.grade([a])).toBe(false);
+      expect(question.grade([a, b, c])).toBe(false);
+      expect(question.grade([a, a])).toBe(false);
+    });
+
+    it('acepta una sola opción sin arreglo', () => {
+      const single = new QuizQuestion({
+        ...base,
+        type: 'multiple_choice',
+        options: [{ text: 'Sí', correct: true }, { text: 'No' }]
+      });
+
+      expect(single.grade(String(single.options[0]._id))).toBe(true);
+      expect(single.grade(single.options[0]._id)).toBe(true);
+      expect(single.grade(String(single.options[1]._id))).toBe(false);
+    });
+
+    it('reprueba una respuesta vacía', () => {
+      expect(question.grade([])).toBe(false);
+      expect(question.grade(undefined)).toBe(false);
+    });
+  });
+
+  describe('true_false', () => {
+    const question = new QuizQuestion({ ...base, type: 'true_false', correctAnswer: false });
+
+    it('acepta el booleano o su texto', () => {
+      expect(question.grade(false)).toBe(true);
+      expect(question.grade('false')).toBe(true);
+    });
+
+    it('reprueba la respuesta contraria o vacía', () => {
+      expect(question.grade(true)).toBe(false);
+      expect(question.grade('true')).toBe(false);
+      expect(question.grade(undefined)).toBe(false);
+      expect(question.grade('')).toBe(false);
+    });
+  });
+
+  describe('short_answer', () => {
+    const question = new QuizQuestion({
+      ...base,
+      type: 'short_answer',
+      acceptedAnswers: ['Ciudad de México', 'CDMX']
+    });
+
+    it('compara sin acentos, mayúsculas ni espacios extra', () => {
+      expect(question.grade('ciudad de mexico')).toBe(true);
+      expect(question.grade('  CIUDAD   DE  MÉXICO ')).toBe(true);
+      expect(question.grade('cdmx')).toBe(true);
+    });
+
+    it('reprueba una respuesta distinta', () => {
+      expect(question.grade('Guadalajara')).toBe(false);
+      expect(question.grade('Ciudad')).toBe(false);
+    });
+
+    it('reprueba una respuesta vacía aunque haya respuestas aceptadas vacías', () => {
+      const withBlank = new QuizQuestion({
+        ...base,
+        type: 'short_answer',
+        acceptedAnswers: ['', 'Sí']
+      });
+
+      expect(withBlank.grade('')).toBe(false);
+      expect(withBlank.grade('   ')).toBe(false);
+      expect(withBlank.grade(null)).toBe(false);
+      expect(withBlank.grade('si')).toBe(true);
+    });
+  });
+});
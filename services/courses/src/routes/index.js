@@ -1,5 +1,9 @@
 const express = require('express');
 const courseController = require('../controllers/courseController');
+const enrollmentController = require('../controllers/enrollmentController');
+const certificateController = require('../controllers/certificateController');
+const quizController = require('../controllers/quizController');
+const reviewController = require('../controllers/reviewController');
 const { protect, restrictTo } = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,13 +11,44 @@ const router = express.Router();
 // Rutas públicas
 router.get('/courses', courseController.getCourses);
 router.get('/courses/:id', courseController.getCourse);
+router.get('/courses/:id/reviews', reviewController.getCourseReviews);
+
+router.get('/certificates/:code/verify', certificateController.verifyCertificate);
+
+// Eventos del servicio de pagos (verificados por firma)
+router.post('/payment-events', enrollmentController.handlePaymentEvent);
 
 // Rutas protegidas (requieren autenticación)
 router.use(protect);
 
 // Rutas para estudiantes
 router.get('/courses/:id/lessons', courseController.getCourseLessons);
-router.post('/courses/:id/rating', courseController.rateCourse);
+
+// Reseñas
+router
+  .route('/courses/:id/reviews/me')
+  .put(reviewController.saveMyReview)
+  .delete(reviewController.deleteMyReview);
+// Compatibilidad: calificar sin comentario
+router.post('/courses/:id/rating', reviewController.saveMyReview);
+router.post('/reviews/:reviewId/helpful', reviewController.toggleHelpful);
+
+// Inscripción y avance
+router.get('/me/courses', enrollmentController.getMyCourses);
+router.post('/courses/:id/enroll', enrollmentController.enrollCourse);
+router.get('/courses/:id/progress', enrollmentController.getProgress);
+router.post('/courses/:id/lessons/:lessonId/complete', enrollmentController.completeLesson);
+router.put('/courses/:id/lessons/:lessonId/position', enrollmentController.saveLessonPosition);
+
+// Certificados
+router.get('/me/certificates', certificateController.getMyCertificates);
+router.post('/courses/:id/certificate', certificateController.issueCertificate);
+router.get('/certificates/:code/pdf', certificateController.downloadCertificate);
+
+// Evaluaciones
+router.post('/courses/:id/lessons/:lessonId/quiz/attempts', quizController.startAttempt);
+router.post('/courses/:id/lessons/:lessonId/quiz/attempts/:attemptId/submit', quizController.submitAttempt);
+router.get('/courses/:id/gradebook', quizController.getGradebook);
 
 // Rutas para administradores
 router.use(restrictTo('admin', 'instructor'));
@@ -36,6 +71,22 @@ router
   .put(courseController.updateLesson)
   .delete(courseController.deleteLesson);
 
+router
+  .route('/courses/:id/lessons/:lessonId/questions')
+  .get(quizController.getQuestions)
+  .post(quizController.createQuestion);
+
+router
+  .route('/courses/:id/lessons/:lessonId/questions/:questionId')
+  .put(quizController.updateQuestion)
+  .delete(quizController.deleteQuestion);
+
+router.get('/courses/:id/lessons/:lessonId/quiz/results', quizController.getQuizResults);
+router.get('/courses/:id/gradebooks', quizController.getCourseGradebooks);
+
+router.put('/reviews/:reviewId/reply', reviewController.replyToReview);
+router.patch('/reviews/:reviewId/moderation', restrictTo('admin'), reviewController.moderateReview);
+
 // Manejo de errores para rutas no encontradas
 router.all('*', (req, res) => {
   res.status(404).json({
@@ -0,0 +1,64 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('es-MX', {
+  timeZone: 'America/Mexico_City',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+/**
+ * URL pública para verificar un certificado
+ * @param {string} code - Código del certificado
+ * @returns {string}
+ */
+exports.verificationUrl = (code) =>
+  `${process.env.PUBLIC_API_URL || 'http://localhost:5000/api/v1'}/certificates/${code}/verify`;
+
+/**
+ * Renderiza un certificado en PDF con un código QR hacia su verificación
+ * @param {Object} certificate - Certificado emitido
+ * @returns {Promise<Buffer>} Contenido del PDF
+ */
+exports.renderCertificate = async (certificate) => {
+  const verifyUrl = exports.verificationUrl(certificate.code);
+  const qr = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 110 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: 'landscape',
+      // Margen inferior corto para que el pie no genere otra página
+      margins: { top: 60, bottom: 30, left: 60, right: 60 }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+
+    doc.rect(30, 30, width - 60, height - 60).lineWidth(2).stroke();
+
+    doc.moveDown(2);
+    doc.fontSize(30).font('Helvetica-Bold').text('Certificado de Finalización', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(22).text(certificate.studentName, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(13).font('Helvetica').text(certificate.text, { align: 'center' });
+    doc.moveDown(2);
+
+    doc.fontSize(11);
+    doc.text(`Instructor: ${certificate.instructorName || '-'}`, { align: 'center' });
+    doc.text(`Fecha de emisión: ${formatDate(certificate.issuedAt)}`, { align: 'center' });
+
+    doc.image(qr, width - 170, height - 170, { width: 110 });
+    doc.fontSize(8)
+      .text(`Código: ${certificate.code}`, 60, height - 80)
+      .text(`Verifica en ${verifyUrl}`, 60, height - 68);
+
+    doc.end();
+  });
+};
@@ -0,0 +1,27 @@
+const Enrollment = require('../models/Enrollment');
+
+/**
+ * Indica si el usuario es el instructor del curso
+ * @param {Object} course - Curso
+ * @param {Object} usuario - Usuario autenticado (req.usuario)
+ * @returns {boolean}
+ */
+exports.isCourseInstructor = (course, usuario) =>
+  Boolean(course.instructor && course.instructor.user) &&
+  String(course.instructor.user) === String(usuario.id);
+
+/**
+ * Indica si el usuario puede ver todo el contenido del curso:
+ * administradores, el instructor del curso o usuarios inscritos
+ * @param {Object} course - Curso
+ * @param {Object} usuario - Usuario autenticado (req.usuario)
+ * @returns {Promise<boolean>}
+ */
+exports.hasContentAccess = async (course, usuario) => {
+  if (usuario.role === 'admin' || exports.isCourseInstructor(course, usuario)) {
+    return true;
+  }
+
+  const enrollment = await Enrollment.findActive(usuario.id, course._id);
+  return Boolean(enrollment);
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Tolerancia entre el timestamp de la firma y la hora local
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Verifica la firma X-Eqhuma-Signature de un evento del servicio de pagos
+ * @param {string} header - Valor del header (t=<timestamp>,v1=<hmac>)
+ * @param {Buffer|string} rawBody - Cuerpo original de la petición
+ * @param {string} secret - Secreto del suscriptor (whsec_...)
+ * @returns {boolean} True si la firma es válida y reciente
+ */
+exports.verifySignature = (header, rawBody, secret) => {
+  if (!header || !rawBody || !secret) {
+    return false;
+  }
+
+  const parts = header.split(',').reduce((acc, part) => {
+    const [key, value] = part.split('=');
+    acc[key] = value;
+    return acc;
+  }, {});
+
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  const received = Buffer.from(parts.v1);
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(received, Buffer.from(expected));
+};
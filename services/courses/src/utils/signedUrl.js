@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const ApiError = require('./ApiError');
+
+/**
+ * Calcula la firma de una ruta de video. La CDN valida la misma firma con el
+ * secreto compartido: HMAC-SHA256(secret, "<pathname>:<expires>") en hexadecimal.
+ * @param {string} pathname - Ruta del recurso (sin query string)
+ * @param {number} expires - Expiración en segundos desde epoch
+ * @param {string} secret - Secreto compartido con la CDN
+ * @returns {string} Firma en hexadecimal
+ */
+const sign = (pathname, expires, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${pathname}:${expires}`)
+  .digest('hex');
+
+/**
+ * Genera una URL firmada y con expiración para un video
+ * @param {string} videoUrl - URL original del video
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Vigencia en segundos
+ * @returns {Object} { url, expiresAt }
+ */
+exports.signVideoUrl = (videoUrl, { ttlSeconds } = {}) => {
+  const secret = process.env.VIDEO_SIGNING_SECRET;
+
+  if (!secret) {
+    throw new ApiError('La firma de videos no está configurada', 500);
+  }
+
+  const ttl = ttlSeconds || parseInt(process.env.VIDEO_URL_TTL, 10) || 3600;
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const url = new URL(videoUrl);
+
+  url.searchParams.set('expires', expires);
+  url.searchParams.set('signature', sign(url.pathname, expires, secret));
+
+  return {
+    url: url.toString(),
+    expiresAt: new Date(expires * 1000)
+  };
+};
@@ -0,0 +1,19 @@
+/**
+ * Configuración de cobro en monedas distintas a la del catálogo
+ */
+const exchangeConfig = {
+  // Moneda en la que están los precios de cursos y webinars
+  baseCurrency: 'MXN',
+
+  // Vigencia de una cotización de tipo de cambio
+  quoteTtlMinutes: parseInt(process.env.EXCHANGE_QUOTE_TTL_MINUTES, 10) || 15,
+
+  // Servicio apimarket-api, que consulta el tipo de cambio en APIMarket
+  apimarket: {
+    baseURL: process.env.APIMARKET_SERVICE_URL,
+    apiKey: process.env.APIMARKET_SERVICE_API_KEY,
+    timeout: 10000
+  }
+};
+
+module.exports = exchangeConfig;
@@ -0,0 +1,85 @@
+const logger = require('./logger');
+
+/**
+ * Configuración para la emisión de CFDI 4.0
+ */
+const invoicingConfig = {
+  enabled: process.env.ENABLE_AUTOMATIC_INVOICING === 'true',
+
+  // Datos fiscales del emisor
+  issuer: {
+    rfc: process.env.CFDI_ISSUER_RFC,
+    name: process.env.CFDI_ISSUER_NAME,
+    taxRegime: process.env.CFDI_ISSUER_TAX_REGIME || '601',
+    postalCode: process.env.CFDI_ISSUER_POSTAL_CODE,
+    certificateNumber: process.env.CFDI_CERTIFICATE_NUMBER
+  },
+
+  // Serie y folio inicial
+  series: process.env.INVOICE_PREFIX || 'EQH',
+  startingNumber: parseInt(process.env.INVOICE_STARTING_NUMBER, 10) || 1000,
+
+  // Tasa de IVA trasladado; los montos de los pagos incluyen IVA
+  taxRate: parseFloat(process.env.TAX_RATE) || 0.16,
+
+  // Proveedor Autorizado de Certificación (PAC); `fake` sólo en pruebas
+  pac: {
+    provider: process.env.PAC_PROVIDER,
+    apiUrl: process.env.PAC_API_URL,
+    username: process.env.PAC_USERNAME,
+    password: process.env.PAC_PASSWORD
+  },
+
+  // Claves del catálogo del SAT para cada tipo de pago
+  products: {
+    course: { productCode: '86132000', unitCode: 'E48', description: 'Curso en línea' },
+    webinar: { productCode: '86132000', unitCode: 'E48', description: 'Webinar' },
+    subscription: { productCode: '86132000', unitCode: 'E48', description: 'Suscripción' },
+    service: { productCode: '84111506', unitCode: 'E48', description: 'Servicio' }
+  },
+
+  // Forma de pago del SAT según el método de pago
+  paymentForms: {
+    card: '04',
+    oxxo: '01',
+    spei: '03',
+    stp: '03',
+    paypal: '31'
+  },
+
+  // Validar la configuración requerida
+  validate() {
+    if (!this.enabled) {
+      return true;
+    }
+
+    const requiredVars = [
+      'CFDI_ISSUER_RFC',
+      'CFDI_ISSUER_NAME',
+      'CFDI_ISSUER_POSTAL_CODE',
+      'PAC_PROVIDER'
+    ];
+
+    if (this.pac.provider === 'fake' && process.env.NODE_ENV !== 'test') {
+      const error = new Error('PAC_PROVIDER=fake sólo está permitido con NODE_ENV=test');
+      logger.error('Error de configuración de facturación:', error);
+      throw error;
+    }
+
+    if (this.pac.provider !== 'fake') {
+      requiredVars.push('PAC_API_URL', 'PAC_USERNAME', 'PAC_PASSWORD');
+    }
+
+    const missingVars = requiredVars.filter(varName => !process.env[varName]);
+
+    if (missingVars.length > 0) {
+      const error = new Error(`Variables de entorno faltantes para facturación: ${missingVars.join(', ')}`);
+      logger.error('Error de configuración de facturación:', error);
+      throw error;
+    }
+
+    return true;
+  }
+};
+
+module.exports = invoicingConfig;
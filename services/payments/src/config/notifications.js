@@ -0,0 +1,23 @@
+/**
+ * Configuración de la publicación de eventos de pago a otros servicios
+ */
+const notificationsConfig = {
+  enabled: process.env.ENABLE_EVENT_NOTIFICATIONS !== 'false',
+
+  // Tiempo máximo de espera por la respuesta del suscriptor
+  timeoutMs: parseInt(process.env.EVENT_DELIVERY_TIMEOUT_MS, 10) || 10000,
+
+  // Intentos de entrega antes de dejarla como fallida
+  maxAttempts: parseInt(process.env.EVENT_DELIVERY_MAX_ATTEMPTS, 10) || 10,
+
+  // Espera antes del primer reintento; se duplica en cada intento
+  retryBaseSeconds: parseInt(process.env.EVENT_DELIVERY_RETRY_BASE_SECONDS, 10) || 60,
+
+  // Espera máxima entre reintentos
+  retryMaxSeconds: parseInt(process.env.EVENT_DELIVERY_RETRY_MAX_SECONDS, 10) || 6 * 60 * 60,
+
+  // Una entrega en `delivering` por más tiempo se considera abandonada
+  lockTimeoutMinutes: 5
+};
+
+module.exports = notificationsConfig;
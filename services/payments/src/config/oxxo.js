@@ -0,0 +1,18 @@
+/**
+ * Configuración de fichas de pago OXXO
+ */
+const oxxoConfig = {
+  // Vigencia de la ficha (1 a 7 días según Stripe)
+  expiresAfterDays: parseInt(process.env.OXXO_EXPIRES_AFTER_DAYS, 10) || 2,
+
+  // Horas antes del vencimiento para enviar el recordatorio
+  reminderHoursBeforeExpiry: parseInt(process.env.OXXO_REMINDER_HOURS, 10) || 24,
+
+  // OXXO puede reportar pagos hechos al límite después del vencimiento;
+  // el pago se cancela hasta que pasa este margen
+  expiryGraceHours: parseInt(process.env.OXXO_EXPIRY_GRACE_HOURS, 10) || 24,
+
+  remindersEnabled: process.env.ENABLE_PAYMENT_REMINDERS !== 'false'
+};
+
+module.exports = oxxoConfig;
@@ -0,0 +1,18 @@
+/**
+ * Configuración de dispersiones SPEI por lote
+ */
+const payoutsConfig = {
+  // Renglones permitidos por archivo
+  maxLines: parseInt(process.env.PAYOUT_MAX_LINES, 10) || 500,
+
+  // Órdenes enviadas a STP por minuto
+  ordersPerMinute: parseInt(process.env.PAYOUT_ORDERS_PER_MINUTE, 10) || 60,
+
+  // Monto máximo por renglón
+  maxAmount: parseFloat(process.env.PAYOUT_MAX_AMOUNT) || 999999.99,
+
+  // Minutos en `submitting` tras los cuales se consulta la orden en STP
+  submittingTimeoutMinutes: parseInt(process.env.PAYOUT_SUBMITTING_TIMEOUT_MINUTES, 10) || 10
+};
+
+module.exports = payoutsConfig;
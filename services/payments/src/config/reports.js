@@ -0,0 +1,16 @@
+/**
+ * Configuración de los reportes financieros
+ */
+const reportsConfig = {
+  // Zona horaria con la que se agrupan días, semanas y meses
+  timezone: process.env.REPORTS_TIMEZONE || 'America/Mexico_City',
+
+  // Rango máximo de un reporte
+  maxRangeDays: parseInt(process.env.REPORTS_MAX_RANGE_DAYS, 10) || 366,
+
+  // Los pagos se completan dentro de este plazo desde su creación (OXXO vence
+  // en días, SPEI en horas); acota la búsqueda por fecha de cobro
+  completionWindowDays: 30
+};
+
+module.exports = reportsConfig;
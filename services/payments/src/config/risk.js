@@ -0,0 +1,68 @@
+/**
+ * Configuración del motor de riesgo de pagos
+ */
+const riskConfig = {
+  enabled: process.env.RISK_ENGINE_ENABLED !== 'false',
+
+  // Puntaje a partir del cual se exige 3-D Secure o se rechaza el pago
+  challengeScore: parseInt(process.env.RISK_CHALLENGE_SCORE, 10) || 40,
+  blockScore: parseInt(process.env.RISK_BLOCK_SCORE, 10) || 80,
+
+  // Reglas con las que se inicializa la colección; después se administran
+  // desde /admin/risk/rules
+  defaultRules: [
+    {
+      name: 'velocity-user',
+      signal: 'velocity_user',
+      params: { windowMinutes: 10, maxAttempts: 5 },
+      score: 40
+    },
+    {
+      name: 'velocity-ip',
+      signal: 'velocity_ip',
+      params: { windowMinutes: 10, maxAttempts: 10 },
+      score: 40
+    },
+    {
+      name: 'velocity-email',
+      signal: 'velocity_email',
+      params: { windowMinutes: 60, maxAttempts: 8 },
+      score: 30
+    },
+    {
+      name: 'velocity-card',
+      signal: 'velocity_card',
+      params: { windowMinutes: 60, maxAttempts: 3 },
+      score: 50,
+      paymentMethods: ['card']
+    },
+    {
+      name: 'billing-country-mismatch',
+      signal: 'billing_country_mismatch',
+      params: {},
+      score: 30,
+      paymentMethods: ['card']
+    },
+    {
+      name: 'repeated-failures',
+      signal: 'repeated_failures',
+      params: { windowMinutes: 60, maxFailures: 3 },
+      score: 40
+    },
+    {
+      name: 'amount-anomaly',
+      signal: 'amount_anomaly',
+      params: { multiplier: 5, minHistory: 3, firstPaymentMax: 10000 },
+      score: 30
+    },
+    {
+      name: 'confirmed-fraud',
+      signal: 'confirmed_fraud',
+      params: {},
+      score: 100,
+      action: 'block'
+    }
+  ]
+};
+
+module.exports = riskConfig;
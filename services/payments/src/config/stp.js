@@ -14,10 +14,26 @@ const stpConfig = {
   institution: process.env.STP_INSTITUTION,
   webhookSecret: process.env.STP_WEBHOOK_SECRET,
 
+  // Prefijo de las CLABEs virtuales: banco STP (646), plaza (180) y cuenta concentradora
+  clabePrefix: process.env.STP_CLABE_PREFIX ||
+    `646180${(process.env.STP_ACCOUNT_NUMBER || '').slice(0, 4)}`,
+
   // Configuración para el servicio de pagos de servicios
   utility: {
     apiUrl: process.env.STP_UTILITY_API_URL || 'https://demo.stpmex.com/servicios/rest',
-    apiKey: process.env.STP_UTILITY_API_KEY
+    apiKey: process.env.STP_UTILITY_API_KEY,
+    // Sincronización del catálogo de emisores y convenios
+    catalogSync: {
+      schedule: process.env.STP_BILLER_SYNC_SCHEDULE || '0 5 * * *',
+      timezone: process.env.STP_BILLER_SYNC_TIMEZONE || 'America/Mexico_City'
+    }
+  },
+
+  // Conciliación diaria contra el estado de cuenta
+  reconciliation: {
+    schedule: process.env.STP_RECONCILIATION_SCHEDULE || '0 6 * * *',
+    timezone: process.env.STP_RECONCILIATION_TIMEZONE || 'America/Mexico_City',
+    autoComplete: process.env.STP_RECONCILIATION_AUTO_COMPLETE !== 'false'
   },
 
   // Validar la configuración requerida
@@ -48,6 +64,10 @@ const stpConfig = {
       throw new Error('STP_INSTITUTION debe ser un número de 5 dígitos');
     }
 
+    if (!/^646\d{7,11}$/.test(this.clabePrefix)) {
+      throw new Error('STP_CLABE_PREFIX debe iniciar con 646 y tener entre 10 y 14 dígitos');
+    }
+
     return true;
   },
 
@@ -61,6 +81,7 @@ const stpConfig = {
       accountNumber: this.accountNumber,
       institution: this.institution,
       webhookSecret: this.webhookSecret,
+      clabePrefix: this.clabePrefix,
       utility: this.utility
     };
   },
@@ -73,14 +94,6 @@ const stpConfig = {
 
   // Constantes del servicio
   constants: {
-    // Tipos de servicios soportados
-    serviceTypes: {
-      CFE: 'CFE',
-      TELMEX: 'TELMEX',
-      AGUA: 'AGUA',
-      GAS: 'GAS'
-    },
-
     // Estados de pago
     paymentStatus: {
       PENDING: 'pending',
@@ -0,0 +1,12 @@
+/**
+ * Configuración de suscripciones y cobro recurrente
+ */
+const subscriptionsConfig = {
+  // Días de acceso tras un cobro de renovación fallido
+  gracePeriodDays: parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS, 10) || 7,
+
+  // Frecuencia con la que se revisan las suscripciones con gracia vencida
+  expirationSchedule: process.env.SUBSCRIPTION_EXPIRATION_SCHEDULE || '1 hour'
+};
+
+module.exports = subscriptionsConfig;
@@ -0,0 +1,18 @@
+/**
+ * Configuración de la bandeja de webhooks entrantes
+ */
+const webhooksConfig = {
+  // Intentos de procesamiento antes de dejar el evento como fallido
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+
+  // Espera antes del primer reintento; se duplica en cada intento
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+
+  // Espera máxima entre reintentos
+  retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS, 10) || 6 * 60 * 60,
+
+  // Un evento en `processing` por más tiempo se considera abandonado
+  lockTimeoutMinutes: parseInt(process.env.WEBHOOK_LOCK_TIMEOUT_MINUTES, 10) || 10
+};
+
+module.exports = webhooksConfig;
@@ -0,0 +1,73 @@
+const Coupon = require('../models/Coupon');
+const couponService = require('../services/couponService');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Controlador para cupones y códigos promocionales
+ */
+class CouponController {
+  /**
+   * Calcular el descuento de uno o más cupones sin crear el pago
+   */
+  previewCoupons = asyncErrorHandler(async (req, res) => {
+    const { couponCodes, type, itemId, amount, currency = 'MXN' } = req.body;
+
+    const pricing = await couponService.applyCoupons({
+      codes: couponCodes,
+      userId: req.user.id,
+      type,
+      itemId,
+      amount,
+      currency
+    });
+
+    res.json({
+      status: 'success',
+      data: pricing
+    });
+  });
+
+  /**
+   * Listar cupones (administración)
+   */
+  listCoupons = asyncErrorHandler(async (req, res) => {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      results: coupons.length,
+      data: coupons
+    });
+  });
+
+  /**
+   * Crear un cupón (administración)
+   */
+  createCoupon = asyncErrorHandler(async (req, res) => {
+    const coupon = await couponService.createCoupon(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      data: coupon
+    });
+  });
+
+  /**
+   * Actualizar o desactivar un cupón (administración)
+   */
+  updateCoupon = asyncErrorHandler(async (req, res) => {
+    const coupon = await couponService.updateCoupon(req.params.code, req.body);
+
+    res.json({
+      status: 'success',
+      data: coupon
+    });
+  });
+}
+
+module.exports = new CouponController();
@@ -0,0 +1,139 @@
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('../services/invoiceService');
+const ApiError = require('../utils/ApiError');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Obtener un pago verificando que pertenezca al usuario
+ * @param {string} paymentId - ID del pago
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise<Object>} Pago
+ */
+const findOwnedPayment = async (paymentId, user) => {
+  const payment = await Payment.findOne({ paymentId });
+
+  if (!payment || (payment.userId !== user.id && user.role !== 'admin')) {
+    throw new ApiError('Pago no encontrado', 404);
+  }
+
+  return payment;
+};
+
+/**
+ * Obtener la factura vigente de un pago del usuario
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} Factura
+ */
+const findPaymentInvoice = async (req) => {
+  const payment = await findOwnedPayment(req.params.paymentId, req.user);
+  const invoice = await Invoice.findOne({ paymentId: payment.paymentId })
+    .sort({ createdAt: -1 });
+
+  if (!invoice) {
+    throw new ApiError('Factura no encontrada', 404);
+  }
+
+  return invoice;
+};
+
+/**
+ * Controlador para las facturas CFDI de los pagos
+ */
+class InvoiceController {
+  /**
+   * Solicitar la factura de un pago
+   */
+  requestInvoice = asyncErrorHandler(async (req, res) => {
+    const payment = await findOwnedPayment(req.params.paymentId, req.user);
+    const { taxId, name, taxRegime, cfdiUse, postalCode } = req.body;
+
+    if (['issued', 'cancelled'].includes(payment.invoice?.status)) {
+      throw new ApiError('El pago ya fue facturado', 409, 'INVOICE_ALREADY_ISSUED');
+    }
+
+    payment.billingDetails.taxId = taxId;
+    payment.invoice.required = true;
+    payment.invoice.status = 'pending';
+    payment.invoice.receiver = { name, taxRegime, cfdiUse, postalCode };
+    await payment.save();
+
+    // Los pagos aún no completados se facturan al completarse
+    if (payment.status !== 'completed') {
+      return res.status(202).json({
+        status: 'success',
+        data: payment.invoice
+      });
+    }
+
+    const invoice = await invoiceService.issueInvoice(payment);
+
+    res.status(201).json({
+      status: 'success',
+      data: invoice
+    });
+  });
+
+  /**
+   * Obtener la factura de un pago
+   */
+  getInvoice = asyncErrorHandler(async (req, res) => {
+    const invoice = await findPaymentInvoice(req);
+
+    res.json({
+      status: 'success',
+      data: invoice
+    });
+  });
+
+  /**
+   * Descargar el XML timbrado
+   */
+  downloadXml = asyncErrorHandler(async (req, res) => {
+    const invoice = await findPaymentInvoice(req);
+
+    if (!invoice.xml) {
+      throw new ApiError('La factura aún no ha sido timbrada', 404);
+    }
+
+    res.set('Content-Type', 'application/xml');
+    res.set('Content-Disposition', `attachment; filename="${invoice.uuid}.xml"`);
+    res.send(invoice.xml);
+  });
+
+  /**
+   * Descargar la representación impresa en PDF
+   */
+  downloadPdf = asyncErrorHandler(async (req, res) => {
+    const invoice = await findPaymentInvoice(req);
+
+    if (!invoice.pdf) {
+      throw new ApiError('La factura aún no ha sido timbrada', 404);
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${invoice.uuid}.pdf"`);
+    res.send(invoice.pdf);
+  });
+
+  /**
+   * Cancelar una factura (administración)
+   */
+  cancelInvoice = asyncErrorHandler(async (req, res) => {
+    const invoice = await Invoice.findOne({ invoiceId: req.params.invoiceId });
+
+    if (!invoice) {
+      throw new ApiError('Factura no encontrada', 404);
+    }
+
+    const { reason, replacementUuid } = req.body;
+    const cancelled = await invoiceService.cancelInvoice(invoice, { reason, replacementUuid });
+
+    res.json({
+      status: 'success',
+      data: cancelled
+    });
+  });
+}
+
+module.exports = new InvoiceController();
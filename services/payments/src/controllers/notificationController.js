@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const EventSubscriber = require('../models/EventSubscriber');
+const EventDelivery = require('../models/EventDelivery');
+const notificationService = require('../services/notificationService');
+const ApiError = require('../utils/ApiError');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Controlador para suscriptores de eventos de pago (administración)
+ */
+class NotificationController {
+  /**
+   * Listar suscriptores
+   */
+  listSubscribers = asyncErrorHandler(async (req, res) => {
+    const subscribers = await EventSubscriber.find().sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      results: subscribers.length,
+      data: subscribers
+    });
+  });
+
+  /**
+   * Registrar un suscriptor; el secreto sólo se devuelve aquí y al rotarlo
+   */
+  createSubscriber = asyncErrorHandler(async (req, res) => {
+    const { name, url, events } = req.body;
+
+    const subscriber = await EventSubscriber.create({
+      name,
+      url,
+      events,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: subscriber
+    });
+  });
+
+  /**
+   * Actualizar URL, eventos o estado de un suscriptor
+   */
+  updateSubscriber = asyncErrorHandler(async (req, res) => {
+    const updates = {};
+    ['url', 'events', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const subscriber = await EventSubscriber.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!subscriber) {
+      throw ApiError.notFoundError('Suscriptor no encontrado');
+    }
+
+    res.json({
+      status: 'success',
+      data: subscriber
+    });
+  });
+
+  /**
+   * Generar un nuevo secreto de firma
+   */
+  rotateSecret = asyncErrorHandler(async (req, res) => {
+    const subscriber = await EventSubscriber.findByIdAndUpdate(
+      req.params.id,
+      { secret: `whsec_${crypto.randomBytes(24).toString('hex')}` },
+      { new: true }
+    ).select('+secret');
+
+    if (!subscriber) {
+      throw ApiError.notFoundError('Suscriptor no encontrado');
+    }
+
+    res.json({
+      status: 'success',
+      data: subscriber
+    });
+  });
+
+  /**
+   * Bitácora de entregas, filtrable por estado, suscriptor, evento o pago
+   */
+  listDeliveries = asyncErrorHandler(async (req, res) => {
+    const { status, subscriberId, eventId, paymentId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (subscriberId) {
+      query.subscriber = subscriberId;
+    }
+    if (eventId) {
+      query.eventId = eventId;
+    }
+    if (paymentId) {
+      query['payload.data.paymentId'] = paymentId;
+    }
+
+    const deliveries = await EventDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('subscriber', 'name');
+
+    res.json({
+      status: 'success',
+      results: deliveries.length,
+      data: deliveries
+    });
+  });
+
+  /**
+   * Reintentar una entrega
+   */
+  retryDelivery = asyncErrorHandler(async (req, res) => {
+    const delivery = await notificationService.retry(req.params.deliveryId);
+
+    res.json({
+      status: 'success',
+      data: delivery
+    });
+  });
+}
+
+module.exports = new NotificationController();
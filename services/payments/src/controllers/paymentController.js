@@ -1,11 +1,76 @@
 const Payment = require('../models/Payment');
-const stripeService = require('../services/stripeService');
-const paypalService = require('../services/paypalService');
-const stpService = require('../services/stpService');
-const stpUtilityService = require('../services/stpUtilityService');
+const pricingService = require('../services/pricingService');
+const exchangeRateService = require('../services/exchangeRateService');
+const billerService = require('../services/billerService');
+const riskService = require('../services/riskService');
+const voucherService = require('../services/voucherService');
+const pdfService = require('../services/pdfService');
+const webhookService = require('../services/webhookService');
 const logger = require('../config/logger');
 const ApiError = require('../utils/ApiError');
 const { asyncErrorHandler } = require('../middleware/error');
+const { providerRegistry } = require('../services/providers');
+
+/**
+ * Aplicar a un pago el estado normalizado devuelto por un proveedor
+ * @param {Object} payment - Pago
+ * @param {Object} result - { status, chargeId, error }
+ */
+const applyProviderStatus = async (payment, { status, chargeId, error }) => {
+  if (status === payment.status || status === 'processing') {
+    return;
+  }
+
+  if (status === 'completed' && chargeId) {
+    payment.provider.chargeId = chargeId;
+  }
+  await payment.updateStatus(status, status === 'failed' ? error : null);
+};
+
+// Estados de un pago que ya se cobró y puede tener recibo
+const RECEIPT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * Codificar la posición del último pago de una página del historial
+ * @param {Object} payment - Último pago de la página
+ * @returns {string} Cursor opaco
+ */
+const encodeCursor = (payment) =>
+  Buffer.from(`${payment.createdAt.toISOString()}|${payment._id}`).toString('base64url');
+
+/**
+ * Filtro para los pagos posteriores a un cursor (orden descendente)
+ * @param {string} cursor - Cursor devuelto en la página anterior
+ * @returns {Object} Filtro de MongoDB
+ */
+const afterCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+
+  if (Number.isNaN(date.getTime()) || !/^[0-9a-f]{24}$/.test(id)) {
+    throw new ApiError('Cursor inválido', 400, 'INVALID_CURSOR');
+  }
+
+  return {
+    $or: [
+      { createdAt: { $lt: date } },
+      { createdAt: date, _id: { $lt: id } }
+    ]
+  };
+};
+
+/**
+ * Crear el manejador de webhooks de un proveedor. El evento verificado se
+ * guarda en la bandeja y se procesa en segundo plano.
+ * @param {string} providerName - Nombre del proveedor registrado
+ * @returns {Function} Middleware de Express
+ */
+const createWebhookHandler = (providerName) => asyncErrorHandler(async (req, res) => {
+  const verified = await providerRegistry.get(providerName).verifyWebhook(req);
+  const { duplicate } = await webhookService.ingest(providerName, verified);
+
+  res.json({ received: true, duplicate });
+});
 
 /**
  * Controlador para las operaciones de pago
@@ -15,114 +80,102 @@ class PaymentController {
    * Iniciar un nuevo pago
    */
   createPayment = asyncErrorHandler(async (req, res) => {
-    const { amount, currency, paymentMethod, type, itemId, billingDetails, serviceType } = req.body;
+    const { currency, paymentMethod, type, itemId, billingDetails, serviceType, invoice, couponCodes, quoteId } = req.body;
+
+    // Cupones y tipo de cambio se aplican en el servidor sobre el precio del catálogo
+    const pricing = await pricingService.priceCheckout({
+      userId: req.user.id,
+      type,
+      itemId,
+      amount: req.body.amount,
+      currency,
+      couponCodes,
+      quoteId
+    });
+
+    // Los pagos de servicios se validan contra el catálogo de emisores y el saldo adeudado
+    const service = type === 'service'
+      ? await billerService.preparePayment({ serviceType, amount: pricing.amount, billingDetails })
+      : null;
+
+    // Evaluar el riesgo del intento antes de contactar al proveedor
+    const risk = await riskService.assess({
+      userId: req.user.id,
+      ip: req.ip,
+      amount: pricing.amount,
+      currency,
+      paymentMethod,
+      billingDetails,
+      paymentMethodId: req.body.paymentMethodId
+    });
 
     // Crear registro de pago en la base de datos
     const payment = await Payment.create({
       userId: req.user.id,
-      amount,
+      amount: pricing.amount,
+      originalAmount: pricing.originalAmount,
+      discountAmount: pricing.discountAmount,
+      coupons: pricing.coupons,
+      exchange: pricing.exchange,
+      risk,
       currency,
       paymentMethod,
       type,
       itemId,
-      billingDetails,
-      serviceType,
+      billingDetails: service ? service.billingDetails : billingDetails,
+      serviceType: service ? service.balance.serviceType : serviceType,
+      invoice: invoice && invoice.required
+        ? { required: true, receiver: invoice.receiver, status: 'pending' }
+        : undefined,
+      provider: {
+        name: providerRegistry.providerFor(paymentMethod)
+      },
       status: 'pending'
     });
 
-    let paymentIntent;
+    // El intento bloqueado queda registrado para revisión; no se revelan las reglas
+    if (risk.decision === 'block') {
+      await payment.updateStatus('failed', {
+        code: 'RISK_BLOCKED',
+        message: 'Pago rechazado por el motor de riesgo'
+      });
+      throw new ApiError('No fue posible procesar el pago', 403, 'PAYMENT_BLOCKED');
+    }
+
+    // La cotización sólo se consume si el intento no se bloqueó
+    if (payment.exchange) {
+      await exchangeRateService.attachPayment(payment.exchange.quoteId, payment.paymentId);
+    }
+
     try {
-      // Procesar el pago según el método seleccionado
-      if (paymentMethod === 'paypal') {
-        const orderData = {
-          amount,
-          currency,
-          description: `Pago por ${type} - ${itemId}`,
-          items: [{
-            name: `${type} - ${itemId}`,
-            description: `Pago por ${type}`,
-            price: amount
-          }],
-          billingDetails
-        };
-        paymentIntent = await paypalService.createOrder(orderData);
-        
-        await payment.updateStatus('processing', {
-          provider: {
-            name: 'paypal',
-            paymentId: paymentIntent.id
-          }
-        });
-      } else if (paymentMethod === 'stp') {
-        // Procesar pago con STP
-        let stpPaymentIntent;
-        
-        if (type === 'service') {
-          // Pago de servicios
-          stpPaymentIntent = await stpUtilityService.payUtilityService({
-            serviceType,
-            agreementCode: billingDetails.agreementCode,
-            reference: billingDetails.reference,
-            amount,
-            dueDate: billingDetails.dueDate
-          });
-        } else {
-          // Transferencia SPEI normal
-          stpPaymentIntent = await stpService.createPaymentOrder({
-            concept: `Pago por ${type} - ${itemId}`,
-            amount,
-            beneficiaryName: billingDetails.beneficiaryName,
-            beneficiaryAccount: billingDetails.beneficiaryAccount,
-            beneficiaryBank: billingDetails.beneficiaryBank,
-            reference: billingDetails.reference
-          });
-        }
+      const result = await providerRegistry.get(payment.provider.name).create(payment);
 
-        await payment.updateStatus('processing', {
-          provider: {
-            name: 'stp',
-            paymentId: stpPaymentIntent.paymentId,
-            trackingKey: stpPaymentIntent.trackingKey
-          }
-        });
-
-        paymentIntent = stpPaymentIntent;
-      } else {
-        // Stripe (card, oxxo, spei)
-        const paymentData = {
-          amount,
-          currency,
-          paymentMethod,
-          description: `Pago por ${type} - ${itemId}`,
-          metadata: {
-            paymentId: payment.paymentId,
-            type,
-            itemId
-          },
-          billingDetails
-        };
-        paymentIntent = await stripeService.createPaymentIntent(paymentData);
-        
-        await payment.updateStatus('processing', {
-          provider: {
-            name: 'stripe',
-            paymentId: paymentIntent.id
-          }
-        });
+      Object.assign(payment.provider, result.provider);
+      if (result.voucher) {
+        payment.voucher = result.voucher;
       }
+      await payment.updateStatus('processing');
 
       res.status(201).json({
         status: 'success',
         data: {
           paymentId: payment.paymentId,
-          clientSecret: paymentIntent.client_secret,
+          amount: payment.amount,
+          currency: payment.currency,
+          discountAmount: payment.discountAmount,
+          exchange: payment.exchange,
+          clientSecret: result.clientSecret,
+          approvalUrl: result.approvalUrl,
           provider: payment.provider.name,
-          trackingKey: paymentIntent.trackingKey
+          trackingKey: result.trackingKey,
+          voucher: result.voucher
         }
       });
     } catch (error) {
       // Si hay error, actualizar el estado del pago
-      await payment.updateStatus('failed', error);
+      if (payment.canTransitionTo('failed')) {
+        await payment.updateStatus('failed', error);
+      }
       throw error;
     }
   });
@@ -145,51 +198,28 @@ class PaymentController {
       });
     }
 
+    // El monto en otra moneda sólo es válido mientras la cotización esté vigente
+    if (payment.exchange && payment.exchange.expiresAt <= new Date()) {
+      await exchangeRateService.cancelExpiredPayment(payment);
+      throw new ApiError('La cotización del tipo de cambio expiró; inicia un nuevo pago', 409, 'QUOTE_EXPIRED');
+    }
+
+    // Rechazar antes de contactar al proveedor si el pago ya no puede completarse
+    await payment.assertTransition('completed');
+
     try {
-      if (payment.provider.name === 'paypal') {
-        const capture = await paypalService.captureOrder(payment.provider.paymentId);
-        await payment.updateStatus('completed', {
-          provider: {
-            ...payment.provider,
-            chargeId: capture.purchase_units[0].payments.captures[0].id
-          }
-        });
-      } else if (payment.provider.name === 'stp') {
-        const status = payment.type === 'service' 
-          ? await stpUtilityService.checkUtilityPaymentStatus(payment.provider.paymentId)
-          : await stpService.getPaymentStatus(payment.provider.paymentId);
-
-        if (status.status === 'completed' || status.status === 'success') {
-          await payment.updateStatus('completed', {
-            provider: {
-              ...payment.provider,
-              chargeId: status.operationId || status.paymentId
-            }
-          });
-        } else if (status.status === 'failed' || status.status === 'rejected') {
-          await payment.updateStatus('failed', {
-            message: status.statusDetail || 'Pago rechazado por STP'
-          });
-        }
-      } else {
-        const paymentIntent = await stripeService.confirmPaymentIntent(
-          payment.provider.paymentId,
-          req.body.paymentMethod
-        );
-        await payment.updateStatus('completed', {
-          provider: {
-            ...payment.provider,
-            chargeId: paymentIntent.charges.data[0].id
-          }
-        });
-      }
+      const result = await providerRegistry.get(payment.provider.name)
+        .confirm(payment, { paymentMethod: req.body.paymentMethod });
+      await applyProviderStatus(payment, result);
 
       res.json({
         status: 'success',
         data: { payment }
       });
     } catch (error) {
-      await payment.updateStatus('failed', error);
+      if (error.code !== 'INVALID_STATUS_TRANSITION' && payment.canTransitionTo('failed')) {
+        await payment.updateStatus('failed', error);
+      }
       throw error;
     }
   });
@@ -201,49 +231,46 @@ class PaymentController {
     const { paymentId } = req.params;
     const { amount, reason } = req.body;
 
-    const payment = await Payment.findByPaymentId(paymentId);
-    if (!payment) {
+    const found = await Payment.findByPaymentId(paymentId);
+    if (!found) {
       throw new ApiError('Pago no encontrado', 404);
     }
 
-    if (!payment.isRefundable) {
-      throw new ApiError('Este pago no es reembolsable', 400);
+    const adapter = providerRegistry.get(found.provider.name);
+    if (!adapter.canRefund(found)) {
+      throw new ApiError(
+        'El proveedor no admite reembolsos para este pago',
+        400,
+        'REFUND_NOT_SUPPORTED'
+      );
     }
 
-    try {
-      let refund;
-      if (payment.provider.name === 'paypal') {
-        refund = await paypalService.processRefund(
-          payment.provider.chargeId,
-          amount || payment.amount,
-          reason
-        );
-      } else if (payment.provider.name === 'stp') {
-        refund = await stpService.createRefund({
-          originalPaymentId: payment.provider.paymentId,
-          amount: amount || payment.amount,
-          reason,
-          beneficiaryAccount: payment.billingDetails.beneficiaryAccount,
-          beneficiaryName: payment.billingDetails.beneficiaryName
-        });
-      } else {
-        refund = await stripeService.processRefund(
-          payment.provider.paymentId,
-          amount || payment.amount,
-          reason
-        );
-      }
+    // Reservar el monto antes de llamar al proveedor; valida el saldo restante
+    const { payment, refund: refundEntry } = await found.processRefund(amount, reason);
 
-      await payment.processRefund(amount, reason);
-
-      res.json({
-        status: 'success',
-        data: { refund }
+    let result;
+    try {
+      result = await adapter.refund(payment, {
+        amount: refundEntry.amount,
+        reason
       });
     } catch (error) {
       logger.error('Error processing refund:', error);
+      await payment.settleRefund(refundEntry.refundId, { status: 'failed', error });
       throw new ApiError('Error al procesar el reembolso', 500);
     }
+
+    await payment.settleRefund(refundEntry.refundId, result);
+
+    res.json({
+      status: 'success',
+      data: {
+        refund: payment.refunds.find(entry => entry.refundId === refundEntry.refundId),
+        refundedAmount: payment.refundedAmount,
+        refundableAmount: payment.refundableAmount,
+        paymentStatus: payment.status
+      }
+    });
   });
 
   /**
@@ -260,29 +287,8 @@ class PaymentController {
     // Si el pago está en proceso, verificar con el proveedor
     if (payment.status === 'processing') {
       try {
-        if (payment.provider.name === 'paypal') {
-          const orderDetails = await paypalService.getOrderDetails(payment.provider.paymentId);
-          if (orderDetails.status === 'COMPLETED') {
-            await payment.updateStatus('completed');
-          }
-        } else if (payment.provider.name === 'stp') {
-          const status = payment.type === 'service'
-            ? await stpUtilityService.checkUtilityPaymentStatus(payment.provider.paymentId)
-            : await stpService.getPaymentStatus(payment.provider.paymentId);
-
-          if (status.status === 'completed' || status.status === 'success') {
-            await payment.updateStatus('completed');
-          } else if (status.status === 'failed' || status.status === 'rejected') {
-            await payment.updateStatus('failed', {
-              message: status.statusDetail || 'Pago rechazado por STP'
-            });
-          }
-        } else {
-          const paymentIntent = await stripeService.retrievePaymentIntent(payment.provider.paymentId);
-          if (paymentIntent.status === 'succeeded') {
-            await payment.updateStatus('completed');
-          }
-        }
+        const result = await providerRegistry.get(payment.provider.name).getStatus(payment);
+        await applyProviderStatus(payment, result);
       } catch (error) {
         logger.error('Error checking payment status:', error);
       }
@@ -295,108 +301,120 @@ class PaymentController {
   });
 
   /**
-   * Manejar webhook de Stripe
+   * Historial de pagos del usuario autenticado
    */
-  handleStripeWebhook = asyncErrorHandler(async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    const event = stripeService.verifyWebhookSignature(req.rawBody, sig);
-
-    const paymentIntent = event.data.object;
-    const payment = await Payment.findOne({
-      'provider.name': 'stripe',
-      'provider.paymentId': paymentIntent.id
-    });
+  getPaymentHistory = asyncErrorHandler(async (req, res) => {
+    const { status, paymentMethod, type, serviceType, reference, startDate, endDate, cursor } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
 
-    if (!payment) {
-      throw new ApiError('Pago no encontrado', 404);
+    const filters = [{ userId: req.user.id }];
+    if (status) {
+      filters.push({ status });
+    }
+    if (paymentMethod) {
+      filters.push({ paymentMethod });
+    }
+    if (type) {
+      filters.push({ type });
+    }
+    if (serviceType) {
+      filters.push({ serviceType });
+    }
+    if (reference) {
+      filters.push({ 'billingDetails.reference': reference });
+    }
+    if (startDate || endDate) {
+      const createdAt = {};
+      if (startDate) {
+        createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        createdAt.$lte = new Date(endDate);
+      }
+      filters.push({ createdAt });
+    }
+    if (cursor) {
+      filters.push(afterCursor(cursor));
     }
 
-    await payment.addWebhookEvent(event.type, event.data.object);
+    // Se pide un pago de más para saber si hay otra página
+    const payments = await Payment.find({ $and: filters })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('-webhookEvents -attempts -provider.clabe');
 
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await payment.updateStatus('completed');
-        break;
-      case 'payment_intent.payment_failed':
-        await payment.updateStatus('failed', paymentIntent.last_payment_error);
-        break;
-    }
+    const hasMore = payments.length > limit;
+    const page = hasMore ? payments.slice(0, limit) : payments;
 
-    res.json({ received: true });
+    res.json({
+      status: 'success',
+      results: page.length,
+      data: page,
+      pagination: {
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
   });
 
   /**
-   * Manejar webhook de PayPal
+   * Descargar el recibo en PDF de un pago completado
    */
-  handlePayPalWebhook = asyncErrorHandler(async (req, res) => {
-    const isValid = await paypalService.verifyWebhook(req.headers, req.body);
-    if (!isValid) {
-      throw new ApiError('Invalid webhook signature', 400);
-    }
-
-    const event = req.body;
-    const payment = await Payment.findOne({
-      'provider.name': 'paypal',
-      'provider.paymentId': event.resource.id
-    });
+  downloadReceipt = asyncErrorHandler(async (req, res) => {
+    const payment = await Payment.findByPaymentId(req.params.paymentId);
 
-    if (!payment) {
+    if (!payment || (payment.userId !== req.user.id && req.user.role !== 'admin')) {
       throw new ApiError('Pago no encontrado', 404);
     }
 
-    await payment.addWebhookEvent(event.event_type, event.resource);
-
-    switch (event.event_type) {
-      case 'PAYMENT.CAPTURE.COMPLETED':
-        await payment.updateStatus('completed');
-        break;
-      case 'PAYMENT.CAPTURE.DENIED':
-        await payment.updateStatus('failed', { message: 'Payment denied by PayPal' });
-        break;
+    if (!RECEIPT_STATUSES.includes(payment.status)) {
+      throw new ApiError('El recibo sólo está disponible para pagos completados', 409, 'RECEIPT_NOT_AVAILABLE');
     }
 
-    res.json({ received: true });
+    const pdf = await pdfService.renderReceipt(payment);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="recibo-${payment.paymentId}.pdf"`);
+    res.send(pdf);
   });
 
   /**
-   * Manejar webhook de STP
+   * Obtener la ficha de pago OXXO
    */
-  handleSTPWebhook = asyncErrorHandler(async (req, res) => {
-    const isValid = await stpService.verifyWebhook(req.headers, req.body);
-    if (!isValid) {
-      throw new ApiError('Invalid webhook signature', 400);
-    }
-
-    const event = req.body;
-    const payment = await Payment.findOne({
-      'provider.name': 'stp',
-      'provider.trackingKey': event.trackingKey
-    });
+  getVoucher = asyncErrorHandler(async (req, res) => {
+    const payment = await Payment.findByPaymentId(req.params.paymentId);
 
-    if (!payment) {
+    if (!payment || (payment.userId !== req.user.id && req.user.role !== 'admin')) {
       throw new ApiError('Pago no encontrado', 404);
     }
 
-    await payment.addWebhookEvent(event.type, event);
-
-    switch (event.type) {
-      case 'payment.succeeded':
-        await payment.updateStatus('completed', {
-          provider: {
-            ...payment.provider,
-            chargeId: event.operationId
-          }
-        });
-        break;
-      case 'payment.failed':
-        await payment.updateStatus('failed', {
-          message: event.failureReason || 'Pago fallido en STP'
-        });
-        break;
-    }
+    const voucher = await voucherService.getVoucher(payment);
 
-    res.json({ received: true });
+    res.json({
+      status: 'success',
+      data: {
+        paymentId: payment.paymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        voucher
+      }
+    });
   });
+
+  /**
+   * Manejar webhook de Stripe
+   */
+  handleStripeWebhook = createWebhookHandler('stripe');
+
+  /**
+   * Manejar webhook de PayPal
+   */
+  handlePayPalWebhook = createWebhookHandler('paypal');
+
+  /**
+   * Manejar webhook de STP
+   */
+  handleSTPWebhook = createWebhookHandler('stp');
 }
 
 module.exports = new PaymentController();
@@ -0,0 +1,138 @@
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutLine = require('../models/PayoutLine');
+const payoutService = require('../services/payoutService');
+const ApiError = require('../utils/ApiError');
+const { toCsv } = require('../utils/csv');
+const { asyncErrorHandler } = require('../middleware/error');
+
+const RESULT_COLUMNS = [
+  'lineNumber',
+  'clabe',
+  'name',
+  'bank',
+  'amount',
+  'concept',
+  'status',
+  'trackingKey',
+  'error',
+  'submittedAt',
+  'settledAt'
+];
+
+/**
+ * Obtener un lote o responder 404
+ * @param {string} batchId - ID del lote
+ * @returns {Promise<Object>}
+ */
+const findBatch = async (batchId) => {
+  const batch = await PayoutBatch.findByBatchId(batchId);
+
+  if (!batch) {
+    throw ApiError.notFoundError('Lote no encontrado');
+  }
+
+  return batch;
+};
+
+/**
+ * Controlador para dispersiones SPEI por lote (administración)
+ */
+class PayoutController {
+  /**
+   * Cargar un lote desde un archivo CSV
+   */
+  uploadBatch = asyncErrorHandler(async (req, res) => {
+    const { batch, lines } = await payoutService.createBatch({
+      csv: typeof req.body === 'string' ? req.body : '',
+      filename: req.query.filename,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        batch,
+        invalidLines: lines
+          .filter(line => line.status === 'invalid')
+          .map(line => ({
+            lineNumber: line.lineNumber,
+            clabe: line.clabe,
+            errors: line.validationErrors
+          }))
+      }
+    });
+  });
+
+  /**
+   * Listar lotes
+   */
+  listBatches = asyncErrorHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const batches = await PayoutBatch.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      status: 'success',
+      results: batches.length,
+      data: batches
+    });
+  });
+
+  /**
+   * Obtener un lote con sus renglones
+   */
+  getBatch = asyncErrorHandler(async (req, res) => {
+    const batch = await findBatch(req.params.batchId);
+    const lines = await PayoutLine.find({ batch: batch._id }).sort({ lineNumber: 1 });
+
+    res.json({
+      status: 'success',
+      data: { batch, lines }
+    });
+  });
+
+  /**
+   * Aprobar un lote para enviar sus órdenes a STP
+   */
+  approveBatch = asyncErrorHandler(async (req, res) => {
+    const batch = await payoutService.approve(req.params.batchId, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: batch
+    });
+  });
+
+  /**
+   * Rechazar un lote
+   */
+  rejectBatch = asyncErrorHandler(async (req, res) => {
+    const batch = await payoutService.reject(req.params.batchId, req.user.id, req.body.reason);
+
+    res.json({
+      status: 'success',
+      data: batch
+    });
+  });
+
+  /**
+   * Descargar el resultado de cada renglón en CSV
+   */
+  downloadResult = asyncErrorHandler(async (req, res) => {
+    const batch = await findBatch(req.params.batchId);
+    const rows = await payoutService.getResultRows(batch);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="dispersion-${batch.batchId}.csv"`);
+    res.send(toCsv(rows, RESULT_COLUMNS));
+  });
+}
+
+module.exports = new PayoutController();
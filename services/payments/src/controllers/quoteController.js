@@ -0,0 +1,47 @@
+const catalogService = require('../services/catalogService');
+const exchangeRateService = require('../services/exchangeRateService');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Controlador para cotizaciones de tipo de cambio
+ */
+class QuoteController {
+  /**
+   * Cotizar el cobro en otra moneda; con `type` e `itemId` incluye el precio convertido.
+   * El `quoteId` se envía al crear el pago para respetar el tipo de cambio mostrado.
+   */
+  createQuote = asyncErrorHandler(async (req, res) => {
+    const { currency, type, itemId } = req.body;
+
+    const quote = await exchangeRateService.createQuote({ userId: req.user.id, currency });
+
+    let price;
+    if (type && itemId) {
+      const item = await catalogService.getItem(type, itemId);
+      if (item && typeof item.price === 'number') {
+        const { pricing } = exchangeRateService.convert(
+          { amount: item.price, originalAmount: item.price, coupons: [] },
+          quote
+        );
+        price = {
+          [quote.baseCurrency]: item.price,
+          [quote.currency]: pricing.amount
+        };
+      }
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        quoteId: quote.quoteId,
+        baseCurrency: quote.baseCurrency,
+        currency: quote.currency,
+        rate: quote.rate,
+        expiresAt: quote.expiresAt,
+        price
+      }
+    });
+  });
+}
+
+module.exports = new QuoteController();
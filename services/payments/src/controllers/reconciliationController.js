@@ -0,0 +1,81 @@
+const Reconciliation = require('../models/Reconciliation');
+const reconciliationService = require('../services/reconciliationService');
+const ApiError = require('../utils/ApiError');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Controlador para los reportes de conciliación de STP
+ */
+class ReconciliationController {
+  /**
+   * Listar reportes de conciliación
+   */
+  listReconciliations = asyncErrorHandler(async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [reconciliations, total] = await Promise.all([
+      Reconciliation.find(query)
+        .sort({ 'period.startDate': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-matched'),
+      Reconciliation.countDocuments(query)
+    ]);
+
+    res.json({
+      status: 'success',
+      results: reconciliations.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: reconciliations
+    });
+  });
+
+  /**
+   * Obtener un reporte de conciliación
+   */
+  getReconciliation = asyncErrorHandler(async (req, res) => {
+    const reconciliation = await Reconciliation.findByReconciliationId(
+      req.params.reconciliationId
+    );
+
+    if (!reconciliation) {
+      throw new ApiError('Conciliación no encontrada', 404);
+    }
+
+    res.json({
+      status: 'success',
+      data: reconciliation
+    });
+  });
+
+  /**
+   * Ejecutar una conciliación manualmente
+   */
+  runReconciliation = asyncErrorHandler(async (req, res) => {
+    const { date, autoComplete } = req.body;
+
+    const reconciliation = await reconciliationService.runDailyReconciliation({
+      date,
+      autoComplete,
+      triggeredBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: reconciliation
+    });
+  });
+}
+
+module.exports = new ReconciliationController();
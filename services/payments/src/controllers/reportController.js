@@ -0,0 +1,105 @@
+const reportService = require('../services/reportService');
+const { toCsv } = require('../utils/csv');
+const { asyncErrorHandler } = require('../middleware/error');
+
+const REVENUE_COLUMNS = [
+  'period',
+  'currency',
+  'payments',
+  'gross',
+  'discounts',
+  'refunded',
+  'net',
+  'refundRate',
+  'refundedPayments'
+];
+
+/**
+ * Rango del reporte; `endDate` incluye el día completo cuando no trae hora
+ * @param {Object} query - Parámetros de la petición
+ * @returns {Object} { startDate, endDate }
+ */
+const parseRange = ({ startDate, endDate }) => {
+  const end = new Date(endDate);
+  if (!endDate.includes('T')) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+
+  return { startDate: new Date(startDate), endDate: end };
+};
+
+/**
+ * Responder con JSON o, si se pidió `format=csv`, con un archivo CSV
+ * @param {Object} req - Petición
+ * @param {Object} res - Respuesta
+ * @param {Object} report - { data, rows, columns, name }
+ */
+const sendReport = (req, res, { data, rows, columns, name }) => {
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set(
+      'Content-Disposition',
+      `attachment; filename="${name}-${req.query.startDate}-${req.query.endDate}.csv"`
+    );
+    return res.send(toCsv(rows, columns));
+  }
+
+  res.json({
+    status: 'success',
+    data
+  });
+};
+
+/**
+ * Controlador para los reportes financieros (administración)
+ */
+class ReportController {
+  /**
+   * Ingresos brutos y netos por día, semana o mes
+   */
+  getRevenue = asyncErrorHandler(async (req, res) => {
+    const { groupBy = 'day', by } = req.query;
+    const report = await reportService.getRevenue({ ...parseRange(req.query), groupBy, by });
+
+    const columns = by && by !== 'currency'
+      ? [REVENUE_COLUMNS[0], by, ...REVENUE_COLUMNS.slice(1)]
+      : REVENUE_COLUMNS;
+
+    sendReport(req, res, {
+      data: { groupBy, by, ...report },
+      rows: report.rows,
+      columns,
+      name: `ingresos-${groupBy}`
+    });
+  });
+
+  /**
+   * Tasa de fallos por proveedor y código de error
+   */
+  getFailures = asyncErrorHandler(async (req, res) => {
+    const report = await reportService.getFailures(parseRange(req.query));
+
+    sendReport(req, res, {
+      data: report,
+      rows: report.errors,
+      columns: ['provider', 'errorCode', 'failed', 'total', 'failureRate', 'sampleMessage'],
+      name: 'fallos'
+    });
+  });
+
+  /**
+   * Tiempo promedio de pending a completed
+   */
+  getCompletionTime = asyncErrorHandler(async (req, res) => {
+    const rows = await reportService.getCompletionTime(parseRange(req.query));
+
+    sendReport(req, res, {
+      data: rows,
+      rows,
+      columns: ['provider', 'paymentMethod', 'payments', 'avgSeconds', 'minSeconds', 'maxSeconds'],
+      name: 'tiempo-de-cobro'
+    });
+  });
+}
+
+module.exports = new ReportController();
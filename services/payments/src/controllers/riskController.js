@@ -0,0 +1,118 @@
+const Payment = require('../models/Payment');
+const RiskRule = require('../models/RiskRule');
+const riskService = require('../services/riskService');
+const ApiError = require('../utils/ApiError');
+const { asyncErrorHandler } = require('../middleware/error');
+
+const RULE_FIELDS = ['params', 'score', 'action', 'paymentMethods', 'enabled'];
+
+/**
+ * Controlador para reglas y revisión del motor de riesgo (administración)
+ */
+class RiskController {
+  /**
+   * Listar reglas
+   */
+  listRules = asyncErrorHandler(async (req, res) => {
+    const rules = await riskService.listRules();
+
+    res.json({
+      status: 'success',
+      results: rules.length,
+      data: rules
+    });
+  });
+
+  /**
+   * Crear una regla sobre una de las señales soportadas
+   */
+  createRule = asyncErrorHandler(async (req, res) => {
+    const rule = await RiskRule.create({
+      name: req.body.name,
+      signal: req.body.signal,
+      ...RULE_FIELDS.reduce((fields, field) => {
+        if (req.body[field] !== undefined) {
+          fields[field] = req.body[field];
+        }
+        return fields;
+      }, {}),
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: rule
+    });
+  });
+
+  /**
+   * Ajustar umbrales, puntaje, acción o estado de una regla
+   */
+  updateRule = asyncErrorHandler(async (req, res) => {
+    const updates = { updatedBy: req.user.id };
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const rule = await RiskRule.findOneAndUpdate({ name: req.params.name }, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!rule) {
+      throw ApiError.notFoundError('Regla no encontrada');
+    }
+
+    res.json({
+      status: 'success',
+      data: rule
+    });
+  });
+
+  /**
+   * Pagos desafiados o bloqueados, por defecto los pendientes de revisión
+   */
+  listPayments = asyncErrorHandler(async (req, res) => {
+    const { decision, review = 'pending' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {
+      'risk.decision': decision || { $in: ['challenge', 'block'] },
+      'risk.review.status': review
+    };
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('paymentId userId amount currency paymentMethod status billingDetails.email +risk createdAt');
+
+    res.json({
+      status: 'success',
+      results: payments.length,
+      data: payments
+    });
+  });
+
+  /**
+   * Marcar un pago evaluado como legítimo o fraudulento
+   */
+  reviewPayment = asyncErrorHandler(async (req, res) => {
+    const payment = await riskService.review(req.params.paymentId, {
+      status: req.body.status,
+      note: req.body.note,
+      reviewedBy: req.user.id
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        paymentId: payment.paymentId,
+        risk: payment.risk
+      }
+    });
+  });
+}
+
+module.exports = new RiskController();
@@ -1,8 +1,12 @@
 const stpService = require('../services/stpService');
 const stpUtilityService = require('../services/stpUtilityService');
+const billerService = require('../services/billerService');
+const depositService = require('../services/depositService');
+const webhookService = require('../services/webhookService');
 const Payment = require('../models/Payment');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
+const { providerRegistry } = require('../services/providers');
 
 /**
  * Controlador para operaciones con STP
@@ -63,17 +67,15 @@ class STPController {
    */
   async createUtilityPayment(req, res, next) {
     try {
-      const { amount, serviceType, billingDetails } = req.body;
+      const { amount } = req.body;
 
-      // Validar referencia del servicio
-      const validation = await stpUtilityService.validateServiceReference(
-        serviceType,
-        billingDetails.reference
-      );
-
-      if (!validation.isValid) {
-        throw new ApiError('Referencia de servicio inválida', 400, validation.details);
-      }
+      // Validar emisor, convenio, referencia y monto contra el catálogo y el saldo
+      const { balance, billingDetails } = await billerService.preparePayment({
+        serviceType: req.body.serviceType,
+        amount,
+        billingDetails: req.body.billingDetails
+      });
+      const { serviceType } = balance;
 
       // Crear pago de servicio
       const stpPayment = await stpUtilityService.payUtilityService({
@@ -117,6 +119,159 @@ class STPController {
     }
   }
 
+  /**
+   * Listar los emisores del catálogo de servicios
+   */
+  async getAvailableServices(req, res, next) {
+    try {
+      const billers = await billerService.listBillers();
+
+      res.json({
+        status: 'success',
+        results: billers.length,
+        data: billers
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Validar una referencia y consultar el saldo adeudado antes de pagar
+   */
+  async validateServiceReference(req, res, next) {
+    try {
+      const { serviceType, reference, agreementCode } = req.body;
+      const balance = await billerService.inquireBalance({ serviceType, reference, agreementCode });
+
+      res.json({
+        status: 'success',
+        data: balance
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sincronizar el catálogo de emisores con STP (administración)
+   */
+  async syncBillerCatalog(req, res, next) {
+    try {
+      const summary = await billerService.syncCatalog();
+
+      res.json({
+        status: 'success',
+        data: summary
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Crear un pago a liquidar por transferencia SPEI a una CLABE virtual
+   */
+  async createDepositPayment(req, res, next) {
+    try {
+      const { amount, type, itemId, billingDetails, clabeScope = 'user' } = req.body;
+
+      const payment = await Payment.create({
+        userId: req.user.id,
+        amount,
+        currency: 'MXN',
+        status: 'pending',
+        paymentMethod: 'spei',
+        type,
+        itemId,
+        provider: {
+          name: 'stp'
+        },
+        billingDetails
+      });
+
+      const account = await depositService.getOrCreateVirtualAccount(
+        req.user.id,
+        clabeScope === 'payment' ? payment.paymentId : null
+      );
+
+      payment.provider.clabe = account.clabe;
+      await payment.save();
+
+      logger.info('Pago por depósito SPEI creado:', {
+        paymentId: payment.paymentId,
+        clabe: account.clabe,
+        amount
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          currency: payment.currency,
+          clabe: account.clabe,
+          bank: 'STP',
+          beneficiaryName: process.env.STP_BENEFICIARY_NAME,
+          reference: payment.paymentId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener la CLABE virtual del usuario para depósitos
+   */
+  async getVirtualAccount(req, res, next) {
+    try {
+      const account = await depositService.getOrCreateVirtualAccount(req.user.id);
+
+      res.json({
+        status: 'success',
+        data: {
+          clabe: account.clabe,
+          status: account.status,
+          createdAt: account.createdAt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Procesar notificación de abono SPEI de STP
+   */
+  async handleDepositWebhook(req, res, next) {
+    try {
+      const payload = req.body;
+
+      // Verificar firma del webhook
+      if (!stpService.verifyWebhook(req.headers, payload)) {
+        throw new ApiError('Firma del webhook inválida', 400);
+      }
+
+      const result = await depositService.applyDeposit(payload);
+
+      logger.info('Webhook de abono STP procesado:', {
+        trackingKey: payload.claveRastreo,
+        status: result.deposit.status,
+        duplicate: Boolean(result.duplicate)
+      });
+
+      // STP espera "confirmar" para aceptar el abono o "devolver" para regresarlo
+      if (result.returnDeposit) {
+        return res.json({ mensaje: 'devolver', id: 1 });
+      }
+
+      res.json({ mensaje: 'confirmar' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Validar cuenta beneficiaria
    */
@@ -187,53 +342,15 @@ class STPController {
   }
 
   /**
-   * Procesar webhook de STP
+   * Procesar webhook de STP; el evento se guarda en la bandeja y se aplica
+   * en segundo plano
    */
   async handleWebhook(req, res, next) {
     try {
-      const signature = req.headers['stp-signature'];
-      const payload = req.body;
-
-      // Verificar firma del webhook
-      if (!stpService.verifyWebhook(req.headers, payload)) {
-        throw new ApiError('Firma del webhook inválida', 400);
-      }
-
-      // Obtener el pago
-      const payment = await Payment.findOne({
-        'provider.trackingKey': payload.claveRastreo
-      });
-
-      if (!payment) {
-        throw new ApiError('Pago no encontrado', 404);
-      }
-
-      // Actualizar estado del pago
-      const status = await stpService.getPaymentStatus(payload.id);
-      await payment.updateStatus(status.status, status.statusDetail);
-
-      // Si es un pago de servicio, verificar estado adicional
-      if (payment.type === 'service') {
-        const utilityStatus = await stpUtilityService.checkUtilityPaymentStatus(
-          payment.provider.paymentId
-        );
-        
-        if (utilityStatus.receiptUrl) {
-          payment.invoice = {
-            required: true,
-            url: utilityStatus.receiptUrl,
-            issuedAt: utilityStatus.confirmedAt
-          };
-          await payment.save();
-        }
-      }
-
-      logger.info('Webhook STP procesado:', {
-        paymentId: payment.paymentId,
-        status: status.status
-      });
+      const verified = providerRegistry.get('stp').verifyWebhook(req);
+      const { duplicate } = await webhookService.ingest('stp', verified);
 
-      res.json({ received: true });
+      res.json({ received: true, duplicate });
     } catch (error) {
       next(error);
     }
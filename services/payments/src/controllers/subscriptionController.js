@@ -0,0 +1,129 @@
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const subscriptionService = require('../services/subscriptionService');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Controlador para planes y suscripciones
+ */
+class SubscriptionController {
+  /**
+   * Listar los planes disponibles
+   */
+  listPlans = asyncErrorHandler(async (req, res) => {
+    const plans = await SubscriptionPlan.find({ active: true }).sort({ amount: 1 });
+
+    res.json({
+      status: 'success',
+      results: plans.length,
+      data: plans
+    });
+  });
+
+  /**
+   * Crear un plan (administración)
+   */
+  createPlan = asyncErrorHandler(async (req, res) => {
+    const plan = await subscriptionService.createPlan(req.body);
+
+    res.status(201).json({
+      status: 'success',
+      data: plan
+    });
+  });
+
+  /**
+   * Contratar un plan
+   */
+  createSubscription = asyncErrorHandler(async (req, res) => {
+    const { subscription, clientSecret } = await subscriptionService.subscribe(
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        subscription,
+        clientSecret
+      }
+    });
+  });
+
+  /**
+   * Listar las suscripciones del usuario
+   */
+  listSubscriptions = asyncErrorHandler(async (req, res) => {
+    const subscriptions = await Subscription.find({ userId: req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      results: subscriptions.length,
+      data: subscriptions
+    });
+  });
+
+  /**
+   * Obtener una suscripción
+   */
+  getSubscription = asyncErrorHandler(async (req, res) => {
+    const subscription = await subscriptionService.getUserSubscription(
+      req.params.subscriptionId,
+      req.user
+    );
+
+    res.json({
+      status: 'success',
+      data: subscription
+    });
+  });
+
+  /**
+   * Pausar una suscripción
+   */
+  pauseSubscription = asyncErrorHandler(async (req, res) => {
+    const subscription = await subscriptionService.getUserSubscription(
+      req.params.subscriptionId,
+      req.user
+    );
+
+    res.json({
+      status: 'success',
+      data: await subscriptionService.pause(subscription)
+    });
+  });
+
+  /**
+   * Reanudar una suscripción pausada
+   */
+  resumeSubscription = asyncErrorHandler(async (req, res) => {
+    const subscription = await subscriptionService.getUserSubscription(
+      req.params.subscriptionId,
+      req.user
+    );
+
+    res.json({
+      status: 'success',
+      data: await subscriptionService.resume(subscription)
+    });
+  });
+
+  /**
+   * Cancelar una suscripción
+   */
+  cancelSubscription = asyncErrorHandler(async (req, res) => {
+    const subscription = await subscriptionService.getUserSubscription(
+      req.params.subscriptionId,
+      req.user
+    );
+    const { immediately, reason } = req.body;
+
+    res.json({
+      status: 'success',
+      data: await subscriptionService.cancel(subscription, { immediately, reason })
+    });
+  });
+}
+
+module.exports = new SubscriptionController();
@@ -0,0 +1,74 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const webhookService = require('../services/webhookService');
+const ApiError = require('../utils/ApiError');
+const { asyncErrorHandler } = require('../middleware/error');
+
+/**
+ * Controlador para la bandeja de webhooks entrantes (administración)
+ */
+class WebhookController {
+  /**
+   * Listar eventos, por defecto los fallidos
+   */
+  listEvents = asyncErrorHandler(async (req, res) => {
+    const { status = 'failed', provider, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = { status };
+    if (provider) {
+      query.provider = provider;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const events = await WebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-payload');
+
+    res.json({
+      status: 'success',
+      results: events.length,
+      data: events
+    });
+  });
+
+  /**
+   * Obtener un evento con su cuerpo
+   */
+  getEvent = asyncErrorHandler(async (req, res) => {
+    const event = await WebhookEvent.findById(req.params.id);
+
+    if (!event) {
+      throw ApiError.notFoundError('Evento de webhook no encontrado');
+    }
+
+    res.json({
+      status: 'success',
+      data: event
+    });
+  });
+
+  /**
+   * Volver a procesar un evento
+   */
+  replayEvent = asyncErrorHandler(async (req, res) => {
+    const event = await webhookService.replay(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        id: event._id,
+        provider: event.provider,
+        eventId: event.eventId,
+        status: event.status,
+        attempts: event.attempts,
+        nextAttemptAt: event.nextAttemptAt,
+        lastError: event.lastError
+      }
+    });
+  });
+}
+
+module.exports = new WebhookController();
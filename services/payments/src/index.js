@@ -1,3 +1,6 @@
+// Las variables de entorno deben cargarse antes que cualquier módulo que las lea
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -8,8 +11,7 @@ const routes = require('./routes');
 const { errorHandler } = require('./middleware/error');
 const logger = require('./config/logger');
 const { apiUsageTracker, blockMaliciousIps } = require('./middleware/rateLimiter');
-
-require('dotenv').config();
+const agendaService = require('./services/agendaService');
 
 const app = express();
 
@@ -67,6 +69,16 @@ try {
   process.exit(1);
 }
 
+// Validar configuración de facturación
+const invoicingConfig = require('./config/invoicing');
+try {
+  invoicingConfig.validate();
+  logger.info('Invoicing configuration validated successfully');
+} catch (error) {
+  logger.error('Invoicing configuration validation failed:', error);
+  process.exit(1);
+}
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -102,6 +114,9 @@ const gracefulShutdown = async () => {
   try {
     logger.info('Iniciando shutdown graceful...');
 
+    // Detener trabajos programados
+    await agendaService.gracefulShutdown();
+
     // Cerrar conexión a MongoDB
     await mongoose.connection.close();
     logger.info('Conexión a MongoDB cerrada');
@@ -125,6 +140,14 @@ process.on('SIGINT', gracefulShutdown);
 const PORT = process.env.PORT || 5002;
 const server = app.listen(PORT, async () => {
   await connectDB();
+
+  try {
+    await agendaService.start();
+  } catch (error) {
+    logger.error('Error al iniciar Agenda:', error);
+    process.exit(1);
+  }
+
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
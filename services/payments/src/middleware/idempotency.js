@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Serializar un objeto con las llaves ordenadas para que el
+ * fingerprint no dependa del orden de los campos del cliente
+ * @param {*} value - Valor a serializar
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Calcular el fingerprint de una solicitud
+ * @param {Object} req - Request de Express
+ * @returns {string} Hash SHA-256 en hexadecimal
+ */
+const getFingerprint = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.baseUrl}${req.path}:${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Middleware para soportar el header Idempotency-Key en la creación de pagos.
+ * La primera solicitud guarda su fingerprint y su respuesta; los reintentos
+ * con la misma llave reciben la respuesta original sin volver a llamar al
+ * proveedor. Reutilizar una llave con un cuerpo distinto se rechaza.
+ */
+exports.idempotency = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  try {
+    if (key.length > 255) {
+      throw ApiError.validationError('Idempotency-Key no puede exceder 255 caracteres');
+    }
+
+    const fingerprint = getFingerprint(req);
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId: req.user.id,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        fingerprint
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await IdempotencyKey.findOne({ key, userId: req.user.id });
+
+      if (!existing) {
+        throw ApiError.conflictError('La solicitud con esta Idempotency-Key aún está en proceso');
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        throw new ApiError(
+          'Idempotency-Key ya fue utilizada con un cuerpo de solicitud distinto',
+          422,
+          'IDEMPOTENCY_KEY_MISMATCH'
+        );
+      }
+
+      if (existing.status === 'processing') {
+        throw ApiError.conflictError('La solicitud con esta Idempotency-Key aún está en proceso');
+      }
+
+      logger.info(`Respuesta reproducida para Idempotency-Key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Capturar el cuerpo JSON para guardarlo junto con la llave
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    // La llave se cierra al terminar la respuesta, sin importar si se envió con
+    // res.json, res.send o res.end. Sólo las respuestas JSON menores a 500 se
+    // reproducen; en otro caso se libera la llave para que el reintento se ejecute.
+    let finalized = false;
+    const finalize = () => {
+      if (finalized) {
+        return;
+      }
+      finalized = true;
+
+      const persist = res.writableFinished && res.statusCode < 500 && responseBody !== undefined
+        ? record.complete(res.statusCode, responseBody)
+        : record.deleteOne();
+
+      persist.catch(error => {
+        logger.error(`Error guardando Idempotency-Key ${key}:`, error);
+      });
+    };
+
+    res.on('finish', finalize);
+    res.on('close', finalize);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,13 @@
 const { body, param, query } = require('express-validator');
 const { validateRequest } = require('./error');
+const { isBeneficiaryAccount } = require('./validation/stpValidation');
+const reportsConfig = require('../config/reports');
+const RiskRule = require('../models/RiskRule');
+
+const RFC_PATTERN = /^[A-Z&Ñ]{3,4}[0-9]{2}(0[1-9]|1[012])(0[1-9]|[12][0-9]|3[01])[A-Z0-9]{2}[0-9A]$/;
+
+// Código del emisor; su disponibilidad se valida contra el catálogo sincronizado
+const SERVICE_TYPE_PATTERN = /^[A-Z0-9_]{2,20}$/;
 
 const validatePayment = [
   body('amount')
@@ -62,8 +70,8 @@ const validatePayment = [
   body('billingDetails.beneficiaryAccount')
     .if(body('paymentMethod').equals('stp'))
     .notEmpty()
-    .matches(/^\d{18}$/)
-    .withMessage('CLABE inválida (debe tener 18 dígitos)'),
+    .withMessage('Cuenta beneficiaria requerida')
+    .custom(isBeneficiaryAccount(req => req.body.billingDetails?.beneficiaryBank?.code)),
   
   body('billingDetails.beneficiaryBank.code')
     .if(body('paymentMethod').equals('stp'))
@@ -77,15 +85,68 @@ const validatePayment = [
     .isLength({ max: 30 })
     .withMessage('Referencia inválida'),
   
+  // Cupones
+  body('couponCodes')
+    .optional()
+    .isArray({ min: 1, max: 3 })
+    .withMessage('Se permiten de 1 a 3 cupones'),
+  
+  body('couponCodes.*')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Código de cupón inválido'),
+  
+  // Método de pago de Stripe; permite evaluar la tarjeta antes de crear el pago
+  body('paymentMethodId')
+    .optional()
+    .isString()
+    .matches(/^pm_\w+$/)
+    .withMessage('Método de pago inválido'),
+  
+  // Cotización de tipo de cambio para cobrar en USD
+  body('quoteId')
+    .optional()
+    .isString()
+    .matches(/^qt_/)
+    .withMessage('Cotización inválida'),
+  
+  // Datos fiscales para CFDI 4.0
+  body('invoice.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Indicador de factura inválido'),
+  
+  body('billingDetails.taxId')
+    .if(body('invoice.required').equals('true'))
+    .matches(RFC_PATTERN)
+    .withMessage('RFC inválido'),
+  
+  body('invoice.receiver.taxRegime')
+    .if(body('invoice.required').equals('true'))
+    .matches(/^\d{3}$/)
+    .withMessage('Régimen fiscal inválido'),
+  
+  body('invoice.receiver.cfdiUse')
+    .if(body('invoice.required').equals('true'))
+    .matches(/^[A-Z]\d{2}$|^CP01$|^CN01$/)
+    .withMessage('Uso de CFDI inválido'),
+  
+  body('invoice.receiver.postalCode')
+    .if(body('invoice.required').equals('true'))
+    .matches(/^\d{5}$/)
+    .withMessage('Código postal fiscal inválido'),
+  
   // Validaciones para pagos de servicios
   body('serviceType')
     .if(body('type').equals('service'))
-    .isIn(['CFE', 'TELMEX', 'AGUA', 'GAS'])
+    .matches(SERVICE_TYPE_PATTERN)
     .withMessage('Tipo de servicio no válido'),
   
+  // Opcional si el emisor tiene un solo convenio
   body('billingDetails.agreementCode')
     .if(body('type').equals('service'))
-    .notEmpty()
+    .optional()
     .matches(/^\d{6,8}$/)
     .withMessage('Código de convenio inválido'),
   
@@ -98,6 +159,53 @@ const validatePayment = [
   validateRequest
 ];
 
+const validateDepositPayment = [
+  body('amount')
+    .isFloat({ min: 1, max: 999999.99 })
+    .withMessage('El monto debe estar entre 1 y 999,999.99'),
+  
+  body('type')
+    .isIn(['course', 'webinar', 'subscription'])
+    .withMessage('Tipo de pago no válido'),
+  
+  body('itemId')
+    .notEmpty()
+    .withMessage('ID del item requerido'),
+  
+  body('billingDetails.name')
+    .notEmpty()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Nombre inválido'),
+  
+  body('billingDetails.email')
+    .isEmail()
+    .withMessage('Email inválido'),
+  
+  body('billingDetails.address.line1')
+    .notEmpty()
+    .withMessage('Dirección requerida'),
+  
+  body('billingDetails.address.city')
+    .notEmpty()
+    .withMessage('Ciudad requerida'),
+  
+  body('billingDetails.address.state')
+    .notEmpty()
+    .withMessage('Estado requerido'),
+  
+  body('billingDetails.address.postalCode')
+    .notEmpty()
+    .matches(/^\d{5}$/)
+    .withMessage('Código postal inválido'),
+  
+  body('clabeScope')
+    .optional()
+    .isIn(['user', 'payment'])
+    .withMessage('clabeScope debe ser "user" o "payment"'),
+  
+  validateRequest
+];
+
 const validateRefund = [
   param('paymentId')
     .notEmpty()
@@ -146,8 +254,8 @@ const validateAccountStatement = [
 const validateBeneficiaryAccount = [
   body('accountNumber')
     .notEmpty()
-    .matches(/^\d{18}$/)
-    .withMessage('CLABE inválida (debe tener 18 dígitos)'),
+    .withMessage('Cuenta requerida')
+    .custom(isBeneficiaryAccount(req => req.body.bankCode)),
   
   body('bankCode')
     .notEmpty()
@@ -159,7 +267,7 @@ const validateBeneficiaryAccount = [
 
 const validateServiceReference = [
   body('serviceType')
-    .isIn(['CFE', 'TELMEX', 'AGUA', 'GAS'])
+    .matches(SERVICE_TYPE_PATTERN)
     .withMessage('Tipo de servicio no válido'),
   
   body('reference')
@@ -167,13 +275,632 @@ const validateServiceReference = [
     .isLength({ min: 5, max: 30 })
     .withMessage('Referencia inválida'),
   
+  body('agreementCode')
+    .optional()
+    .matches(/^\d{6,8}$/)
+    .withMessage('Código de convenio inválido'),
+  
+  validateRequest
+];
+
+const validateReconciliationRun = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de conciliación inválida'),
+  
+  body('autoComplete')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('autoComplete debe ser booleano'),
+  
+  validateRequest
+];
+
+const validateInvoiceRequest = [
+  param('paymentId')
+    .notEmpty()
+    .withMessage('ID de pago requerido'),
+  
+  body('taxId')
+    .matches(RFC_PATTERN)
+    .withMessage('RFC inválido'),
+  
+  body('name')
+    .notEmpty()
+    .isLength({ max: 254 })
+    .withMessage('Razón social inválida'),
+  
+  body('taxRegime')
+    .matches(/^\d{3}$/)
+    .withMessage('Régimen fiscal inválido'),
+  
+  body('cfdiUse')
+    .matches(/^[A-Z]\d{2}$|^CP01$|^CN01$/)
+    .withMessage('Uso de CFDI inválido'),
+  
+  body('postalCode')
+    .matches(/^\d{5}$/)
+    .withMessage('Código postal fiscal inválido'),
+  
+  validateRequest
+];
+
+const validateInvoiceCancellation = [
+  param('invoiceId')
+    .notEmpty()
+    .withMessage('ID de factura requerido'),
+  
+  body('reason')
+    .isIn(['01', '02', '03', '04'])
+    .withMessage('Motivo de cancelación inválido'),
+  
+  body('replacementUuid')
+    .if(body('reason').equals('01'))
+    .isUUID()
+    .withMessage('UUID de sustitución requerido para el motivo 01'),
+  
+  validateRequest
+];
+
+const validateSubscriptionPlan = [
+  body('planId')
+    .matches(/^[a-z0-9-]{3,50}$/)
+    .withMessage('ID de plan inválido (minúsculas, números y guiones)'),
+  
+  body('name')
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Nombre del plan inválido'),
+  
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto debe ser mayor a 0'),
+  
+  body('currency')
+    .optional()
+    .isIn(['MXN', 'USD'])
+    .withMessage('Moneda no soportada'),
+  
+  body('interval')
+    .optional()
+    .isIn(['month', 'year'])
+    .withMessage('Periodicidad no válida'),
+  
+  body('intervalCount')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Número de periodos inválido'),
+  
+  body('trialDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Días de prueba inválidos'),
+  
+  validateRequest
+];
+
+const validateSubscription = [
+  body('planId')
+    .notEmpty()
+    .withMessage('Plan requerido'),
+  
+  body('paymentMethodId')
+    .notEmpty()
+    .withMessage('Método de pago requerido'),
+  
+  body('billingDetails.name')
+    .notEmpty()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Nombre inválido'),
+  
+  body('billingDetails.email')
+    .isEmail()
+    .withMessage('Email inválido'),
+  
+  body('billingDetails.address.line1')
+    .notEmpty()
+    .withMessage('Dirección requerida'),
+  
+  body('billingDetails.address.city')
+    .notEmpty()
+    .withMessage('Ciudad requerida'),
+  
+  body('billingDetails.address.state')
+    .notEmpty()
+    .withMessage('Estado requerido'),
+  
+  body('billingDetails.address.postalCode')
+    .notEmpty()
+    .matches(/^\d{5}$/)
+    .withMessage('Código postal inválido'),
+  
+  validateRequest
+];
+
+const validateSubscriptionCancellation = [
+  body('immediately')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('immediately debe ser booleano'),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres'),
+  
+  validateRequest
+];
+
+const validateCoupon = [
+  body('code')
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Código inválido (3 a 30 letras, números, guiones)'),
+  
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Tipo de descuento no válido'),
+  
+  body('value')
+    .isFloat({ min: 0.01 })
+    .withMessage('El descuento debe ser mayor a 0'),
+  
+  body('value')
+    .if(body('discountType').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('El porcentaje no puede ser mayor a 100'),
+  
+  body('currency')
+    .optional()
+    .isIn(['MXN', 'USD'])
+    .withMessage('Moneda no soportada'),
+  
+  body('maxDiscount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Descuento máximo inválido'),
+  
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Compra mínima inválida'),
+  
+  body('maxRedemptions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Límite de usos inválido'),
+  
+  body('maxRedemptionsPerUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Límite de usos por usuario inválido'),
+  
+  body('appliesTo.types')
+    .optional()
+    .isArray()
+    .withMessage('Tipos inválidos'),
+  
+  body('appliesTo.types.*')
+    .isIn(['course', 'webinar', 'subscription', 'service'])
+    .withMessage('Tipo de pago no válido'),
+  
+  body('appliesTo.itemIds')
+    .optional()
+    .isArray()
+    .withMessage('Los items deben ser una lista'),
+  
+  body('appliesTo.categories')
+    .optional()
+    .isArray()
+    .withMessage('Las categorías deben ser una lista'),
+  
+  body('stackable')
+    .optional()
+    .isBoolean()
+    .withMessage('stackable debe ser booleano'),
+  
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de inicio inválida'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de expiración inválida'),
+  
+  validateRequest
+];
+
+const validateCouponUpdate = [
+  body('code')
+    .not()
+    .exists()
+    .withMessage('El código del cupón no se puede modificar'),
+  
+  body('redemptionCount')
+    .not()
+    .exists()
+    .withMessage('El conteo de usos no se puede modificar'),
+  
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede exceder 500 caracteres'),
+  
+  body('discountType')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Tipo de descuento no válido'),
+  
+  body('value')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('El descuento debe ser mayor a 0'),
+  
+  body('value')
+    .if(body('discountType').equals('percentage'))
+    .optional()
+    .isFloat({ max: 100 })
+    .withMessage('El porcentaje no puede ser mayor a 100'),
+  
+  body('currency')
+    .optional()
+    .isIn(['MXN', 'USD'])
+    .withMessage('Moneda no soportada'),
+  
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.01 })
+    .withMessage('Descuento máximo inválido'),
+  
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Compra mínima inválida'),
+  
+  body('maxRedemptions')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Límite de usos inválido'),
+  
+  body('maxRedemptionsPerUser')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Límite de usos por usuario inválido'),
+  
+  body('appliesTo')
+    .optional()
+    .isObject()
+    .withMessage('appliesTo debe ser un objeto'),
+  
+  body('appliesTo.types')
+    .optional()
+    .isArray()
+    .withMessage('Tipos inválidos'),
+  
+  body('appliesTo.types.*')
+    .isIn(['course', 'webinar', 'subscription', 'service'])
+    .withMessage('Tipo de pago no válido'),
+  
+  body('appliesTo.itemIds')
+    .optional()
+    .isArray()
+    .withMessage('Los items deben ser una lista'),
+  
+  body('appliesTo.categories')
+    .optional()
+    .isArray()
+    .withMessage('Las categorías deben ser una lista'),
+  
+  body('stackable')
+    .optional()
+    .isBoolean()
+    .withMessage('stackable debe ser booleano'),
+  
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active debe ser booleano'),
+  
+  body('startsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Fecha de inicio inválida'),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Fecha de expiración inválida'),
+  
+  validateRequest
+];
+
+const validateCouponPreview = [
+  body('couponCodes')
+    .isArray({ min: 1, max: 3 })
+    .withMessage('Se permiten de 1 a 3 cupones'),
+  
+  body('type')
+    .isIn(['course', 'webinar', 'subscription', 'service'])
+    .withMessage('Tipo de pago no válido'),
+  
+  body('itemId')
+    .notEmpty()
+    .withMessage('ID del item requerido'),
+  
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto debe ser mayor a 0'),
+  
+  body('currency')
+    .optional()
+    .isIn(['MXN', 'USD'])
+    .withMessage('Moneda no soportada'),
+  
+  validateRequest
+];
+
+const validateWebhookEventQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'processed', 'failed'])
+    .withMessage('Estado de evento inválido'),
+  
+  query('provider')
+    .optional()
+    .isIn(['stripe', 'paypal', 'stp', 'fake'])
+    .withMessage('Proveedor inválido'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('El límite debe estar entre 1 y 200'),
+  
+  validateRequest
+];
+
+const validateWebhookEventId = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID de evento inválido'),
+  
+  validateRequest
+];
+
+const validateEventSubscriber = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Nombre requerido'),
+  
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_tld: false })
+    .withMessage('URL inválida'),
+  
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Se requiere al menos un evento'),
+  
+  body('events.*')
+    .isIn(['payment.completed', 'payment.failed', 'payment.refunded'])
+    .withMessage('Evento no soportado'),
+  
+  validateRequest
+];
+
+const validateEventSubscriberUpdate = [
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_tld: false })
+    .withMessage('URL inválida'),
+  
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Se requiere al menos un evento'),
+  
+  body('events.*')
+    .isIn(['payment.completed', 'payment.failed', 'payment.refunded'])
+    .withMessage('Evento no soportado'),
+  
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active debe ser booleano'),
+  
+  validateRequest
+];
+
+const validateReport = [
+  query('startDate')
+    .isISO8601()
+    .withMessage('La fecha inicial debe estar en formato ISO8601'),
+  
+  query('endDate')
+    .isISO8601()
+    .withMessage('La fecha final debe estar en formato ISO8601')
+    .custom((endDate, { req }) => {
+      const diffDays = (new Date(endDate) - new Date(req.query.startDate)) / (1000 * 60 * 60 * 24);
+
+      if (diffDays < 0) {
+        throw new Error('La fecha final debe ser posterior a la fecha inicial');
+      }
+      if (diffDays > reportsConfig.maxRangeDays) {
+        throw new Error(`El rango de fechas no puede ser mayor a ${reportsConfig.maxRangeDays} días`);
+      }
+      return true;
+    }),
+  
+  query('groupBy')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Agrupación inválida'),
+  
+  query('by')
+    .optional()
+    .isIn(['type', 'paymentMethod', 'currency'])
+    .withMessage('Dimensión inválida'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Formato inválido'),
+  
+  validateRequest
+];
+
+const validateQuote = [
+  body('currency')
+    .isIn(['USD'])
+    .withMessage('Moneda no soportada'),
+  
+  body('type')
+    .optional()
+    .isIn(['course', 'webinar'])
+    .withMessage('Tipo de item inválido'),
+  
+  body('itemId')
+    .if(body('type').exists())
+    .notEmpty()
+    .withMessage('ID del item requerido'),
+  
+  validateRequest
+];
+
+const validatePayoutBatchId = [
+  param('batchId')
+    .matches(/^pob_[0-9a-f-]{36}$/)
+    .withMessage('ID de lote inválido'),
+  
+  validateRequest
+];
+
+const validatePayoutRejection = [
+  ...validatePayoutBatchId.slice(0, -1),
+  
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('El motivo debe tener máximo 200 caracteres'),
+  
+  validateRequest
+];
+
+const validateRiskRuleUpdate = [
+  body('score')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('El puntaje debe estar entre 0 y 100'),
+  
+  body('params')
+    .optional()
+    .isObject()
+    .withMessage('params debe ser un objeto'),
+  
+  body('action')
+    .optional({ nullable: true })
+    .isIn(['challenge', 'block'])
+    .withMessage('Acción inválida'),
+  
+  body('paymentMethods')
+    .optional()
+    .isArray()
+    .withMessage('paymentMethods debe ser una lista'),
+  
+  body('paymentMethods.*')
+    .isIn(['card', 'oxxo', 'spei', 'paypal', 'stp'])
+    .withMessage('Método de pago no soportado'),
+  
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled debe ser booleano'),
+  
+  validateRequest
+];
+
+const validateRiskRule = [
+  body('name')
+    .matches(/^[a-z0-9-]{3,50}$/)
+    .withMessage('Nombre de regla inválido (minúsculas, números y guiones)'),
+  
+  body('signal')
+    .isIn(RiskRule.RISK_SIGNALS)
+    .withMessage('Señal de riesgo no soportada'),
+  
+  body('score')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('El puntaje debe estar entre 0 y 100'),
+  
+  // El resto de los campos son opcionales, igual que al actualizar
+  ...validateRiskRuleUpdate.slice(1)
+];
+
+const validateRiskQuery = [
+  query('decision')
+    .optional()
+    .isIn(['challenge', 'block'])
+    .withMessage('Decisión inválida'),
+  
+  query('review')
+    .optional()
+    .isIn(['pending', 'legitimate', 'fraud'])
+    .withMessage('Estado de revisión inválido'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('El límite debe estar entre 1 y 200'),
+  
+  validateRequest
+];
+
+const validateRiskReview = [
+  body('status')
+    .isIn(['legitimate', 'fraud'])
+    .withMessage('La revisión debe ser legitimate o fraud'),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('La nota debe tener máximo 500 caracteres'),
+  
   validateRequest
 ];
 
 module.exports = {
   validatePayment,
+  validateDepositPayment,
   validateRefund,
   validateAccountStatement,
   validateBeneficiaryAccount,
-  validateServiceReference
+  validateServiceReference,
+  validateReconciliationRun,
+  validateInvoiceRequest,
+  validateInvoiceCancellation,
+  validateSubscriptionPlan,
+  validateSubscription,
+  validateSubscriptionCancellation,
+  validateCoupon,
+  validateCouponUpdate,
+  validateCouponPreview,
+  validateWebhookEventQuery,
+  validateWebhookEventId,
+  validateEventSubscriber,
+  validateEventSubscriberUpdate,
+  validateReport,
+  validateQuote,
+  validatePayoutBatchId,
+  validatePayoutRejection,
+  validateRiskRule,
+  validateRiskRuleUpdate,
+  validateRiskQuery,
+  validateRiskReview
 };
@@ -1,5 +1,20 @@
 const { body, query, param } = require('express-validator');
-const { validateRequest } = require('./validateRequest');
+const { validateRequest } = require('../error');
+const beneficiaryAccount = require('../../utils/beneficiaryAccount');
+
+/**
+ * Validador de cuenta beneficiaria (CLABE, tarjeta o celular) contra su banco
+ * @param {Function} getBankCode - Obtiene de la petición la clave del banco
+ * @returns {Function} Validador para `.custom()`
+ */
+const isBeneficiaryAccount = (getBankCode) => (value, { req }) => {
+  const result = beneficiaryAccount.validateBeneficiaryAccount(value, { bankCode: getBankCode(req) });
+
+  if (!result.isValid) {
+    throw new Error(result.errors.join('; '));
+  }
+  return true;
+};
 
 /**
  * Validación para crear pago SPEI
@@ -20,8 +35,7 @@ const validateSTPPayment = [
   body('billingDetails.beneficiaryAccount')
     .isString()
     .trim()
-    .matches(/^\d{18}$/)
-    .withMessage('La CLABE debe tener 18 dígitos'),
+    .custom(isBeneficiaryAccount(req => req.body.billingDetails?.beneficiaryBank?.code)),
   
   body('billingDetails.beneficiaryBank.code')
     .isString()
@@ -53,10 +67,11 @@ const validateUtilityPayment = [
     .withMessage('El monto debe estar entre 1 y 999,999.99'),
   
   body('serviceType')
-    .isIn(['CFE', 'TELMEX', 'AGUA', 'GAS'])
+    .matches(/^[A-Z0-9_]{2,20}$/)
     .withMessage('Tipo de servicio no válido'),
   
   body('billingDetails.agreementCode')
+    .optional()
     .isString()
     .trim()
     .isLength({ min: 1, max: 20 })
@@ -111,8 +126,7 @@ const validateBeneficiaryAccount = [
   body('accountNumber')
     .isString()
     .trim()
-    .matches(/^\d{18}$/)
-    .withMessage('La CLABE debe tener 18 dígitos'),
+    .custom(isBeneficiaryAccount(req => req.body.bankCode)),
   
   body('bankCode')
     .isString()
@@ -128,7 +142,7 @@ const validateBeneficiaryAccount = [
  */
 const validateServiceReference = [
   body('serviceType')
-    .isIn(['CFE', 'TELMEX', 'AGUA', 'GAS'])
+    .matches(/^[A-Z0-9_]{2,20}$/)
     .withMessage('Tipo de servicio no válido'),
   
   body('reference')
@@ -144,24 +158,47 @@ const validateServiceReference = [
  * Validación para historial de pagos de servicio
  */
 const validatePaymentHistory = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded', 'cancelled'])
+    .withMessage('Estado de pago no válido'),
+  
+  query('paymentMethod')
+    .optional()
+    .isIn(['card', 'oxxo', 'spei', 'paypal', 'stp'])
+    .withMessage('Método de pago no soportado'),
+  
+  query('type')
+    .optional()
+    .isIn(['course', 'webinar', 'subscription', 'service'])
+    .withMessage('Tipo de pago no válido'),
+  
   query('serviceType')
-    .isIn(['CFE', 'TELMEX', 'AGUA', 'GAS'])
+    .optional()
+    .matches(/^[A-Z0-9_]{2,20}$/)
     .withMessage('Tipo de servicio no válido'),
   
   query('reference')
+    .optional()
     .isString()
     .trim()
     .isLength({ min: 1, max: 30 })
     .withMessage('La referencia debe tener entre 1 y 30 caracteres'),
   
   query('startDate')
+    .optional()
     .isISO8601()
     .withMessage('La fecha inicial debe estar en formato ISO8601'),
   
   query('endDate')
+    .optional()
     .isISO8601()
     .withMessage('La fecha final debe estar en formato ISO8601')
     .custom((endDate, { req }) => {
+      if (!req.query.startDate) {
+        return true;
+      }
+
       const start = new Date(req.query.startDate);
       const end = new Date(endDate);
       const diffDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
@@ -175,10 +212,21 @@ const validatePaymentHistory = [
       return true;
     }),
   
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Cursor inválido'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+  
   validateRequest
 ];
 
 module.exports = {
+  isBeneficiaryAccount,
   validateSTPPayment,
   validateUtilityPayment,
   validateAccountStatement,
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Emisor del catálogo de pagos de servicios de STP. Se sincroniza con
+ * `sync-biller-catalog`; `code` es el `serviceType` de los pagos.
+ */
+const agreementSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'El código de convenio es requerido']
+  },
+  name: String,
+  description: String,
+  // Expresión regular de la referencia, tal como la publica STP
+  referenceFormat: String,
+  paymentInstructions: String
+}, { _id: false });
+
+const billerSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'El código del emisor es requerido'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  stpServiceId: String,
+  name: {
+    type: String,
+    required: [true, 'El nombre del emisor es requerido']
+  },
+  description: String,
+  minAmount: Number,
+  maxAmount: Number,
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // Si el emisor acepta abonos menores al saldo adeudado
+  partialPayments: {
+    type: Boolean,
+    default: false
+  },
+  schedule: {
+    start: String,
+    end: String,
+    timezone: String
+  },
+  agreements: [agreementSchema],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  syncedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+billerSchema.index({ active: 1, name: 1 });
+
+// Métodos de instancia
+billerSchema.methods.findAgreement = function(code) {
+  return this.agreements.find(agreement => agreement.code === code);
+};
+
+// Métodos estáticos
+billerSchema.statics.findActiveByCode = function(code) {
+  return this.findOne({ code: String(code).toUpperCase(), active: true });
+};
+
+const Biller = mongoose.model('Biller', billerSchema);
+
+module.exports = Biller;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'El código es requerido'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    required: [true, 'El tipo de descuento es requerido'],
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Tipo de descuento no válido'
+    }
+  },
+  value: {
+    type: Number,
+    required: [true, 'El valor del descuento es requerido'],
+    min: [0.01, 'El descuento debe ser mayor a 0']
+  },
+  // Moneda del descuento fijo
+  currency: {
+    type: String,
+    enum: ['MXN', 'USD'],
+    default: 'MXN'
+  },
+  // Tope del descuento porcentual
+  maxDiscount: Number,
+  minAmount: {
+    type: Number,
+    default: 0
+  },
+  // Alcance; una lista vacía no restringe
+  appliesTo: {
+    types: [{
+      type: String,
+      enum: ['course', 'webinar', 'subscription', 'service']
+    }],
+    itemIds: [String],
+    categories: [String]
+  },
+  maxRedemptions: Number,
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1
+  },
+  // Solo cuenta pagos completados
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  // Si puede combinarse con otros cupones acumulables
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Índices
+couponSchema.index({ active: 1, expiresAt: 1 });
+
+// Validaciones
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'El porcentaje no puede ser mayor a 100');
+  }
+  next();
+});
+
+// Métodos estáticos
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Coupon = require('./Coupon');
+
+/**
+ * Uso de un cupón en un pago completado
+ */
+const couponRedemptionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  paymentId: {
+    type: String,
+    required: true
+  },
+  discountAmount: Number,
+  currency: String
+}, {
+  timestamps: true
+});
+
+// Índices
+couponRedemptionSchema.index({ code: 1, paymentId: 1 }, { unique: true });
+couponRedemptionSchema.index({ code: 1, userId: 1 });
+
+// Métodos estáticos
+couponRedemptionSchema.statics.recordForPayment = async function(payment) {
+  for (const applied of payment.coupons) {
+    try {
+      await this.create({
+        code: applied.code,
+        userId: payment.userId,
+        paymentId: payment.paymentId,
+        discountAmount: applied.discountAmount,
+        currency: payment.currency
+      });
+    } catch (error) {
+      // Ya registrado por un guardado anterior del mismo pago
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    await Coupon.updateOne({ code: applied.code }, { $inc: { redemptionCount: 1 } });
+  }
+};
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const eventDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    unique: true,
+    default: () => `evd_${uuidv4()}`
+  },
+  // Mismo ID para todas las entregas de un evento; el suscriptor lo usa para deduplicar
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSubscriber',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Siguiente intento; null cuando ya no se reintentará
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  deliveredAt: Date,
+  lastError: String,
+  // Bitácora de intentos
+  log: [{
+    attemptedAt: Date,
+    statusCode: Number,
+    durationMs: Number,
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Índices
+eventDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+eventDeliverySchema.index({ eventId: 1 });
+eventDeliverySchema.index({ subscriber: 1, createdAt: -1 });
+
+const EventDelivery = mongoose.model('EventDelivery', eventDeliverySchema);
+
+module.exports = EventDelivery;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Eventos de pago que se publican a otros servicios
+const PAYMENT_EVENTS = ['payment.completed', 'payment.failed', 'payment.refunded'];
+
+const eventSubscriberSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    unique: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'La URL es requerida']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: PAYMENT_EVENTS
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Se requiere al menos un evento'
+    }
+  },
+  // Secreto compartido para firmar las entregas con HMAC-SHA256
+  secret: {
+    type: String,
+    select: false,
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Índices
+eventSubscriberSchema.index({ active: 1, events: 1 });
+
+/**
+ * Suscriptores activos de un tipo de evento, con su secreto
+ * @param {string} type - Tipo de evento
+ */
+eventSubscriberSchema.statics.findActiveFor = function(type) {
+  return this.find({ active: true, events: type }).select('+secret');
+};
+
+const EventSubscriber = mongoose.model('EventSubscriber', eventSubscriberSchema);
+
+EventSubscriber.PAYMENT_EVENTS = PAYMENT_EVENTS;
+
+module.exports = EventSubscriber;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const exchangeQuoteSchema = new mongoose.Schema({
+  quoteId: {
+    type: String,
+    unique: true,
+    default: () => `qt_${uuidv4()}`
+  },
+  userId: {
+    type: String,
+    required: [true, 'El ID del usuario es requerido']
+  },
+  baseCurrency: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Unidades de `currency` por cada unidad de `baseCurrency`
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'El tipo de cambio no puede ser negativo']
+  },
+  source: {
+    type: String,
+    default: 'apimarket'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Una cotización sólo se usa en un pago
+  usedAt: Date,
+  paymentId: String
+}, {
+  timestamps: true
+});
+
+// Índices
+exchangeQuoteSchema.index({ userId: 1, createdAt: -1 });
+
+exchangeQuoteSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+const ExchangeQuote = mongoose.model('ExchangeQuote', exchangeQuoteSchema);
+
+module.exports = ExchangeQuote;
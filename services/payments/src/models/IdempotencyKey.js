@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000; // 24 horas
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'La llave de idempotencia es requerida'],
+    maxlength: [255, 'La llave de idempotencia no puede exceder 255 caracteres']
+  },
+  userId: {
+    type: String,
+    required: [true, 'El ID del usuario es requerido']
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash SHA-256 del cuerpo de la primera solicitud
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_TTL)
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Métodos de instancia
+idempotencyKeySchema.methods.complete = async function(statusCode, body) {
+  this.status = 'completed';
+  this.response = { statusCode, body };
+  return this.save();
+};
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
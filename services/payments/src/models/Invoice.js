@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceId: {
+    type: String,
+    default: () => `inv_${uuidv4()}`,
+    unique: true,
+    required: true
+  },
+  paymentId: {
+    type: String,
+    required: [true, 'El ID del pago es requerido']
+  },
+  userId: {
+    type: String,
+    required: [true, 'El ID del usuario es requerido']
+  },
+  series: {
+    type: String,
+    required: true
+  },
+  folio: {
+    type: Number,
+    required: true
+  },
+  // Folio fiscal asignado por el PAC
+  uuid: String,
+  status: {
+    type: String,
+    enum: ['pending', 'issued', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  receiver: {
+    rfc: String,
+    name: String,
+    taxRegime: String,
+    cfdiUse: String,
+    postalCode: String
+  },
+  subtotal: Number,
+  tax: Number,
+  total: Number,
+  currency: String,
+  pac: String,
+  xml: String,
+  pdf: Buffer,
+  issuedAt: Date,
+  cancellation: {
+    reason: String,
+    status: String,
+    requestedAt: Date,
+    cancelledAt: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    code: String,
+    message: String
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+invoiceSchema.index({ series: 1, folio: 1 }, { unique: true });
+invoiceSchema.index({ paymentId: 1 });
+invoiceSchema.index({ uuid: 1 });
+invoiceSchema.index({ status: 1 });
+
+// Métodos estáticos
+invoiceSchema.statics.findActiveByPaymentId = function(paymentId) {
+  return this.findOne({ paymentId, status: { $ne: 'cancelled' } });
+};
+
+invoiceSchema.statics.nextFolio = async function(series, startingNumber) {
+  const last = await this.findOne({ series }).sort({ folio: -1 }).select('folio');
+  return last ? last.folio + 1 : startingNumber;
+};
+
+// Ocultar los archivos en respuestas JSON
+invoiceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.xml;
+    delete ret.pdf;
+    return ret;
+  }
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -1,5 +1,68 @@
+const { EventEmitter } = require('events');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../utils/ApiError');
+const CouponRedemption = require('./CouponRedemption');
+const logger = require('../config/logger');
+const { toCents } = require('../utils/money');
+
+// Estados que se publican a otros servicios como `payment.<estado>`
+const NOTIFIED_STATUSES = ['completed', 'failed'];
+
+// Estados y plazo en los que se aceptan reembolsos
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+const REFUNDABLE_WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 días
+
+/**
+ * Eventos del ciclo de vida del pago: `payment.completed`, `payment.failed`
+ * y `payment.refunded`. Los escuchas reciben (type, payment, extra).
+ */
+const paymentEvents = new EventEmitter();
+
+/**
+ * Transiciones de estado permitidas para un pago.
+ * Un estado sin transiciones es terminal.
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'failed', 'cancelled'],
+  processing: ['completed', 'failed', 'cancelled'],
+  completed: ['refunded', 'partially_refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  failed: [],
+  cancelled: [],
+  refunded: []
+};
+
+/**
+ * Evaluación del motor de riesgo al crear el pago
+ */
+const riskSchema = new mongoose.Schema({
+  score: Number,
+  decision: {
+    type: String,
+    enum: ['allow', 'challenge', 'block']
+  },
+  reasons: [{
+    _id: false,
+    rule: String,
+    signal: String,
+    score: Number,
+    detail: String
+  }],
+  ip: String,
+  cardFingerprint: String,
+  cardCountry: String,
+  evaluatedAt: Date,
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'legitimate', 'fraud']
+    },
+    reviewedBy: String,
+    reviewedAt: Date,
+    note: String
+  }
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   paymentId: {
@@ -36,6 +99,7 @@ const paymentSchema = new mongoose.Schema({
         'completed',
         'failed',
         'refunded',
+        'partially_refunded',
         'cancelled'
       ],
       message: 'Estado de pago no válido'
@@ -62,18 +126,58 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'El ID del item es requerido']
   },
+  // Suscripción a la que corresponde un pago de tipo subscription
+  subscriptionId: String,
+  // Precio antes de cupones; `amount` es el monto cobrado
+  originalAmount: Number,
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  coupons: [{
+    _id: false,
+    code: String,
+    discountType: String,
+    value: Number,
+    discountAmount: Number
+  }],
+  // Cotización con la que se convirtió el precio del catálogo a `currency`
+  exchange: {
+    quoteId: String,
+    baseCurrency: String,
+    // Monto cobrado y precio antes de cupones, en la moneda del catálogo
+    baseAmount: Number,
+    baseOriginalAmount: Number,
+    rate: Number,
+    quotedAt: Date,
+    expiresAt: Date
+  },
+  // Evaluación de riesgo; no se expone al usuario
+  risk: {
+    type: riskSchema,
+    select: false
+  },
   provider: {
     name: {
       type: String,
       required: true,
-      enum: ['stripe', 'paypal', 'stp']
+      enum: ['stripe', 'paypal', 'stp', 'fake']
     },
     paymentId: String,
     chargeId: String,
     refundId: String,
     trackingKey: String,    // Para STP
     operationId: String,    // Para STP
-    bankReference: String   // Para STP
+    bankReference: String,  // Para STP
+    clabe: String           // CLABE virtual STP para depósitos SPEI
+  },
+  // Ficha de pago OXXO
+  voucher: {
+    reference: String,
+    // Ficha alojada por Stripe con el código de barras
+    url: String,
+    expiresAt: Date,
+    remindedAt: Date
   },
   billingDetails: {
     name: {
@@ -132,15 +236,13 @@ const paymentSchema = new mongoose.Schema({
     },
     reference: String,
     agreementCode: String,  // Para pagos de servicios
-    dueDate: Date          // Para pagos de servicios
+    dueDate: Date,         // Para pagos de servicios
+    amountDue: Number      // Saldo reportado por el emisor al pagar
   },
-  // Campo para tipo de servicio (cuando type es 'service')
+  // Código del emisor en el catálogo de servicios (cuando type es 'service')
   serviceType: {
     type: String,
-    enum: {
-      values: ['CFE', 'TELMEX', 'AGUA', 'GAS', null],
-      message: 'Tipo de servicio no válido'
-    },
+    uppercase: true,
     default: null
   },
   metadata: {
@@ -152,9 +254,40 @@ const paymentSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Datos fiscales del receptor requeridos por CFDI 4.0
+    receiver: {
+      name: String,
+      taxRegime: String,
+      cfdiUse: String,
+      postalCode: String
+    },
+    invoiceId: String,
+    uuid: String,
+    status: {
+      type: String,
+      enum: ['pending', 'issued', 'failed', 'cancelled']
+    },
     number: String,
     url: String,
-    issuedAt: Date
+    issuedAt: Date,
+    cancelledAt: Date
+  },
+  // Total recibido por depósitos SPEI y excedente a devolver
+  receivedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto recibido no puede ser negativo']
+  },
+  overpaidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El excedente no puede ser negativo']
+  },
+  // Total reembolsado (solo reembolsos completados)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto reembolsado no puede ser negativo']
   },
   refunds: [{
     amount: Number,
@@ -163,8 +296,14 @@ const paymentSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'completed', 'failed']
     },
+    requestedAt: Date,
     processedAt: Date,
-    refundId: String
+    refundId: String,
+    providerRefundId: String,
+    error: {
+      code: String,
+      message: String
+    }
   }],
   error: {
     code: String,
@@ -188,27 +327,101 @@ const paymentSchema = new mongoose.Schema({
 });
 
 // Índices
-paymentSchema.index({ userId: 1 });
+paymentSchema.index({ userId: 1, createdAt: -1, _id: -1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: 1 });
 paymentSchema.index({ 'provider.paymentId': 1 });
 paymentSchema.index({ 'provider.trackingKey': 1 });
+paymentSchema.index({ 'refunds.providerRefundId': 1 });
+paymentSchema.index({ 'provider.clabe': 1, status: 1 });
 paymentSchema.index({ 'billingDetails.email': 1 });
+paymentSchema.index({ subscriptionId: 1 });
+paymentSchema.index({ paymentMethod: 1, status: 1, 'voucher.expiresAt': 1 });
+paymentSchema.index({ 'exchange.expiresAt': 1, status: 1 });
+paymentSchema.index({ 'risk.ip': 1, createdAt: -1 });
+paymentSchema.index({ 'risk.cardFingerprint': 1, createdAt: -1 }, { sparse: true });
+paymentSchema.index({ 'risk.decision': 1, 'risk.review.status': 1, createdAt: -1 });
 paymentSchema.index({ paymentId: 1 }, { unique: true });
 
 // Virtuals
+// Monto reservado por reembolsos que aún no confirma el proveedor
+paymentSchema.virtual('pendingRefundAmount').get(function() {
+  return (this.refunds || [])
+    .filter(refund => refund.status === 'pending')
+    .reduce((total, refund) => total + refund.amount, 0);
+});
+
+// Saldo disponible para nuevos reembolsos
+paymentSchema.virtual('refundableAmount').get(function() {
+  const cents = toCents(this.amount) - toCents(this.refundedAmount) - toCents(this.pendingRefundAmount);
+  return Math.max(cents, 0) / 100;
+});
+
+// Si el proveedor admite el reembolso lo decide su adaptador (`canRefund`)
 paymentSchema.virtual('isRefundable').get(function() {
-  const refundableStatuses = ['completed'];
-  const refundableWindow = 30 * 24 * 60 * 60 * 1000; // 30 días
   return (
-    refundableStatuses.includes(this.status) &&
-    Date.now() - this.createdAt <= refundableWindow &&
-    ['card', 'stp'].includes(this.paymentMethod)
+    REFUNDABLE_STATUSES.includes(this.status) &&
+    this.refundableAmount > 0 &&
+    Date.now() - this.createdAt <= REFUNDABLE_WINDOW
   );
 });
 
+// Guardar el estado persistido para validar transiciones
+paymentSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+paymentSchema.post('save', async function() {
+  this.$locals.persistedStatus = this.status;
+
+  // Los cupones solo cuentan como usados cuando el pago se completa
+  if (this.$locals.completedNow && this.coupons.length > 0) {
+    this.$locals.completedNow = false;
+    try {
+      await CouponRedemption.recordForPayment(this);
+    } catch (error) {
+      logger.error(`Error registrando cupones del pago ${this.paymentId}:`, error);
+    }
+  }
+
+  // Los escuchas no deben lanzar; un error al publicar no revierte el pago
+  const notifiedStatus = this.$locals.notifiedStatus;
+  const settledRefund = this.$locals.settledRefund;
+  this.$locals.notifiedStatus = null;
+  this.$locals.settledRefund = null;
+
+  if (notifiedStatus) {
+    paymentEvents.emit('event', `payment.${notifiedStatus}`, this, {});
+  }
+  if (settledRefund) {
+    paymentEvents.emit('event', 'payment.refunded', this, {
+      refund: {
+        refundId: settledRefund.refundId,
+        amount: settledRefund.amount,
+        reason: settledRefund.reason
+      }
+    });
+  }
+});
+
 // Middleware pre-save
 paymentSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('status')) {
+    const from = this.$locals.persistedStatus;
+    if (from && !this.constructor.canTransition(from, this.status)) {
+      return next(new ApiError(
+        `Transición de estado inválida: ${from} → ${this.status}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+  }
+
+  this.$locals.completedNow = this.isModified('status') && this.status === 'completed';
+  this.$locals.notifiedStatus = this.isModified('status') && NOTIFIED_STATUSES.includes(this.status)
+    ? this.status
+    : null;
+
   if (this.isNew) {
     this.attempts = [{
       timestamp: new Date(),
@@ -228,8 +441,48 @@ paymentSchema.statics.findByPaymentId = function(paymentId) {
   return this.findOne({ paymentId });
 };
 
+paymentSchema.statics.canTransition = function(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 // Métodos de instancia
+paymentSchema.methods.canTransitionTo = function(status) {
+  return this.constructor.canTransition(this.status, status);
+};
+
+paymentSchema.methods.assertTransition = async function(status) {
+  if (this.canTransitionTo(status)) {
+    return;
+  }
+
+  const rejected = new ApiError(
+    `Transición de estado inválida: ${this.status} → ${status}`,
+    409,
+    'INVALID_STATUS_TRANSITION'
+  );
+
+  // Registrar el intento rechazado sin persistir otros cambios del documento
+  await this.constructor.updateOne({ _id: this._id }, {
+    $push: {
+      attempts: {
+        timestamp: new Date(),
+        status,
+        error: {
+          code: rejected.code,
+          message: rejected.message,
+          from: this.status,
+          to: status
+        }
+      }
+    }
+  });
+
+  throw rejected;
+};
+
 paymentSchema.methods.updateStatus = async function(status, error = null) {
+  await this.assertTransition(status);
+
   this.status = status;
   if (error) {
     this.error = {
@@ -241,6 +494,20 @@ paymentSchema.methods.updateStatus = async function(status, error = null) {
   return this.save();
 };
 
+// Para webhooks: una transición inválida (evento tardío o duplicado) se
+// registra en `attempts` y se ignora en lugar de propagar el error
+paymentSchema.methods.updateStatusIfAllowed = async function(status, error = null) {
+  try {
+    await this.updateStatus(status, error);
+    return true;
+  } catch (err) {
+    if (err.code !== 'INVALID_STATUS_TRANSITION') {
+      throw err;
+    }
+    return false;
+  }
+};
+
 paymentSchema.methods.addWebhookEvent = async function(type, data) {
   this.webhookEvents.push({
     type,
@@ -250,27 +517,130 @@ paymentSchema.methods.addWebhookEvent = async function(type, data) {
   return this.save();
 };
 
+/**
+ * Registrar un reembolso pendiente reservando su monto del saldo reembolsable.
+ * El saldo se vuelve a comprobar en el filtro de la actualización, de modo que
+ * dos reembolsos simultáneos no pueden exceder el monto del pago.
+ * @param {number} [amount] - Monto a reembolsar (por defecto, el saldo restante)
+ * @param {string} reason - Razón del reembolso
+ * @returns {Promise<Object>} { payment, refund }: pago actualizado y entrada creada
+ */
 paymentSchema.methods.processRefund = async function(amount, reason) {
   if (!this.isRefundable) {
-    throw new Error('Este pago no es reembolsable');
+    throw new ApiError('Este pago no es reembolsable', 400);
   }
-  
+
+  const refundAmount = amount || this.refundableAmount;
+  const exceedsBalance = (balance) => new ApiError(
+    `El monto excede el saldo reembolsable (${balance.toFixed(2)})`,
+    400,
+    'REFUND_EXCEEDS_BALANCE'
+  );
+
+  if (toCents(refundAmount) > toCents(this.refundableAmount)) {
+    throw exceedsBalance(this.refundableAmount);
+  }
+
   const refund = {
-    amount: amount || this.amount,
+    amount: refundAmount,
     reason,
     status: 'pending',
-    processedAt: new Date(),
+    requestedAt: new Date(),
     refundId: `ref_${uuidv4()}`
   };
-  
-  this.refunds.push(refund);
-  if (amount === this.amount) {
-    this.status = 'refunded';
+
+  // Reservado = reembolsado + reembolsos pendientes; medio centavo de
+  // tolerancia por la suma en punto flotante
+  const pendingAmount = {
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$refunds', cond: { $eq: ['$$this.status', 'pending'] } } },
+        in: '$$this.amount'
+      }
+    }
+  };
+  const payment = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $in: REFUNDABLE_STATUSES },
+      $expr: {
+        $gte: [
+          { $subtract: ['$amount', { $add: [{ $ifNull: ['$refundedAmount', 0] }, pendingAmount] }] },
+          refundAmount - 0.005
+        ]
+      }
+    },
+    { $push: { refunds: refund } },
+    { new: true }
+  );
+
+  if (!payment) {
+    // Otro reembolso o un cambio de estado ganó la carrera
+    const current = await this.constructor.findById(this._id);
+    if (!current || !current.isRefundable) {
+      throw new ApiError('Este pago no es reembolsable', 400);
+    }
+    throw exceedsBalance(current.refundableAmount);
   }
-  
-  return this.save();
+
+  return {
+    payment,
+    refund: payment.refunds.find(entry => entry.refundId === refund.refundId)
+  };
+};
+
+/**
+ * Aplicar el resultado del proveedor a un reembolso pendiente
+ * @param {string} refundId - ID interno del reembolso
+ * @param {Object} result - Resultado del proveedor
+ * @param {string} result.status - 'completed' o 'failed'
+ * @param {string} [result.providerRefundId] - ID del reembolso en el proveedor
+ * @param {Object} [result.error] - Error reportado por el proveedor
+ * @returns {Promise<Object>} Pago actualizado
+ */
+paymentSchema.methods.settleRefund = async function(refundId, { status, providerRefundId, error } = {}) {
+  const refund = this.refunds.find(entry => entry.refundId === refundId);
+
+  if (!refund) {
+    throw new ApiError('Reembolso no encontrado', 404);
+  }
+
+  if (providerRefundId) {
+    refund.providerRefundId = providerRefundId;
+  }
+
+  // Los reembolsos ya resueltos no se vuelven a aplicar
+  if (refund.status !== 'pending' || status === 'pending') {
+    return this.save();
+  }
+
+  refund.status = status;
+  refund.processedAt = new Date();
+
+  if (status === 'failed') {
+    refund.error = {
+      code: error?.code,
+      message: error?.message
+    };
+    return this.save();
+  }
+
+  this.refundedAmount = (toCents(this.refundedAmount) + toCents(refund.amount)) / 100;
+  this.$locals.settledRefund = refund;
+  const nextStatus = toCents(this.refundedAmount) >= toCents(this.amount)
+    ? 'refunded'
+    : 'partially_refunded';
+
+  return this.updateStatus(nextStatus);
+};
+
+paymentSchema.methods.findRefundByProviderId = function(providerRefundId) {
+  return this.refunds.find(refund => refund.providerRefundId === providerRefundId);
 };
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
+Payment.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Payment.events = paymentEvents;
+
 module.exports = Payment;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Lote de dispersiones SPEI cargado desde CSV. Un segundo administrador
+ * debe aprobarlo antes de enviar las órdenes a STP.
+ */
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    default: () => `pob_${uuidv4()}`,
+    unique: true,
+    required: true
+  },
+  filename: String,
+  status: {
+    type: String,
+    enum: {
+      values: ['invalid', 'pending_approval', 'rejected', 'processing', 'completed'],
+      message: 'Estado de lote no válido'
+    },
+    default: 'pending_approval'
+  },
+  currency: {
+    type: String,
+    default: 'MXN'
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  // Conteo de renglones por estado
+  summary: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  createdBy: {
+    type: String,
+    required: [true, 'El usuario que carga el lote es requerido']
+  },
+  approvedBy: String,
+  approvedAt: Date,
+  rejectedBy: String,
+  rejectedAt: Date,
+  rejectionReason: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+// Métodos estáticos
+payoutBatchSchema.statics.findByBatchId = function(batchId) {
+  return this.findOne({ batchId });
+};
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+module.exports = PayoutBatch;
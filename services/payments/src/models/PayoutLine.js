@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Renglón de un lote de dispersiones: una orden SPEI a un beneficiario
+ */
+const payoutLineSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    required: true
+  },
+  lineNumber: {
+    type: Number,
+    required: true
+  },
+  clabe: String,
+  name: String,
+  amount: Number,
+  concept: String,
+  bank: {
+    code: String,
+    name: String
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['invalid', 'pending', 'submitting', 'submitted', 'completed', 'failed', 'returned'],
+      message: 'Estado de renglón no válido'
+    },
+    default: 'pending'
+  },
+  // Errores de validación del archivo
+  validationErrors: [String],
+  provider: {
+    paymentId: String,
+    trackingKey: String,
+    bankReference: String
+  },
+  error: {
+    code: String,
+    message: String
+  },
+  submittedAt: Date,
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+payoutLineSchema.index({ batch: 1, lineNumber: 1 }, { unique: true });
+payoutLineSchema.index({ batch: 1, status: 1 });
+payoutLineSchema.index({ 'provider.trackingKey': 1 }, { sparse: true });
+
+const PayoutLine = mongoose.model('PayoutLine', payoutLineSchema);
+
+module.exports = PayoutLine;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Registro interno al que corresponde un movimiento del estado de cuenta
+const MOVEMENT_SOURCES = ['payment', 'refund', 'deposit', 'payout'];
+
+const movementSchema = new mongoose.Schema({
+  trackingKey: String,
+  amount: Number,
+  type: String,
+  status: String,
+  operationDate: Date,
+  raw: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const reconciliationSchema = new mongoose.Schema({
+  reconciliationId: {
+    type: String,
+    default: () => `rec_${uuidv4()}`,
+    unique: true,
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['stp'],
+    default: 'stp'
+  },
+  period: {
+    startDate: {
+      type: Date,
+      required: [true, 'La fecha inicial es requerida']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'La fecha final es requerida']
+    }
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  triggeredBy: {
+    type: String,
+    default: 'schedule'
+  },
+  summary: {
+    movements: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    orphanMovements: { type: Number, default: 0 },
+    stuckPayments: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 },
+    autoCompleted: { type: Number, default: 0 },
+    statement: {
+      initialBalance: Number,
+      finalBalance: Number,
+      totalCredits: Number,
+      totalDebits: Number
+    }
+  },
+  // Movimientos con un registro y monto coincidentes
+  matched: [{
+    source: {
+      type: String,
+      enum: MOVEMENT_SOURCES
+    },
+    reference: String,
+    paymentId: String,
+    movement: movementSchema,
+    paymentStatus: String,
+    autoCompleted: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Movimientos del estado de cuenta sin registro asociado
+  orphanMovements: [movementSchema],
+  // Pagos STP que siguen en `processing` al cierre del periodo
+  stuckPayments: [{
+    paymentId: String,
+    trackingKey: String,
+    amount: Number,
+    createdAt: Date
+  }],
+  amountMismatches: [{
+    source: {
+      type: String,
+      enum: MOVEMENT_SOURCES
+    },
+    reference: String,
+    paymentId: String,
+    movement: movementSchema,
+    expectedAmount: Number,
+    difference: Number
+  }],
+  error: {
+    message: String,
+    detail: mongoose.Schema.Types.Mixed
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+reconciliationSchema.index({ 'period.startDate': -1 });
+reconciliationSchema.index({ status: 1 });
+
+// Métodos estáticos
+reconciliationSchema.statics.findByReconciliationId = function(reconciliationId) {
+  return this.findOne({ reconciliationId });
+};
+
+const Reconciliation = mongoose.model('Reconciliation', reconciliationSchema);
+
+module.exports = Reconciliation;
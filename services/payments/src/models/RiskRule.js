@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const RISK_SIGNALS = [
+  'velocity_user',
+  'velocity_ip',
+  'velocity_email',
+  'velocity_card',
+  'billing_country_mismatch',
+  'repeated_failures',
+  'amount_anomaly',
+  'confirmed_fraud'
+];
+
+/**
+ * Regla del motor de riesgo. `signal` elige la evaluación; `params`
+ * ajusta sus umbrales y `score` los puntos que suma si se cumple.
+ */
+const riskRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la regla es requerido'],
+    unique: true,
+    trim: true
+  },
+  signal: {
+    type: String,
+    required: [true, 'La señal es requerida'],
+    enum: {
+      values: RISK_SIGNALS,
+      message: 'Señal de riesgo no soportada'
+    }
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  score: {
+    type: Number,
+    required: [true, 'El puntaje es requerido'],
+    min: [0, 'El puntaje no puede ser negativo']
+  },
+  // Decisión mínima si la regla se cumple, sin importar el puntaje total
+  action: {
+    type: String,
+    enum: ['challenge', 'block', null],
+    default: null
+  },
+  // Métodos de pago a los que aplica; vacío para todos
+  paymentMethods: [String],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+// Métodos estáticos
+riskRuleSchema.statics.findEnabled = function() {
+  return this.find({ enabled: true });
+};
+
+const RiskRule = mongoose.model('RiskRule', riskRuleSchema);
+
+RiskRule.RISK_SIGNALS = RISK_SIGNALS;
+
+module.exports = RiskRule;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const speiDepositSchema = new mongoose.Schema({
+  // claveRastreo del abono; identifica la transferencia de forma única
+  trackingKey: {
+    type: String,
+    required: [true, 'La clave de rastreo es requerida'],
+    unique: true
+  },
+  stpId: String,
+  amount: {
+    type: Number,
+    required: [true, 'El monto es requerido'],
+    min: [0, 'El monto no puede ser negativo']
+  },
+  clabe: {
+    type: String,
+    required: [true, 'La CLABE beneficiaria es requerida']
+  },
+  payer: {
+    name: String,
+    account: String,
+    bankCode: String,
+    taxId: String
+  },
+  concept: String,
+  reference: String,
+  status: {
+    type: String,
+    enum: ['applied', 'unmatched', 'returned'],
+    default: 'unmatched'
+  },
+  // Resultado de aplicar el abono contra el pago
+  match: {
+    type: String,
+    enum: ['exact', 'underpaid', 'overpaid', null],
+    default: null
+  },
+  paymentId: String,
+  userId: String,
+  operationDate: Date,
+  raw: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Índices
+speiDepositSchema.index({ clabe: 1 });
+speiDepositSchema.index({ paymentId: 1 });
+speiDepositSchema.index({ status: 1 });
+
+const SpeiDeposit = mongoose.model('SpeiDeposit', speiDepositSchema);
+
+module.exports = SpeiDeposit;
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const subscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    default: () => `subs_${uuidv4()}`,
+    unique: true,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: [true, 'El ID del usuario es requerido']
+  },
+  planId: {
+    type: String,
+    required: [true, 'El plan es requerido']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: [
+        'incomplete',
+        'trialing',
+        'active',
+        'past_due',
+        'paused',
+        'cancelled',
+        'expired'
+      ],
+      message: 'Estado de suscripción no válido'
+    },
+    default: 'incomplete'
+  },
+  amount: Number,
+  currency: String,
+  provider: {
+    name: {
+      type: String,
+      enum: ['stripe'],
+      default: 'stripe'
+    },
+    customerId: String,
+    subscriptionId: String
+  },
+  // Se copian a cada pago de renovación
+  billingDetails: mongoose.Schema.Types.Mixed,
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  pausedAt: Date,
+  // Acceso vigente mientras se reintenta el cobro de una renovación fallida
+  gracePeriodEndsAt: Date,
+  failedPaymentCount: {
+    type: Number,
+    default: 0
+  },
+  lastPaymentError: {
+    code: String,
+    message: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+subscriptionSchema.index({ userId: 1, status: 1 });
+subscriptionSchema.index({ 'provider.subscriptionId': 1 });
+subscriptionSchema.index({ status: 1, gracePeriodEndsAt: 1 });
+
+// Virtuals
+subscriptionSchema.virtual('hasAccess').get(function() {
+  const now = new Date();
+
+  switch (this.status) {
+    case 'active':
+    case 'trialing':
+      return true;
+    case 'past_due':
+      return Boolean(this.gracePeriodEndsAt && this.gracePeriodEndsAt > now);
+    default:
+      return false;
+  }
+});
+
+// Métodos estáticos
+subscriptionSchema.statics.findBySubscriptionId = function(subscriptionId) {
+  return this.findOne({ subscriptionId });
+};
+
+subscriptionSchema.statics.findByProviderId = function(providerSubscriptionId) {
+  return this.findOne({ 'provider.subscriptionId': providerSubscriptionId });
+};
+
+// Métodos de instancia
+subscriptionSchema.methods.markPaid = async function({ periodStart, periodEnd }) {
+  this.status = 'active';
+  this.currentPeriodStart = periodStart;
+  this.currentPeriodEnd = periodEnd;
+  this.gracePeriodEndsAt = undefined;
+  this.failedPaymentCount = 0;
+  this.lastPaymentError = undefined;
+  return this.save();
+};
+
+subscriptionSchema.methods.markPaymentFailed = async function(gracePeriodDays, error = {}) {
+  this.status = 'past_due';
+  this.failedPaymentCount += 1;
+  this.lastPaymentError = {
+    code: error.code,
+    message: error.message
+  };
+
+  // El periodo de gracia corre desde el primer cobro fallido
+  if (!this.gracePeriodEndsAt) {
+    this.gracePeriodEndsAt = new Date(Date.now() + gracePeriodDays * 24 * 60 * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
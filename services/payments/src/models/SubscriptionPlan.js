@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const subscriptionPlanSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: [true, 'El ID del plan es requerido'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre del plan es requerido'],
+    trim: true
+  },
+  description: String,
+  amount: {
+    type: Number,
+    required: [true, 'El monto es requerido'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  currency: {
+    type: String,
+    enum: {
+      values: ['MXN', 'USD'],
+      message: 'Moneda no soportada'
+    },
+    default: 'MXN'
+  },
+  interval: {
+    type: String,
+    enum: {
+      values: ['month', 'year'],
+      message: 'Periodicidad no válida'
+    },
+    default: 'month'
+  },
+  intervalCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  trialDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  provider: {
+    productId: String,
+    priceId: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Métodos estáticos
+subscriptionPlanSchema.statics.findActiveByPlanId = function(planId) {
+  return this.findOne({ planId, active: true });
+};
+
+const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+
+module.exports = SubscriptionPlan;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { isValidClabe } = require('../utils/clabe');
+
+const virtualAccountSchema = new mongoose.Schema({
+  clabe: {
+    type: String,
+    required: [true, 'La CLABE es requerida'],
+    unique: true,
+    validate: {
+      validator: isValidClabe,
+      message: 'CLABE inválida'
+    }
+  },
+  userId: {
+    type: String,
+    required: [true, 'El ID del usuario es requerido']
+  },
+  // Solo para CLABEs de un único pago; vacío para la CLABE del usuario
+  paymentId: {
+    type: String,
+    default: null
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: ['user', 'payment'],
+      message: 'Alcance de CLABE no válido'
+    },
+    default: 'user'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+// Una sola CLABE por usuario; las de un solo pago pueden ser varias
+virtualAccountSchema.index(
+  { userId: 1, scope: 1 },
+  { unique: true, partialFilterExpression: { scope: 'user' } }
+);
+virtualAccountSchema.index({ paymentId: 1 });
+
+// Métodos estáticos
+virtualAccountSchema.statics.findActiveByClabe = function(clabe) {
+  return this.findOne({ clabe, status: 'active' });
+};
+
+const VirtualAccount = mongoose.model('VirtualAccount', virtualAccountSchema);
+
+module.exports = VirtualAccount;
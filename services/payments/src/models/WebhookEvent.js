@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'El proveedor es requerido'],
+    enum: ['stripe', 'paypal', 'stp', 'fake']
+  },
+  // ID del evento en el proveedor; junto con `provider` evita procesar reenvíos
+  eventId: {
+    type: String,
+    required: [true, 'El ID del evento es requerido']
+  },
+  type: String,
+  // Cuerpo del evento ya verificado
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Siguiente intento; null cuando ya no se reintentará
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: {
+    code: String,
+    message: String
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Marcar el evento como procesado
+ */
+webhookEventSchema.methods.markProcessed = async function() {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  this.nextAttemptAt = null;
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+  return this.save();
+};
+
+/**
+ * Registrar un intento fallido y programar el siguiente
+ * @param {Error} error - Error del intento
+ * @param {Date|null} nextAttemptAt - Siguiente intento o null si se agotaron
+ */
+webhookEventSchema.methods.markFailed = async function(error, nextAttemptAt) {
+  this.status = 'failed';
+  this.nextAttemptAt = nextAttemptAt;
+  this.lockedAt = undefined;
+  this.lastError = {
+    code: error.code,
+    message: error.message
+  };
+  return this.save();
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
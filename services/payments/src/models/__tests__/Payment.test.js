@@ -0,0 +1,110 @@
+const Payment = require('../Payment');
+
+describe('Payment.canTransition', () => {
+  const { STATUS_TRANSITIONS } = Payment;
+  const statuses = Object.keys(STATUS_TRANSITIONS);
+
+  it('permite las transiciones de la tabla', () => {
+    expect(Payment.canTransition('pending', 'processing')).toBe(true);
+    expect(Payment.canTransition('processing', 'completed')).toBe(true);
+    expect(Payment.canTransition('completed', 'partially_refunded')).toBe(true);
+    expect(Payment.canTransition('partially_refunded', 'refunded')).toBe(true);
+  });
+
+  it('permite permanecer en el mismo estado', () => {
+    statuses.forEach(status => {
+      expect(Payment.canTransition(status, status)).toBe(true);
+    });
+  });
+
+  it('rechaza salir de un estado terminal', () => {
+    ['failed', 'cancelled', 'refunded'].forEach(from => {
+      statuses
+        .filter(to => to !== from)
+        .forEach(to => expect(Payment.canTransition(from, to)).toBe(false));
+    });
+  });
+
+  it('rechaza reembolsar un pago no completado', () => {
+    expect(Payment.canTransition('pending', 'refunded')).toBe(false);
+    expect(Payment.canTransition('processing', 'partially_refunded')).toBe(false);
+  });
+
+  it('rechaza volver a un estado anterior', () => {
+    expect(Payment.canTransition('completed', 'processing')).toBe(false);
+    expect(Payment.canTransition('processing', 'pending')).toBe(false);
+    expect(Payment.canTransition('refunded', 'completed')).toBe(false);
+  });
+
+  it('rechaza estados desconocidos', () => {
+    expect(Payment.canTransition('unknown', 'completed')).toBe(false);
+  });
+
+  it('canTransitionTo usa el estado actual del documento', () => {
+    const payment = new Payment({ status: 'completed' });
+
+    expect(payment.canTransitionTo('refunded')).toBe(true);
+    expect(payment.canTransitionTo('failed')).toBe(false);
+  });
+});
+
+describe('Payment#processRefund', () => {
+  const build = (fields = {}) => new Payment({
+    paymentId: 'pay_1',
+    amount: 100,
+    status: 'completed',
+    refundedAmount: 30,
+    createdAt: new Date(),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reserva el reembolso comprobando el saldo en el filtro', async () => {
+    const payment = build();
+    const updated = build({ refunds: [{ amount: 50, status: 'pending', refundId: 'ref_x' }] });
+    const update = jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation((filter, change) => {
+      updated.refunds[0].refundId = change.$push.refunds.refundId;
+      return Promise.resolve(updated);
+    });
+
+    const result = await payment.processRefund(50, 'Cancelación');
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual(expect.objectContaining({
+      _id: payment._id,
+      status: { $in: ['completed', 'partially_refunded'] }
+    }));
+    expect(filter.$expr.$gte[1]).toBeCloseTo(49.995);
+    expect(change.$push.refunds).toEqual(expect.objectContaining({ amount: 50, status: 'pending' }));
+    expect(result.payment).toBe(updated);
+    expect(result.refund.refundId).toBe(change.$push.refunds.refundId);
+  });
+
+  it('rechaza el monto si otro reembolso reservó el saldo primero', async () => {
+    const payment = build();
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(
+      build({ refunds: [{ amount: 60, status: 'pending' }] })
+    );
+
+    await expect(payment.processRefund(50)).rejects.toMatchObject({
+      code: 'REFUND_EXCEEDS_BALANCE',
+      message: 'El monto excede el saldo reembolsable (10.00)'
+    });
+  });
+
+  it('rechaza un monto mayor al saldo sin tocar la base', async () => {
+    const update = jest.spyOn(Payment, 'findOneAndUpdate');
+
+    await expect(build().processRefund(80)).rejects.toMatchObject({ code: 'REFUND_EXCEEDS_BALANCE' });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un pago fuera de estado reembolsable', async () => {
+    await expect(build({ status: 'pending' }).processRefund(10))
+      .rejects.toThrow('Este pago no es reembolsable');
+  });
+});
@@ -2,15 +2,49 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const stpController = require('../controllers/stpController');
+const reconciliationController = require('../controllers/reconciliationController');
+const invoiceController = require('../controllers/invoiceController');
+const subscriptionController = require('../controllers/subscriptionController');
+const couponController = require('../controllers/couponController');
+const webhookController = require('../controllers/webhookController');
+const notificationController = require('../controllers/notificationController');
+const reportController = require('../controllers/reportController');
+const quoteController = require('../controllers/quoteController');
+const payoutController = require('../controllers/payoutController');
+const riskController = require('../controllers/riskController');
 const { 
   validatePayment, 
+  validateDepositPayment,
   validateRefund,
   validateAccountStatement,
   validateBeneficiaryAccount,
-  validateServiceReference
+  validateServiceReference,
+  validateReconciliationRun,
+  validateInvoiceRequest,
+  validateInvoiceCancellation,
+  validateSubscriptionPlan,
+  validateSubscription,
+  validateSubscriptionCancellation,
+  validateCoupon,
+  validateCouponUpdate,
+  validateCouponPreview,
+  validateWebhookEventQuery,
+  validateWebhookEventId,
+  validateEventSubscriber,
+  validateEventSubscriberUpdate,
+  validateReport,
+  validateQuote,
+  validatePayoutBatchId,
+  validatePayoutRejection,
+  validateRiskRule,
+  validateRiskRuleUpdate,
+  validateRiskQuery,
+  validateRiskReview
 } = require('../middleware/validation');
-const { authMiddleware } = require('../middleware/auth');
+const { validatePaymentHistory } = require('../middleware/validation/stpValidation');
+const { authMiddleware, restrictTo } = require('../middleware/auth');
 const { rateLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
 
 // Middleware de autenticación para todas las rutas
 router.use(authMiddleware);
@@ -20,9 +54,17 @@ router.use(rateLimiter);
 router.post(
   '/payments',
   validatePayment,
+  idempotency,
   paymentController.createPayment
 );
 
+// Historial de pagos del usuario
+router.get(
+  '/payments',
+  validatePaymentHistory,
+  paymentController.getPaymentHistory
+);
+
 // Confirmar un pago
 router.post(
   '/payments/:paymentId/confirm',
@@ -35,12 +77,59 @@ router.get(
   paymentController.getPaymentStatus
 );
 
+// Ficha de pago OXXO
+router.get(
+  '/payments/:paymentId/voucher',
+  paymentController.getVoucher
+);
+
+// Recibo en PDF
+router.get(
+  '/payments/:paymentId/receipt',
+  paymentController.downloadReceipt
+);
+
 // Procesar reembolso
 router.post(
   '/payments/:paymentId/refund',
+  validateRefund,
   paymentController.processRefund
 );
 
+// Facturación CFDI
+router.post(
+  '/payments/:paymentId/invoice',
+  validateInvoiceRequest,
+  invoiceController.requestInvoice
+);
+router.get('/payments/:paymentId/invoice', invoiceController.getInvoice);
+router.get('/payments/:paymentId/invoice/xml', invoiceController.downloadXml);
+router.get('/payments/:paymentId/invoice/pdf', invoiceController.downloadPdf);
+
+// Cotizaciones de tipo de cambio
+router.post('/quotes', validateQuote, quoteController.createQuote);
+
+// Cupones
+router.post('/coupons/preview', validateCouponPreview, couponController.previewCoupons);
+
+// Suscripciones
+router.get('/subscription-plans', subscriptionController.listPlans);
+router.get('/subscriptions', subscriptionController.listSubscriptions);
+router.post(
+  '/subscriptions',
+  validateSubscription,
+  idempotency,
+  subscriptionController.createSubscription
+);
+router.get('/subscriptions/:subscriptionId', subscriptionController.getSubscription);
+router.post('/subscriptions/:subscriptionId/pause', subscriptionController.pauseSubscription);
+router.post('/subscriptions/:subscriptionId/resume', subscriptionController.resumeSubscription);
+router.post(
+  '/subscriptions/:subscriptionId/cancel',
+  validateSubscriptionCancellation,
+  subscriptionController.cancelSubscription
+);
+
 // Webhooks (sin autenticación)
 router.post(
   '/webhooks/stripe',
@@ -60,11 +149,26 @@ router.post(
   stpController.handleWebhook
 );
 
+router.post(
+  '/webhooks/stp/deposits',
+  express.json(),
+  stpController.handleDepositWebhook
+);
+
 // Rutas STP
 const stpRouter = express.Router();
 
 // Pagos SPEI
-stpRouter.post('/payments', validatePayment, stpController.createPayment);
+stpRouter.post('/payments', validatePayment, idempotency, stpController.createPayment);
+
+// Depósitos SPEI a CLABE virtual
+stpRouter.get('/virtual-account', stpController.getVirtualAccount);
+stpRouter.post(
+  '/deposit-payments',
+  validateDepositPayment,
+  idempotency,
+  stpController.createDepositPayment
+);
 
 // Pagos de servicios
 stpRouter.post('/utility-payments', validatePayment, stpController.createUtilityPayment);
@@ -84,4 +188,98 @@ stpRouter.get('/banks', stpController.getBanksCatalog);
 // Montar rutas STP
 router.use('/stp', stpRouter);
 
+// Rutas de administración
+const adminRouter = express.Router();
+adminRouter.use(restrictTo('admin'));
+
+// Catálogo de emisores de pagos de servicios
+adminRouter.post('/billers/sync', stpController.syncBillerCatalog);
+
+// Motor de riesgo
+adminRouter.get('/risk/rules', riskController.listRules);
+adminRouter.post('/risk/rules', validateRiskRule, riskController.createRule);
+adminRouter.patch('/risk/rules/:name', validateRiskRuleUpdate, riskController.updateRule);
+adminRouter.get('/risk/payments', validateRiskQuery, riskController.listPayments);
+adminRouter.post(
+  '/risk/payments/:paymentId/review',
+  validateRiskReview,
+  riskController.reviewPayment
+);
+
+// Dispersiones SPEI por lote
+adminRouter.get('/payouts', payoutController.listBatches);
+adminRouter.post(
+  '/payouts',
+  express.text({ type: 'text/csv', limit: '2mb' }),
+  payoutController.uploadBatch
+);
+adminRouter.get('/payouts/:batchId', validatePayoutBatchId, payoutController.getBatch);
+adminRouter.post('/payouts/:batchId/approve', validatePayoutBatchId, payoutController.approveBatch);
+adminRouter.post('/payouts/:batchId/reject', validatePayoutRejection, payoutController.rejectBatch);
+adminRouter.get('/payouts/:batchId/result', validatePayoutBatchId, payoutController.downloadResult);
+
+// Conciliación STP
+adminRouter.get('/reconciliations', reconciliationController.listReconciliations);
+adminRouter.post(
+  '/reconciliations',
+  validateReconciliationRun,
+  reconciliationController.runReconciliation
+);
+adminRouter.get(
+  '/reconciliations/:reconciliationId',
+  reconciliationController.getReconciliation
+);
+
+// Facturas
+adminRouter.post(
+  '/invoices/:invoiceId/cancel',
+  validateInvoiceCancellation,
+  invoiceController.cancelInvoice
+);
+
+// Planes de suscripción
+adminRouter.post(
+  '/subscription-plans',
+  validateSubscriptionPlan,
+  subscriptionController.createPlan
+);
+
+// Cupones
+adminRouter.get('/coupons', couponController.listCoupons);
+adminRouter.post('/coupons', validateCoupon, couponController.createCoupon);
+adminRouter.patch('/coupons/:code', validateCouponUpdate, couponController.updateCoupon);
+
+// Bandeja de webhooks
+adminRouter.get('/webhook-events', validateWebhookEventQuery, webhookController.listEvents);
+adminRouter.get('/webhook-events/:id', validateWebhookEventId, webhookController.getEvent);
+adminRouter.post(
+  '/webhook-events/:id/replay',
+  validateWebhookEventId,
+  webhookController.replayEvent
+);
+
+// Suscriptores de eventos de pago
+adminRouter.get('/event-subscribers', notificationController.listSubscribers);
+adminRouter.post(
+  '/event-subscribers',
+  validateEventSubscriber,
+  notificationController.createSubscriber
+);
+adminRouter.patch(
+  '/event-subscribers/:id',
+  validateEventSubscriberUpdate,
+  notificationController.updateSubscriber
+);
+adminRouter.post('/event-subscribers/:id/rotate-secret', notificationController.rotateSecret);
+adminRouter.get('/event-deliveries', notificationController.listDeliveries);
+adminRouter.post('/event-deliveries/:deliveryId/retry', notificationController.retryDelivery);
+
+// Reportes financieros (JSON o CSV con format=csv)
+adminRouter.get('/reports/revenue', validateReport, reportController.getRevenue);
+adminRouter.get('/reports/failures', validateReport, reportController.getFailures);
+adminRouter.get('/reports/completion-time', validateReport, reportController.getCompletionTime);
+
+// Montar rutas de administración
+router.use('/admin', adminRouter);
+
 module.exports = router;
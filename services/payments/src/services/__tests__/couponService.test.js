@@ -0,0 +1,67 @@
+const couponService = require('../couponService');
+
+const percentage = (code, value, extra = {}) => ({ code, discountType: 'percentage', value, ...extra });
+const fixed = (code, value, extra = {}) => ({ code, discountType: 'fixed', value, ...extra });
+
+describe('couponService.calculateDiscounts', () => {
+  it('aplica un porcentaje sobre el precio base', () => {
+    const result = couponService.calculateDiscounts(1200, [percentage('BUENFIN25', 25)]);
+
+    expect(result).toEqual({
+      originalAmount: 1200,
+      discountAmount: 300,
+      amount: 900,
+      coupons: [{ code: 'BUENFIN25', discountType: 'percentage', value: 25, discountAmount: 300 }]
+    });
+  });
+
+  it('aplica un monto fijo', () => {
+    const result = couponService.calculateDiscounts(1200, [fixed('MENOS200', 200)]);
+
+    expect(result.discountAmount).toBe(200);
+    expect(result.amount).toBe(1000);
+  });
+
+  it('respeta el tope del descuento porcentual', () => {
+    const result = couponService.calculateDiscounts(1200, [percentage('MITAD', 50, { maxDiscount: 400 })]);
+
+    expect(result.discountAmount).toBe(400);
+    expect(result.amount).toBe(800);
+  });
+
+  it('aplica los porcentajes sobre el precio completo antes de los montos fijos', () => {
+    const result = couponService.calculateDiscounts(1000, [
+      fixed('MENOS100', 100),
+      percentage('DIEZ', 10)
+    ]);
+
+    expect(result.coupons.map(coupon => coupon.code)).toEqual(['DIEZ', 'MENOS100']);
+    expect(result.coupons.map(coupon => coupon.discountAmount)).toEqual([100, 100]);
+    expect(result.amount).toBe(800);
+  });
+
+  it('calcula en centavos sin errores de punto flotante', () => {
+    const result = couponService.calculateDiscounts(0.3, [fixed('DIEZCENTAVOS', 0.1)]);
+
+    expect(result.amount).toBe(0.2);
+  });
+
+  it('redondea el porcentaje al centavo', () => {
+    const result = couponService.calculateDiscounts(99.99, [percentage('QUINCE', 15)]);
+
+    expect(result.discountAmount).toBe(15);
+    expect(result.amount).toBe(84.99);
+  });
+
+  it('rechaza cupones combinados que cubren el total', () => {
+    expect(() => couponService.calculateDiscounts(1000, [
+      percentage('NOVENTA', 90),
+      fixed('MENOS500', 500)
+    ])).toThrow(expect.objectContaining({ code: 'COUPON_NOT_APPLICABLE' }));
+  });
+
+  it('rechaza un descuento que cubre el total', () => {
+    expect(() => couponService.calculateDiscounts(100, [percentage('GRATIS', 100)]))
+      .toThrow('El descuento no puede cubrir el total de la compra');
+  });
+});
@@ -0,0 +1,104 @@
+// depositService lee la configuración de STP al cargarse
+Object.assign(process.env, {
+  STP_PRIVATE_KEY: 'test.pem',
+  STP_CERTIFICATE: 'test.cer',
+  STP_ACCOUNT_NUMBER: '1234567890',
+  STP_INSTITUTION: '90646',
+  STP_WEBHOOK_SECRET: 'secret',
+  STP_UTILITY_API_KEY: 'key'
+});
+
+const Payment = require('../../models/Payment');
+const SpeiDeposit = require('../../models/SpeiDeposit');
+const VirtualAccount = require('../../models/VirtualAccount');
+const depositService = require('../depositService');
+
+const CLABE = '646180000000000018';
+
+const notification = (monto, claveRastreo) => ({
+  claveRastreo,
+  monto: String(monto),
+  cuentaBeneficiario: CLABE,
+  cuentaOrdenante: '012180000118359713',
+  nombreOrdenante: 'JUAN PEREZ'
+});
+
+const paymentWith = (fields) => {
+  const payment = new Payment({
+    paymentId: 'pay_1',
+    userId: 'user_1',
+    amount: 100,
+    status: 'processing',
+    provider: { name: 'stp', clabe: CLABE },
+    billingDetails: {},
+    ...fields
+  });
+  payment.$locals.persistedStatus = payment.status;
+  return payment;
+};
+
+describe('depositService.applyDeposit', () => {
+  beforeEach(() => {
+    jest.spyOn(SpeiDeposit, 'create').mockImplementation(async data => new SpeiDeposit(data));
+    jest.spyOn(SpeiDeposit.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(VirtualAccount, 'findActiveByClabe').mockResolvedValue(
+      new VirtualAccount({ clabe: CLABE, userId: 'user_1', scope: 'user' })
+    );
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('suma el abono con $inc', async () => {
+    const pending = paymentWith({ receivedAmount: 0 });
+    jest.spyOn(Payment, 'find').mockReturnValue({ sort: () => Promise.resolve([pending]) });
+    const update = jest.spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValue(paymentWith({ receivedAmount: 40 }));
+
+    const { deposit } = await depositService.applyDeposit(notification(40, 'rastreo-1'));
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: pending._id },
+      { $inc: { receivedAmount: 40 } },
+      { new: true }
+    );
+    expect(deposit.match).toBe('underpaid');
+  });
+
+  it('guarda el excedente en el pago para devolverlo', async () => {
+    jest.spyOn(Payment, 'find').mockReturnValue({
+      sort: () => Promise.resolve([paymentWith({ receivedAmount: 60 })])
+    });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(paymentWith({ receivedAmount: 110 }));
+    const updateOne = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+
+    const { deposit, payment } = await depositService.applyDeposit(notification(50, 'rastreo-2'));
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: payment._id }, { $max: { overpaidAmount: 10 } });
+    expect(payment.status).toBe('completed');
+    expect(deposit.match).toBe('overpaid');
+  });
+
+  it('no vuelve a completar un pago que otro abono ya completó', async () => {
+    jest.spyOn(Payment, 'find').mockReturnValue({
+      sort: () => Promise.resolve([paymentWith({ receivedAmount: 0 })])
+    });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(
+      paymentWith({ status: 'completed', receivedAmount: 150 })
+    );
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    const updateStatus = jest.spyOn(Payment.prototype, 'updateStatus');
+
+    const { deposit } = await depositService.applyDeposit(notification(50, 'rastreo-3'));
+
+    expect(updateStatus).not.toHaveBeenCalled();
+    expect(Payment.updateOne).toHaveBeenCalledWith(expect.anything(), { $max: { overpaidAmount: 50 } });
+    expect(deposit.match).toBe('overpaid');
+  });
+});
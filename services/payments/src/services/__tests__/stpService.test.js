@@ -0,0 +1,101 @@
+// stpService valida su configuración al cargarse
+Object.assign(process.env, {
+  STP_PRIVATE_KEY: 'test.pem',
+  STP_CERTIFICATE: 'test.cer',
+  STP_ACCOUNT_NUMBER: '1234567890',
+  STP_INSTITUTION: '90646',
+  STP_WEBHOOK_SECRET: 'secret',
+  STP_UTILITY_API_KEY: 'key'
+});
+
+const stpService = require('../stpService');
+
+const CLABE = '012180000118359713';
+
+describe('stpService', () => {
+  let post;
+
+  beforeEach(() => {
+    jest.spyOn(stpService, 'signRequest').mockReturnValue('firma');
+    post = jest.spyOn(stpService.axios, 'post');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRefund', () => {
+    const refund = {
+      originalTrackingKey: 'rastreo-original',
+      amount: 150.5,
+      reason: 'Devolución parcial',
+      beneficiaryAccount: CLABE,
+      beneficiaryName: 'JUAN PEREZ'
+    };
+
+    it('envía la devolución firmada con una claveRastreo nueva', async () => {
+      post.mockResolvedValue({ data: { resultado: { id: 321 } } });
+
+      const result = await stpService.createRefund(refund);
+
+      const [path, data, options] = post.mock.calls[0];
+      expect(path).toBe('/devolucion');
+      expect(options.headers['X-Signature']).toBe('firma');
+      expect(data).toMatchObject({
+        claveRastreoDevolucion: 'rastreo-original',
+        monto: '150.50',
+        cuentaBeneficiario: CLABE,
+        tipoCuentaBeneficiario: '40'
+      });
+      expect(data.claveRastreo).toMatch(/^[0-9a-f]{32}$/);
+      expect(result).toEqual({
+        refundId: 321,
+        trackingKey: data.claveRastreo,
+        originalTrackingKey: 'rastreo-original',
+        status: 'pending'
+      });
+    });
+
+    it('rechaza la devolución que STP no registra', async () => {
+      post.mockResolvedValue({ data: { resultado: { id: 0, descripcion: 'Saldo insuficiente' } } });
+
+      await expect(stpService.createRefund(refund)).rejects.toMatchObject({
+        message: 'Error al procesar la devolución con STP'
+      });
+    });
+
+    it('valida la cuenta antes de llamar a STP', async () => {
+      await expect(stpService.createRefund({ ...refund, beneficiaryAccount: '123' }))
+        .rejects.toMatchObject({ code: 'INVALID_BENEFICIARY_ACCOUNT' });
+      expect(post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPaymentOrder', () => {
+    const order = {
+      concept: 'Dispersión',
+      amount: 100,
+      beneficiaryName: 'JUAN PEREZ',
+      beneficiaryAccount: CLABE,
+      beneficiaryBank: { code: '40012' },
+      reference: '0000001'
+    };
+
+    it('usa la claveRastreo indicada', async () => {
+      post.mockResolvedValue({ data: { resultado: { id: 55, referencia: 'ref' } } });
+
+      const result = await stpService.createPaymentOrder({ ...order, trackingKey: 'clave-guardada' });
+
+      expect(post.mock.calls[0][1].claveRastreo).toBe('clave-guardada');
+      expect(result).toEqual({ paymentId: 55, trackingKey: 'clave-guardada', bankReference: 'ref' });
+    });
+
+    it('genera una claveRastreo si no se indica', async () => {
+      post.mockResolvedValue({ data: { resultado: { id: 55 } } });
+
+      const result = await stpService.createPaymentOrder(order);
+
+      expect(result.trackingKey).toMatch(/^[0-9a-f]{32}$/);
+    });
+  });
+});
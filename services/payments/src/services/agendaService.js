@@ -0,0 +1,163 @@
+const Agenda = require('agenda');
+const logger = require('../config/logger');
+const stpConfig = require('../config/stp');
+const invoicingConfig = require('../config/invoicing');
+const subscriptionsConfig = require('../config/subscriptions');
+const reconciliationService = require('./reconciliationService');
+const invoiceService = require('./invoiceService');
+const subscriptionService = require('./subscriptionService');
+const voucherService = require('./voucherService');
+const webhookService = require('./webhookService');
+const notificationService = require('./notificationService');
+const exchangeRateService = require('./exchangeRateService');
+const billerService = require('./billerService');
+const payoutService = require('./payoutService');
+
+class AgendaService {
+  constructor() {
+    this.agenda = null;
+  }
+
+  /**
+   * Crear la agenda, definir los trabajos y programar los recurrentes.
+   * Se llama al arrancar el servidor, después de conectar a MongoDB.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.agenda = new Agenda({
+      db: {
+        address: process.env.MONGODB_URI,
+        collection: 'agendaJobs'
+      },
+      processEvery: '1 minute'
+    });
+
+    // Definir trabajos
+    this.agenda.define('stp-daily-reconciliation', async () => {
+      try {
+        await reconciliationService.runDailyReconciliation();
+      } catch (error) {
+        logger.error('Error en trabajo stp-daily-reconciliation:', error);
+      }
+    });
+
+    this.agenda.define('process-invoices', async () => {
+      try {
+        const summary = await invoiceService.processPendingInvoices();
+        logger.info('Facturas procesadas:', summary);
+      } catch (error) {
+        logger.error('Error en trabajo process-invoices:', error);
+      }
+    });
+
+    this.agenda.define('expire-subscriptions', async () => {
+      try {
+        await subscriptionService.expireOverdueSubscriptions();
+      } catch (error) {
+        logger.error('Error en trabajo expire-subscriptions:', error);
+      }
+    });
+
+    this.agenda.define('oxxo-vouchers', async () => {
+      try {
+        const summary = await voucherService.processVouchers();
+        logger.info('Fichas OXXO procesadas:', summary);
+      } catch (error) {
+        logger.error('Error en trabajo oxxo-vouchers:', error);
+      }
+    });
+
+    this.agenda.define('process-webhook-events', async () => {
+      try {
+        const summary = await webhookService.processDue();
+        if (summary.processed || summary.failed) {
+          logger.info('Webhooks procesados:', summary);
+        }
+      } catch (error) {
+        logger.error('Error en trabajo process-webhook-events:', error);
+      }
+    });
+
+    this.agenda.define('deliver-payment-events', async () => {
+      try {
+        const summary = await notificationService.deliverDue();
+        if (summary.delivered || summary.failed) {
+          logger.info('Eventos de pago entregados:', summary);
+        }
+      } catch (error) {
+        logger.error('Error en trabajo deliver-payment-events:', error);
+      }
+    });
+
+    this.agenda.define('expire-exchange-quotes', async () => {
+      try {
+        const cancelled = await exchangeRateService.expireStalePayments();
+        if (cancelled > 0) {
+          logger.info(`Pagos cancelados por cotización expirada: ${cancelled}`);
+        }
+      } catch (error) {
+        logger.error('Error en trabajo expire-exchange-quotes:', error);
+      }
+    });
+
+    this.agenda.define('sync-biller-catalog', async () => {
+      try {
+        await billerService.syncCatalog();
+      } catch (error) {
+        logger.error('Error en trabajo sync-biller-catalog:', error);
+      }
+    });
+
+    // Una sola ejecución a la vez para respetar PAYOUT_ORDERS_PER_MINUTE
+    this.agenda.define('submit-payouts', { concurrency: 1, lockLifetime: 10 * 60 * 1000 }, async () => {
+      try {
+        const summary = await payoutService.submitDue();
+        if (summary.submitted || summary.failed || summary.recovered) {
+          logger.info('Dispersiones enviadas:', summary);
+        }
+      } catch (error) {
+        logger.error('Error en trabajo submit-payouts:', error);
+      }
+    });
+
+    // Iniciar agenda
+    await this.agenda.start();
+
+    // Programar trabajos recurrentes
+    const { schedule, timezone } = stpConfig.reconciliation;
+    await this.agenda.every(schedule, 'stp-daily-reconciliation', {}, { timezone });
+
+    const { catalogSync } = stpConfig.utility;
+    await this.agenda.every(catalogSync.schedule, 'sync-biller-catalog', {}, { timezone: catalogSync.timezone });
+
+    await this.agenda.every(subscriptionsConfig.expirationSchedule, 'expire-subscriptions');
+    await this.agenda.every('1 hour', 'oxxo-vouchers');
+    await this.agenda.every('1 minute', 'process-webhook-events');
+    await this.agenda.every('1 minute', 'deliver-payment-events');
+    await this.agenda.every('5 minutes', 'expire-exchange-quotes');
+    await this.agenda.every('1 minute', 'submit-payouts');
+
+    if (invoicingConfig.enabled) {
+      await this.agenda.every('5 minutes', 'process-invoices');
+    }
+
+    logger.info('Agenda iniciada');
+  }
+
+  async gracefulShutdown() {
+    if (!this.agenda) {
+      return;
+    }
+
+    try {
+      await this.agenda.stop();
+      logger.info('Agenda detenida correctamente');
+    } catch (error) {
+      logger.error('Error al detener agenda:', error);
+      throw error;
+    }
+  }
+}
+
+// Exportar una única instancia
+module.exports = new AgendaService();
@@ -0,0 +1,255 @@
+const Biller = require('../models/Biller');
+const stpUtilityService = require('./stpUtilityService');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { toCents } = require('../utils/money');
+
+/**
+ * Comprobar una referencia contra el formato del convenio
+ * @param {Object} agreement - Convenio del emisor
+ * @param {string} reference - Referencia del recibo
+ * @returns {boolean}
+ */
+const matchesReferenceFormat = (agreement, reference) => {
+  if (!agreement.referenceFormat) {
+    return true;
+  }
+
+  try {
+    return new RegExp(`^(?:${agreement.referenceFormat})$`).test(reference);
+  } catch (error) {
+    // Un formato mal publicado por STP no debe bloquear los pagos; STP valida al consultar
+    logger.warn(`Formato de referencia inválido en el convenio ${agreement.code}:`, error);
+    return true;
+  }
+};
+
+class BillerService {
+  /**
+   * Sincronizar el catálogo de emisores y convenios con STP.
+   * Los emisores que STP ya no publica se desactivan.
+   * @returns {Promise<Object>} { synced, deactivated }
+   */
+  async syncCatalog() {
+    const services = await stpUtilityService.getAvailableServices();
+    const syncedAt = new Date();
+
+    const operations = [];
+    for (const service of services) {
+      const update = {
+        stpServiceId: service.id,
+        name: service.name,
+        description: service.description,
+        minAmount: service.minAmount,
+        maxAmount: service.maxAmount,
+        commission: service.commission,
+        partialPayments: Boolean(service.validationRules && service.validationRules.permitePagoParcial),
+        schedule: service.schedule,
+        active: true,
+        syncedAt
+      };
+
+      try {
+        const agreements = await stpUtilityService.getServiceAgreements(service.type);
+        update.agreements = agreements.map(agreement => ({
+          code: agreement.code,
+          name: agreement.name,
+          description: agreement.description,
+          referenceFormat: agreement.validationFormat,
+          paymentInstructions: agreement.paymentInstructions
+        }));
+      } catch (error) {
+        // Se conservan los convenios de la sincronización anterior
+        logger.error(`Error sincronizando convenios de ${service.type}:`, error);
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { code: service.type.toUpperCase() },
+          update: { $set: update },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await Biller.bulkWrite(operations);
+    }
+
+    const { modifiedCount } = await Biller.updateMany(
+      { active: true, syncedAt: { $ne: syncedAt } },
+      { active: false }
+    );
+
+    const summary = { synced: operations.length, deactivated: modifiedCount };
+    logger.info('Catálogo de emisores sincronizado:', summary);
+
+    return summary;
+  }
+
+  /**
+   * Emisores activos; si el catálogo nunca se ha sincronizado, se sincroniza
+   * @returns {Promise<Array>}
+   */
+  async listBillers() {
+    await this._ensureCatalog();
+    return Biller.find({ active: true }).sort({ name: 1 });
+  }
+
+  /**
+   * Obtener un emisor activo
+   * @param {string} code - Código del emisor (`serviceType`)
+   * @returns {Promise<Object>}
+   */
+  async getBiller(code) {
+    await this._ensureCatalog();
+
+    const biller = await Biller.findActiveByCode(code);
+    if (!biller) {
+      throw new ApiError(`El servicio ${code} no está disponible`, 400, 'BILLER_NOT_AVAILABLE');
+    }
+
+    return biller;
+  }
+
+  /**
+   * Consultar el saldo de una referencia antes de pagarla
+   * @param {Object} data
+   * @param {string} data.serviceType - Código del emisor
+   * @param {string} data.reference - Referencia del recibo
+   * @param {string} [data.agreementCode] - Requerido si el emisor tiene varios convenios
+   * @returns {Promise<Object>} Saldo y reglas de pago del emisor
+   */
+  async inquireBalance({ serviceType, reference, agreementCode }) {
+    const biller = await this.getBiller(serviceType);
+    const agreement = this._resolveAgreement(biller, agreementCode);
+
+    if (!matchesReferenceFormat(agreement, reference)) {
+      throw new ApiError(
+        `La referencia no tiene el formato de ${biller.name}`,
+        400,
+        'INVALID_REFERENCE_FORMAT'
+      );
+    }
+
+    const validation = await stpUtilityService.validateServiceReference(
+      biller.code,
+      reference,
+      agreement.code
+    );
+
+    if (!validation.isValid) {
+      throw new ApiError('Referencia de servicio inválida', 400, 'INVALID_SERVICE_REFERENCE');
+    }
+
+    return {
+      serviceType: biller.code,
+      billerName: biller.name,
+      agreementCode: agreement.code,
+      reference,
+      customerName: validation.details.customerName,
+      amountDue: Number.isFinite(validation.details.amount) ? validation.details.amount : null,
+      dueDate: validation.details.dueDate,
+      partialPayments: biller.partialPayments,
+      minAmount: biller.minAmount,
+      maxAmount: biller.maxAmount,
+      commission: biller.commission
+    };
+  }
+
+  /**
+   * Validar un pago de servicio contra el catálogo y el saldo adeudado
+   * @param {Object} data
+   * @param {string} data.serviceType - Código del emisor
+   * @param {number} data.amount - Monto a pagar
+   * @param {Object} data.billingDetails - Datos del recibo (`reference`, `agreementCode`)
+   * @returns {Promise<Object>} { balance, billingDetails } con convenio y vencimiento resueltos
+   */
+  async preparePayment({ serviceType, amount, billingDetails }) {
+    const balance = await this.inquireBalance({
+      serviceType,
+      reference: billingDetails.reference,
+      agreementCode: billingDetails.agreementCode
+    });
+
+    this._assertAmount(balance, amount);
+
+    return {
+      balance,
+      billingDetails: {
+        ...billingDetails,
+        agreementCode: balance.agreementCode,
+        dueDate: billingDetails.dueDate || balance.dueDate,
+        amountDue: balance.amountDue
+      }
+    };
+  }
+
+  /**
+   * Reglas de monto del emisor: límites y abonos parciales
+   * @private
+   */
+  _assertAmount(balance, amount) {
+    if (balance.minAmount && amount < balance.minAmount) {
+      throw new ApiError(`El monto mínimo para ${balance.billerName} es ${balance.minAmount}`, 400, 'AMOUNT_BELOW_MINIMUM');
+    }
+    if (balance.maxAmount && amount > balance.maxAmount) {
+      throw new ApiError(`El monto máximo para ${balance.billerName} es ${balance.maxAmount}`, 400, 'AMOUNT_ABOVE_MAXIMUM');
+    }
+
+    // Sin saldo reportado no hay contra qué comparar
+    if (balance.amountDue === null || balance.amountDue <= 0) {
+      return;
+    }
+
+    if (toCents(amount) > toCents(balance.amountDue)) {
+      throw new ApiError(`El monto excede el saldo adeudado (${balance.amountDue})`, 400, 'AMOUNT_EXCEEDS_BALANCE');
+    }
+    if (!balance.partialPayments && toCents(amount) !== toCents(balance.amountDue)) {
+      throw new ApiError(
+        `${balance.billerName} no acepta pagos parciales; el saldo es ${balance.amountDue}`,
+        400,
+        'PARTIAL_PAYMENT_NOT_ALLOWED'
+      );
+    }
+  }
+
+  /**
+   * Convenio indicado, o el único del emisor
+   * @private
+   */
+  _resolveAgreement(biller, agreementCode) {
+    if (agreementCode) {
+      const agreement = biller.findAgreement(agreementCode);
+      if (!agreement) {
+        throw new ApiError(`El convenio ${agreementCode} no pertenece a ${biller.name}`, 400, 'INVALID_AGREEMENT');
+      }
+      return agreement;
+    }
+
+    if (biller.agreements.length !== 1) {
+      throw new ApiError(`Indica el convenio de ${biller.name}`, 400, 'AGREEMENT_REQUIRED');
+    }
+
+    return biller.agreements[0];
+  }
+
+  /**
+   * Sincronizar en la primera consulta si el catálogo está vacío
+   * @private
+   */
+  async _ensureCatalog() {
+    if (await Biller.estimatedDocumentCount() > 0) {
+      return;
+    }
+
+    try {
+      await this.syncCatalog();
+    } catch (error) {
+      logger.error('Error sincronizando el catálogo de emisores:', error);
+      throw ApiError.externalServiceError('El catálogo de servicios no está disponible', 'stp');
+    }
+  }
+}
+
+module.exports = new BillerService();
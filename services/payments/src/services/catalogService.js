@@ -0,0 +1,47 @@
+const axios = require('axios');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+class CatalogService {
+  constructor() {
+    this.services = {
+      course: {
+        baseURL: process.env.COURSES_SERVICE_URL,
+        path: '/api/v1/courses'
+      },
+      webinar: {
+        baseURL: process.env.WEBINARS_SERVICE_URL,
+        path: '/api/v1/webinars'
+      }
+    };
+  }
+
+  /**
+   * Obtener un curso o webinar del servicio correspondiente
+   * @param {string} type - Tipo de item ('course' o 'webinar')
+   * @param {string} itemId - ID del item
+   * @returns {Promise<Object|null>} Item o null si el tipo no tiene catálogo
+   */
+  async getItem(type, itemId) {
+    const service = this.services[type];
+    if (!service) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(`${service.baseURL}${service.path}/${itemId}`, {
+        timeout: 10000
+      });
+      return response.data.data;
+    } catch (error) {
+      logger.error(`Error obteniendo ${type} ${itemId} del catálogo:`, error);
+
+      if (error.response?.status === 404) {
+        throw ApiError.notFoundError('El item a pagar no existe');
+      }
+      throw ApiError.externalServiceError('Error al consultar el catálogo', type);
+    }
+  }
+}
+
+module.exports = new CatalogService();
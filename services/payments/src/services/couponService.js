@@ -0,0 +1,206 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const catalogService = require('./catalogService');
+const ApiError = require('../utils/ApiError');
+const { toCents } = require('../utils/money');
+
+const MAX_STACKED_COUPONS = 3;
+
+// Campos que un administrador puede modificar de un cupón existente
+const UPDATABLE_FIELDS = [
+  'description',
+  'discountType',
+  'value',
+  'currency',
+  'maxDiscount',
+  'minAmount',
+  'appliesTo',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'stackable',
+  'startsAt',
+  'expiresAt',
+  'active'
+];
+
+class CouponService {
+  /**
+   * Crear un cupón
+   * @param {Object} couponData - Datos del cupón
+   * @param {string} createdBy - ID del administrador
+   * @returns {Promise<Object>} Cupón creado
+   */
+  async createCoupon(couponData, createdBy) {
+    if (await Coupon.findByCode(couponData.code)) {
+      throw ApiError.conflictError('Ya existe un cupón con ese código');
+    }
+
+    return Coupon.create({ ...couponData, createdBy });
+  }
+
+  /**
+   * Actualizar un cupón. Sólo se aplican los campos de `UPDATABLE_FIELDS`;
+   * el código, el conteo de usos y el autor no se modifican.
+   * @param {string} code - Código del cupón
+   * @param {Object} updates - Campos a actualizar
+   * @returns {Promise<Object>} Cupón actualizado
+   */
+  async updateCoupon(code, updates) {
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
+      throw ApiError.notFoundError('Cupón no encontrado');
+    }
+
+    UPDATABLE_FIELDS
+      .filter(field => updates[field] !== undefined)
+      .forEach(field => coupon.set(field, updates[field]));
+
+    return coupon.save();
+  }
+
+  /**
+   * Obtener el precio base y la categoría del item a pagar
+   * @private
+   * @returns {Promise<Object>} Monto base y categoría
+   */
+  async _getItemPricing({ type, itemId, amount, currency }) {
+    const item = await catalogService.getItem(type, itemId);
+
+    // Los precios del catálogo están en MXN
+    if (item && typeof item.price === 'number' && currency === 'MXN') {
+      return { baseAmount: item.price, category: item.category };
+    }
+
+    return { baseAmount: amount, category: item ? item.category : undefined };
+  }
+
+  /**
+   * Verificar que un cupón pueda usarse en la compra
+   * @private
+   * @throws {ApiError} Si el cupón no aplica
+   */
+  async _assertApplicable(coupon, { userId, type, itemId, category, baseAmount, currency }) {
+    const now = new Date();
+
+    if (!coupon.active || (coupon.startsAt && coupon.startsAt > now)) {
+      throw new ApiError(`El cupón ${coupon.code} no está vigente`, 400, 'COUPON_INVALID');
+    }
+
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw new ApiError(`El cupón ${coupon.code} expiró`, 400, 'COUPON_EXPIRED');
+    }
+
+    const { types, itemIds, categories } = coupon.appliesTo;
+    const outOfScope = (types.length && !types.includes(type))
+      || (itemIds.length && !itemIds.includes(itemId))
+      || (categories.length && !categories.includes(category));
+
+    if (outOfScope || (coupon.discountType === 'fixed' && coupon.currency !== currency)) {
+      throw new ApiError(`El cupón ${coupon.code} no aplica a este producto`, 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    if (toCents(baseAmount) < toCents(coupon.minAmount)) {
+      throw new ApiError(
+        `El cupón ${coupon.code} requiere una compra mínima de ${coupon.minAmount}`,
+        400,
+        'COUPON_NOT_APPLICABLE'
+      );
+    }
+
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+      throw new ApiError(`El cupón ${coupon.code} ya no tiene usos disponibles`, 400, 'COUPON_LIMIT_REACHED');
+    }
+
+    if (coupon.maxRedemptionsPerUser) {
+      const userRedemptions = await CouponRedemption.countDocuments({ code: coupon.code, userId });
+      if (userRedemptions >= coupon.maxRedemptionsPerUser) {
+        throw new ApiError(`Ya usaste el cupón ${coupon.code}`, 400, 'COUPON_LIMIT_REACHED');
+      }
+    }
+  }
+
+  /**
+   * Calcular el monto a cobrar aplicando cupones
+   * @param {Object} data - Datos de la compra
+   * @param {Array<string>} data.codes - Códigos de cupón
+   * @param {string} data.userId - ID del usuario
+   * @param {string} data.type - Tipo de pago
+   * @param {string} data.itemId - ID del item
+   * @param {number} data.amount - Monto solicitado; se usa si el item no tiene precio en catálogo
+   * @param {string} data.currency - Moneda
+   * @returns {Promise<Object>} Monto original, descuento, monto final y cupones aplicados
+   */
+  async applyCoupons({ codes, userId, type, itemId, amount, currency }) {
+    const uniqueCodes = [...new Set(codes.map(code => String(code).trim().toUpperCase()))];
+
+    if (uniqueCodes.length > MAX_STACKED_COUPONS) {
+      throw new ApiError(`Solo se pueden combinar hasta ${MAX_STACKED_COUPONS} cupones`, 400, 'COUPON_NOT_STACKABLE');
+    }
+
+    const coupons = await Coupon.find({ code: { $in: uniqueCodes } });
+    const missing = uniqueCodes.filter(code => !coupons.some(coupon => coupon.code === code));
+    if (missing.length > 0) {
+      throw new ApiError(`Cupón no válido: ${missing.join(', ')}`, 400, 'COUPON_INVALID');
+    }
+
+    if (coupons.length > 1 && coupons.some(coupon => !coupon.stackable)) {
+      throw new ApiError('Alguno de los cupones no puede combinarse con otros', 400, 'COUPON_NOT_STACKABLE');
+    }
+
+    const { baseAmount, category } = await this._getItemPricing({ type, itemId, amount, currency });
+
+    for (const coupon of coupons) {
+      await this._assertApplicable(coupon, { userId, type, itemId, category, baseAmount, currency });
+    }
+
+    return this.calculateDiscounts(baseAmount, coupons);
+  }
+
+  /**
+   * Calcular los descuentos de cupones ya validados sobre un precio base.
+   * Los porcentajes se aplican sobre el precio completo antes que los
+   * montos fijos, y ningún descuento excede lo que queda por cobrar.
+   * @param {number} baseAmount - Precio base
+   * @param {Array<Object>} coupons - Cupones aplicables
+   * @returns {Object} Monto original, descuento, monto final y cupones aplicados
+   * @throws {ApiError} Si los descuentos cubren el total de la compra
+   */
+  calculateDiscounts(baseAmount, coupons) {
+    const ordered = [...coupons].sort((a, b) =>
+      (a.discountType === 'percentage' ? 0 : 1) - (b.discountType === 'percentage' ? 0 : 1)
+    );
+
+    let remaining = toCents(baseAmount);
+    const applied = ordered.map(coupon => {
+      let discount = coupon.discountType === 'percentage'
+        ? Math.round(toCents(baseAmount) * coupon.value / 100)
+        : toCents(coupon.value);
+
+      if (coupon.maxDiscount) {
+        discount = Math.min(discount, toCents(coupon.maxDiscount));
+      }
+      discount = Math.min(discount, remaining);
+      remaining -= discount;
+
+      return {
+        code: coupon.code,
+        discountType: coupon.discountType,
+        value: coupon.value,
+        discountAmount: discount / 100
+      };
+    });
+
+    if (remaining <= 0) {
+      throw new ApiError('El descuento no puede cubrir el total de la compra', 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    return {
+      originalAmount: baseAmount,
+      discountAmount: (toCents(baseAmount) - remaining) / 100,
+      amount: remaining / 100,
+      coupons: applied
+    };
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const SpeiDeposit = require('../models/SpeiDeposit');
+const VirtualAccount = require('../models/VirtualAccount');
+const stpConfig = require('../config/stp');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { generateClabe } = require('../utils/clabe');
+const { toCents } = require('../utils/money');
+
+const MAX_CLABE_ATTEMPTS = 5;
+
+class DepositService {
+  constructor() {
+    this.clabePrefix = stpConfig.getConfig().clabePrefix;
+  }
+
+  /**
+   * Obtener la CLABE virtual de un usuario o crear una para un pago
+   * @param {string} userId - ID del usuario
+   * @param {string} [paymentId] - ID del pago si la CLABE es de un solo uso
+   * @returns {Promise<Object>} Cuenta virtual
+   */
+  async getOrCreateVirtualAccount(userId, paymentId = null) {
+    const scope = paymentId ? 'payment' : 'user';
+
+    if (scope === 'user') {
+      const existing = await VirtualAccount.findOne({ userId, scope, status: 'active' });
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const sequenceLength = 17 - this.clabePrefix.length;
+
+    for (let attempt = 0; attempt < MAX_CLABE_ATTEMPTS; attempt++) {
+      const sequence = crypto.randomInt(0, 10 ** sequenceLength);
+
+      try {
+        const account = await VirtualAccount.create({
+          clabe: generateClabe(this.clabePrefix, sequence),
+          userId,
+          paymentId,
+          scope
+        });
+
+        logger.info('CLABE virtual asignada:', { userId, paymentId, clabe: account.clabe });
+        return account;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        // Otra solicitud creó la CLABE del usuario al mismo tiempo
+        if (scope === 'user' && error.keyPattern && error.keyPattern.userId) {
+          return VirtualAccount.findOne({ userId, scope });
+        }
+      }
+    }
+
+    throw ApiError.internalError('No fue posible asignar una CLABE virtual', true);
+  }
+
+  /**
+   * Normalizar la notificación de abono enviada por STP
+   * @private
+   * @param {Object} notification - Cuerpo del webhook
+   * @returns {Object} Datos del depósito
+   */
+  _normalizeNotification(notification) {
+    return {
+      trackingKey: notification.claveRastreo,
+      stpId: notification.id ? String(notification.id) : undefined,
+      amount: parseFloat(notification.monto),
+      clabe: notification.cuentaBeneficiario,
+      payer: {
+        name: notification.nombreOrdenante,
+        account: notification.cuentaOrdenante,
+        bankCode: notification.institucionOrdenante,
+        taxId: notification.rfcCurpOrdenante
+      },
+      concept: notification.conceptoPago,
+      reference: notification.referenciaNumerica,
+      operationDate: notification.fechaOperacion ? new Date(notification.fechaOperacion) : undefined,
+      raw: notification
+    };
+  }
+
+  /**
+   * Buscar el pago pendiente al que corresponde un depósito.
+   * Para CLABEs de usuario se prefiere el pago cuyo saldo pendiente
+   * coincide con el monto; si ninguno coincide se usa el más antiguo.
+   * @private
+   */
+  async _findPaymentForDeposit(account, amount) {
+    if (account.scope === 'payment') {
+      return Payment.findOne({
+        paymentId: account.paymentId,
+        status: { $in: ['pending', 'processing'] }
+      });
+    }
+
+    const candidates = await Payment.find({
+      userId: account.userId,
+      'provider.name': 'stp',
+      'provider.clabe': account.clabe,
+      status: { $in: ['pending', 'processing'] }
+    }).sort({ createdAt: 1 });
+
+    return candidates.find(payment =>
+      toCents(payment.amount) - toCents(payment.receivedAmount) === toCents(amount)
+    ) || candidates[0] || null;
+  }
+
+  /**
+   * Aplicar un abono SPEI recibido en una CLABE virtual
+   * @param {Object} notification - Cuerpo del webhook de abono de STP
+   * @returns {Promise<Object>} Depósito registrado y si debe devolverse
+   */
+  async applyDeposit(notification) {
+    const data = this._normalizeNotification(notification);
+
+    // Reclamar la clave de rastreo antes de tocar el pago: si STP reenvía el
+    // abono en paralelo, sólo una de las notificaciones lo aplica
+    let deposit;
+    try {
+      deposit = await SpeiDeposit.create(data);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const existing = await SpeiDeposit.findOne({ trackingKey: data.trackingKey });
+      return { deposit: existing, duplicate: true };
+    }
+
+    try {
+      return await this._applyClaimedDeposit(deposit, data);
+    } catch (error) {
+      // El abono queda `unmatched`; reintentarlo podría acreditarlo dos veces
+      logger.error('Abono SPEI reclamado sin aplicar, requiere revisión:', {
+        trackingKey: data.trackingKey,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Aplicar un abono ya reclamado contra la cuenta virtual y su pago
+   * @private
+   * @param {Object} deposit - Depósito recién creado en estado `unmatched`
+   * @param {Object} data - Datos normalizados del abono
+   * @returns {Promise<Object>} Depósito registrado y si debe devolverse
+   */
+  async _applyClaimedDeposit(deposit, data) {
+    const account = await VirtualAccount.findActiveByClabe(data.clabe);
+    if (!account) {
+      // CLABE desconocida: STP devuelve el abono al ordenante
+      deposit.status = 'returned';
+      await deposit.save();
+      logger.warn('Abono SPEI a CLABE desconocida:', { trackingKey: data.trackingKey, clabe: data.clabe });
+      return { deposit, returnDeposit: true };
+    }
+
+    deposit.userId = account.userId;
+
+    const payment = await this._findPaymentForDeposit(account, data.amount);
+    if (!payment) {
+      await deposit.save();
+      logger.warn('Abono SPEI sin pago pendiente:', { trackingKey: data.trackingKey, userId: account.userId });
+      return { deposit };
+    }
+
+    // $inc: dos abonos simultáneos a la misma CLABE no se pisan el monto
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id },
+      { $inc: { receivedAmount: data.amount } },
+      { new: true }
+    );
+    updated.provider.trackingKey = updated.provider.trackingKey || data.trackingKey;
+
+    // La cuenta del ordenante es el destino de cualquier devolución posterior
+    if (!updated.billingDetails.beneficiaryAccount) {
+      updated.billingDetails.beneficiaryAccount = data.payer.account;
+      updated.billingDetails.beneficiaryName = data.payer.name;
+    }
+
+    if (updated.status === 'pending') {
+      await updated.updateStatus('processing');
+    }
+
+    const outstanding = toCents(updated.amount) - toCents(updated.receivedAmount);
+    const overpaidAmount = Math.max(-outstanding, 0) / 100;
+    let match = 'underpaid';
+
+    if (outstanding <= 0) {
+      match = outstanding === 0 ? 'exact' : 'overpaid';
+
+      // El excedente queda en el pago para devolverlo. receivedAmount sólo
+      // crece, así que el excedente mayor es el vigente
+      if (overpaidAmount > 0) {
+        await Payment.updateOne({ _id: updated._id }, { $max: { overpaidAmount } });
+      }
+
+      // Otro abono pudo completar el pago mientras se aplicaba éste
+      if (['pending', 'processing'].includes(updated.status)) {
+        updated.provider.chargeId = data.trackingKey;
+        await updated.updateStatus('completed');
+      } else {
+        await updated.save();
+      }
+
+      if (account.scope === 'payment') {
+        account.status = 'closed';
+        await account.save();
+      }
+    } else {
+      await updated.save();
+    }
+
+    deposit.set({
+      status: 'applied',
+      match,
+      paymentId: updated.paymentId
+    });
+    await deposit.save();
+
+    logger.info('Abono SPEI aplicado:', {
+      paymentId: updated.paymentId,
+      trackingKey: data.trackingKey,
+      amount: data.amount,
+      match
+    });
+
+    if (match === 'overpaid') {
+      logger.warn('Pago SPEI con excedente por devolver:', {
+        paymentId: updated.paymentId,
+        overpaidAmount
+      });
+    }
+
+    return { deposit, payment: updated };
+  }
+}
+
+module.exports = new DepositService();
@@ -0,0 +1,112 @@
+const nodemailer = require('nodemailer');
+const logger = require('../config/logger');
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('es-MX', { style: 'currency', currency }).format(amount || 0);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString('es-MX', {
+    timeZone: 'America/Mexico_City',
+    dateStyle: 'long',
+    timeStyle: 'short'
+  });
+
+class EmailService {
+  constructor() {
+    this.enabled = process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+
+  async sendPaymentEmail({ to, payment, type }) {
+    if (!this.enabled) {
+      logger.info(`Notificaciones por email deshabilitadas; se omite ${type} para ${payment.paymentId}`);
+      return null;
+    }
+
+    try {
+      const emailContent = this.getEmailContent(type, payment);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to,
+        ...emailContent
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info(`Email enviado: ${info.messageId}`);
+      return info;
+    } catch (error) {
+      logger.error('Error al enviar email:', error);
+      throw new Error('Error al enviar email');
+    }
+  }
+
+  getEmailContent(type, payment) {
+    switch (type) {
+      case 'oxxo_reminder':
+        return this.getOxxoReminderEmail(payment);
+      case 'oxxo_expired':
+        return this.getOxxoExpiredEmail(payment);
+      default:
+        throw new Error('Tipo de email no válido');
+    }
+  }
+
+  getOxxoReminderEmail(payment) {
+    const { voucher } = payment;
+
+    return {
+      subject: 'Recordatorio: tu ficha de pago OXXO vence pronto',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #333;">Tu ficha OXXO está por vencer</h1>
+
+          <p>Aún no hemos recibido el pago de tu compra. Puedes pagar en cualquier tienda OXXO antes del vencimiento.</p>
+
+          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Monto:</strong> ${formatMoney(payment.amount, payment.currency)}</p>
+            <p><strong>Referencia:</strong> ${voucher.reference}</p>
+            <p><strong>Vence:</strong> ${formatDate(voucher.expiresAt)}</p>
+          </div>
+
+          ${voucher.url ? `
+            <div style="margin: 20px 0;">
+              <a href="${voucher.url}" style="background-color: #e53e3e; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+                Ver ficha con código de barras
+              </a>
+            </div>
+          ` : ''}
+
+          <p style="color: #666; font-size: 0.9em; margin-top: 30px;">
+            Si ya realizaste el pago, ignora este mensaje; puede tardar hasta un día hábil en reflejarse.
+          </p>
+        </div>
+      `
+    };
+  }
+
+  getOxxoExpiredEmail(payment) {
+    return {
+      subject: 'Tu ficha de pago OXXO venció',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #333;">Ficha OXXO vencida</h1>
+
+          <p>La ficha de pago por ${formatMoney(payment.amount, payment.currency)} venció sin registrar el pago y tu compra fue cancelada.</p>
+
+          <p>Si aún deseas el producto, puedes iniciar una nueva compra en cualquier momento.</p>
+        </div>
+      `
+    };
+  }
+}
+
+module.exports = new EmailService();
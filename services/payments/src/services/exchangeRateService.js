@@ -0,0 +1,192 @@
+const axios = require('axios');
+const ExchangeQuote = require('../models/ExchangeQuote');
+const Payment = require('../models/Payment');
+const exchangeConfig = require('../config/exchange');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { providerRegistry } = require('./providers');
+const { toCents } = require('../utils/money');
+
+const MINUTE = 60 * 1000;
+
+class ExchangeRateService {
+  /**
+   * Consultar el tipo de cambio en apimarket-api
+   * @param {string} from - Moneda origen
+   * @param {string} to - Moneda destino
+   * @returns {Promise<number>} Unidades de `to` por unidad de `from`
+   */
+  async getRate(from, to) {
+    const { baseURL, apiKey, timeout } = exchangeConfig.apimarket;
+
+    try {
+      const response = await axios.get(`${baseURL}/api/v1/market/exchange-rates`, {
+        params: { fromCurrency: from, toCurrency: to },
+        headers: { 'X-API-Key': apiKey },
+        timeout
+      });
+
+      const rate = Number(response.data.rate);
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`Tipo de cambio inválido: ${response.data.rate}`);
+      }
+
+      return rate;
+    } catch (error) {
+      logger.error(`Error consultando tipo de cambio ${from}/${to}:`, error);
+      throw ApiError.externalServiceError('No se pudo obtener el tipo de cambio', 'apimarket');
+    }
+  }
+
+  /**
+   * Crear una cotización con vigencia de `EXCHANGE_QUOTE_TTL_MINUTES`
+   * @param {Object} data
+   * @param {string} data.userId - Usuario que cotiza
+   * @param {string} data.currency - Moneda de cobro
+   * @returns {Promise<Object>} Cotización
+   */
+  async createQuote({ userId, currency }) {
+    const { baseCurrency, quoteTtlMinutes } = exchangeConfig;
+
+    if (currency === baseCurrency) {
+      throw new ApiError(`Los precios ya están en ${baseCurrency}`, 400, 'QUOTE_NOT_REQUIRED');
+    }
+
+    const rate = await this.getRate(baseCurrency, currency);
+
+    return ExchangeQuote.create({
+      userId,
+      baseCurrency,
+      currency,
+      rate,
+      expiresAt: new Date(Date.now() + quoteTtlMinutes * MINUTE)
+    });
+  }
+
+  /**
+   * Reservar una cotización para un pago. Sin `quoteId` se cotiza en ese momento.
+   * @param {Object} data
+   * @param {string} [data.quoteId] - Cotización obtenida antes del checkout
+   * @param {string} data.userId - Usuario que paga
+   * @param {string} data.currency - Moneda de cobro
+   * @returns {Promise<Object>} Cotización reservada
+   */
+  async claimQuote({ quoteId, userId, currency }) {
+    const quote = quoteId
+      ? await ExchangeQuote.findOne({ quoteId, userId })
+      : await this.createQuote({ userId, currency });
+
+    if (!quote) {
+      throw ApiError.notFoundError('Cotización no encontrada');
+    }
+    if (quote.currency !== currency) {
+      throw new ApiError(`La cotización es para ${quote.currency}`, 400, 'QUOTE_CURRENCY_MISMATCH');
+    }
+    if (quote.isExpired) {
+      throw new ApiError('La cotización expiró; solicita una nueva', 409, 'QUOTE_EXPIRED');
+    }
+
+    const claimed = await ExchangeQuote.findOneAndUpdate(
+      { _id: quote._id, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ApiError('La cotización ya se usó en otro pago', 409, 'QUOTE_ALREADY_USED');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Convertir montos de la moneda base con una cotización
+   * @param {Object} pricing - { amount, originalAmount, discountAmount, coupons } en moneda base
+   * @param {Object} quote - Cotización reservada
+   * @returns {Object} { pricing, exchange } con `pricing` en la moneda de la cotización
+   */
+  convert(pricing, quote) {
+    const toQuoted = (amount) => Math.round(toCents(amount) * quote.rate) / 100;
+
+    const amount = toQuoted(pricing.amount);
+    const originalAmount = toQuoted(pricing.originalAmount);
+
+    return {
+      pricing: {
+        amount,
+        originalAmount,
+        discountAmount: (toCents(originalAmount) - toCents(amount)) / 100,
+        coupons: pricing.coupons.map(coupon => ({
+          ...coupon,
+          discountAmount: toQuoted(coupon.discountAmount)
+        }))
+      },
+      exchange: {
+        quoteId: quote.quoteId,
+        baseCurrency: quote.baseCurrency,
+        baseAmount: pricing.amount,
+        baseOriginalAmount: pricing.originalAmount,
+        rate: quote.rate,
+        quotedAt: quote.createdAt,
+        expiresAt: quote.expiresAt
+      }
+    };
+  }
+
+  /**
+   * Relacionar la cotización con el pago que la usó
+   * @param {string} quoteId - ID de la cotización
+   * @param {string} paymentId - ID del pago
+   */
+  async attachPayment(quoteId, paymentId) {
+    await ExchangeQuote.updateOne({ quoteId }, { paymentId });
+  }
+
+  /**
+   * Cancelar un pago cuya cotización expiró antes de cobrarse
+   * @param {Object} payment - Pago con `exchange`
+   * @returns {Promise<boolean>} true si se canceló; false si el proveedor no lo permitió
+   */
+  async cancelExpiredPayment(payment) {
+    try {
+      const adapter = providerRegistry.get(payment.provider.name);
+      if (adapter.cancel && payment.provider.paymentId) {
+        await adapter.cancel(payment);
+      }
+    } catch (error) {
+      // El cobro pudo haberse completado en el proveedor; el webhook lo resolverá
+      logger.warn(`No se pudo cancelar en el proveedor el pago ${payment.paymentId}:`, error);
+      return false;
+    }
+
+    return payment.updateStatusIfAllowed('cancelled', {
+      code: 'QUOTE_EXPIRED',
+      message: 'La cotización del tipo de cambio expiró antes del cobro'
+    });
+  }
+
+  /**
+   * Cancelar los pagos pendientes con cotización expirada
+   * @returns {Promise<number>} Pagos cancelados
+   */
+  async expireStalePayments() {
+    const payments = await Payment.find({
+      status: { $in: ['pending', 'processing'] },
+      'exchange.expiresAt': { $lte: new Date() }
+    });
+
+    let cancelled = 0;
+    for (const payment of payments) {
+      try {
+        if (await this.cancelExpiredPayment(payment)) {
+          cancelled += 1;
+        }
+      } catch (error) {
+        logger.error(`Error cancelando el pago ${payment.paymentId} por cotización expirada:`, error);
+      }
+    }
+
+    return cancelled;
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,293 @@
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const catalogService = require('./catalogService');
+const exchangeRateService = require('./exchangeRateService');
+const pdfService = require('./pdfService');
+const invoicingConfig = require('../config/invoicing');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { createPacAdapter } = require('./pac');
+const { buildCfdiXml } = require('../utils/cfdiBuilder');
+
+const MAX_ATTEMPTS = 5;
+
+// Motivo de cancelación del SAT: "03 - No se llevó a cabo la operación"
+const REFUND_CANCELLATION_REASON = '03';
+
+class InvoiceService {
+  constructor() {
+    this.config = invoicingConfig;
+    this.pac = createPacAdapter(invoicingConfig.pac);
+  }
+
+  /**
+   * Obtener los conceptos a facturar a partir del curso o webinar pagado
+   * @private
+   * @param {Object} payment - Pago
+   * @returns {Promise<Array<Object>>}
+   */
+  async _buildConcepts(payment) {
+    const product = this.config.products[payment.type];
+    let description = `${product.description} - ${payment.itemId}`;
+
+    try {
+      const item = await catalogService.getItem(payment.type, payment.itemId);
+      if (item && item.title) {
+        description = `${product.description}: ${item.title}`;
+      }
+    } catch (error) {
+      logger.warn(`No se pudo obtener el item ${payment.itemId} para el CFDI:`, error);
+    }
+
+    return [{
+      productCode: product.productCode,
+      unitCode: product.unitCode,
+      description,
+      total: payment.amount
+    }];
+  }
+
+  /**
+   * Tipo de cambio (MXN por unidad de la moneda del pago) para `TipoCambio`.
+   * Se usa la cotización con la que se cobró el pago; si no la tiene, se
+   * consulta el tipo de cambio vigente.
+   * @private
+   * @param {Object} payment - Pago
+   * @returns {Promise<number|undefined>} Vacío para pagos en MXN
+   */
+  async _getExchangeRate(payment) {
+    if (payment.currency === 'MXN') {
+      return undefined;
+    }
+
+    const { exchange } = payment;
+    const rate = exchange && exchange.baseCurrency === 'MXN' && exchange.rate
+      ? 1 / exchange.rate
+      : await exchangeRateService.getRate(payment.currency, 'MXN');
+
+    // El SAT admite hasta seis decimales
+    return Number(rate.toFixed(6));
+  }
+
+  /**
+   * Reservar el siguiente folio de la serie para un pago
+   * @private
+   * @param {Object} payment - Pago
+   * @param {Object} receiver - Datos fiscales del receptor
+   * @returns {Promise<Object>} Factura pendiente de timbrar
+   */
+  async _createInvoice(payment, receiver) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      try {
+        return await Invoice.create({
+          paymentId: payment.paymentId,
+          userId: payment.userId,
+          series: this.config.series,
+          folio: await Invoice.nextFolio(this.config.series, this.config.startingNumber),
+          receiver,
+          currency: payment.currency,
+          pac: this.pac.name
+        });
+      } catch (error) {
+        // Otro proceso tomó el mismo folio; reintentar con el siguiente
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new ApiError('No se pudo asignar un folio a la factura', 409, 'INVOICE_FOLIO_CONFLICT');
+  }
+
+  /**
+   * Emitir el CFDI de un pago completado
+   * @param {Object} payment - Pago con `invoice.required`
+   * @returns {Promise<Object>} Factura timbrada
+   */
+  async issueInvoice(payment) {
+    if (!payment.invoice || !payment.invoice.required) {
+      throw new ApiError('El pago no requiere factura', 400);
+    }
+
+    if (payment.status !== 'completed') {
+      throw new ApiError('Solo se pueden facturar pagos completados', 400);
+    }
+
+    let invoice = await Invoice.findActiveByPaymentId(payment.paymentId);
+    if (invoice && invoice.status === 'issued') {
+      return invoice;
+    }
+
+    const receiver = {
+      rfc: payment.billingDetails.taxId,
+      name: payment.invoice.receiver.name || payment.billingDetails.name,
+      taxRegime: payment.invoice.receiver.taxRegime,
+      cfdiUse: payment.invoice.receiver.cfdiUse,
+      postalCode: payment.invoice.receiver.postalCode || payment.billingDetails.address.postalCode
+    };
+
+    if (!invoice) {
+      invoice = await this._createInvoice(payment, receiver);
+    }
+
+    const concepts = await this._buildConcepts(payment);
+    invoice.attempts += 1;
+
+    try {
+      const { xml, subtotal, tax, total } = buildCfdiXml({
+        issuer: this.config.issuer,
+        receiver,
+        concepts,
+        series: invoice.series,
+        folio: invoice.folio,
+        currency: payment.currency,
+        exchangeRate: await this._getExchangeRate(payment),
+        paymentForm: this.config.paymentForms[payment.paymentMethod],
+        taxRate: this.config.taxRate
+      });
+
+      const stamped = await this.pac.stamp(xml);
+
+      Object.assign(invoice, {
+        receiver,
+        subtotal,
+        tax,
+        total,
+        uuid: stamped.uuid,
+        xml: stamped.xml,
+        status: 'issued',
+        issuedAt: stamped.stampedAt,
+        error: undefined
+      });
+      invoice.pdf = stamped.pdf || await pdfService.renderInvoice(invoice, this.config.issuer, concepts);
+      await invoice.save();
+
+      payment.invoice.invoiceId = invoice.invoiceId;
+      payment.invoice.number = `${invoice.series}-${invoice.folio}`;
+      payment.invoice.uuid = invoice.uuid;
+      payment.invoice.status = 'issued';
+      payment.invoice.issuedAt = invoice.issuedAt;
+      payment.invoice.url = `/api/v1/payments/payments/${payment.paymentId}/invoice/pdf`;
+      await payment.save();
+
+      logger.info('CFDI emitido:', {
+        paymentId: payment.paymentId,
+        invoiceId: invoice.invoiceId,
+        uuid: invoice.uuid
+      });
+
+      return invoice;
+    } catch (error) {
+      logger.error('Error emitiendo CFDI:', error);
+
+      invoice.status = 'failed';
+      invoice.error = {
+        code: error.code,
+        message: error.message
+      };
+      await invoice.save();
+
+      payment.invoice.status = 'failed';
+      await payment.save();
+
+      throw error;
+    }
+  }
+
+  /**
+   * Cancelar el CFDI de un pago
+   * @param {Object} invoice - Factura a cancelar
+   * @param {Object} [options] - Opciones de cancelación
+   * @param {string} [options.reason='02'] - Motivo de cancelación del SAT
+   * @param {string} [options.replacementUuid] - UUID sustituto (motivo 01)
+   * @returns {Promise<Object>} Factura actualizada
+   */
+  async cancelInvoice(invoice, { reason = '02', replacementUuid } = {}) {
+    if (invoice.status !== 'issued') {
+      throw new ApiError('Solo se pueden cancelar facturas emitidas', 400);
+    }
+
+    const result = await this.pac.cancel({
+      uuid: invoice.uuid,
+      issuerRfc: this.config.issuer.rfc,
+      reason,
+      replacementUuid
+    });
+
+    invoice.cancellation = {
+      reason,
+      status: result.status,
+      requestedAt: new Date(),
+      cancelledAt: result.cancelledAt
+    };
+
+    if (result.status === 'cancelled') {
+      invoice.status = 'cancelled';
+    }
+    await invoice.save();
+
+    await Payment.updateOne(
+      { paymentId: invoice.paymentId },
+      {
+        'invoice.status': invoice.status,
+        'invoice.cancelledAt': result.cancelledAt
+      }
+    );
+
+    logger.info('Cancelación de CFDI solicitada:', {
+      invoiceId: invoice.invoiceId,
+      uuid: invoice.uuid,
+      status: result.status
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Emitir las facturas pendientes y cancelar las de pagos reembolsados
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async processPendingInvoices() {
+    const summary = { issued: 0, cancelled: 0, failed: 0 };
+
+    const toIssue = await Payment.find({
+      status: 'completed',
+      'invoice.required': true,
+      'invoice.status': { $in: [null, 'pending', 'failed'] }
+    }).limit(50);
+
+    for (const payment of toIssue) {
+      const invoice = await Invoice.findActiveByPaymentId(payment.paymentId);
+      if (invoice && invoice.attempts >= MAX_ATTEMPTS) {
+        continue;
+      }
+
+      try {
+        await this.issueInvoice(payment);
+        summary.issued += 1;
+      } catch (error) {
+        summary.failed += 1;
+      }
+    }
+
+    const toCancel = await Payment.find({
+      status: 'refunded',
+      'invoice.status': 'issued'
+    }).limit(50);
+
+    for (const payment of toCancel) {
+      try {
+        const invoice = await Invoice.findActiveByPaymentId(payment.paymentId);
+        await this.cancelInvoice(invoice, { reason: REFUND_CANCELLATION_REASON });
+        summary.cancelled += 1;
+      } catch (error) {
+        logger.error(`Error cancelando CFDI del pago ${payment.paymentId}:`, error);
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new InvoiceService();
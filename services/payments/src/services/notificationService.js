@@ -0,0 +1,231 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const EventSubscriber = require('../models/EventSubscriber');
+const EventDelivery = require('../models/EventDelivery');
+const Payment = require('../models/Payment');
+const notificationsConfig = require('../config/notifications');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const retryQueue = require('../utils/retryQueue');
+
+// Estado de la entrega mientras un proceso la envía
+const ACTIVE_STATUS = 'delivering';
+
+/**
+ * Firmar el cuerpo de una entrega.
+ * Formato: `t=<timestamp>,v1=<hex(HMAC-SHA256(secret, "<timestamp>.<body>"))>`
+ * @param {string} secret - Secreto del suscriptor
+ * @param {string} body - Cuerpo serializado
+ * @param {number} timestamp - Segundos desde epoch
+ * @returns {string}
+ */
+const signPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Datos de un pago que se publican a los suscriptores
+ * @param {Object} payment - Pago
+ * @returns {Object}
+ */
+const toEventData = (payment) => ({
+  paymentId: payment.paymentId,
+  userId: payment.userId,
+  type: payment.type,
+  itemId: payment.itemId,
+  subscriptionId: payment.subscriptionId,
+  amount: payment.amount,
+  currency: payment.currency,
+  paymentMethod: payment.paymentMethod,
+  status: payment.status,
+  refundedAmount: payment.refundedAmount,
+  error: payment.status === 'failed' && payment.error
+    ? { code: payment.error.code, message: payment.error.message }
+    : undefined
+});
+
+class NotificationService {
+  /**
+   * Publicar un evento de pago a los suscriptores registrados
+   * @param {string} type - payment.completed, payment.failed o payment.refunded
+   * @param {Object} payment - Pago
+   * @param {Object} [extra] - Datos adicionales del evento (p. ej. `refund`)
+   * @returns {Promise<Array>} Entregas creadas
+   */
+  async publishPaymentEvent(type, payment, extra = {}) {
+    if (!notificationsConfig.enabled) {
+      return [];
+    }
+
+    const subscribers = await EventSubscriber.findActiveFor(type);
+    if (subscribers.length === 0) {
+      return [];
+    }
+
+    const event = {
+      id: `evt_${uuidv4()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data: { ...toEventData(payment), ...extra }
+    };
+
+    const deliveries = await EventDelivery.insertMany(subscribers.map(subscriber => ({
+      eventId: event.id,
+      type,
+      subscriber: subscriber._id,
+      url: subscriber.url,
+      payload: event
+    })));
+
+    logger.info('Evento de pago publicado:', {
+      eventId: event.id,
+      type,
+      paymentId: payment.paymentId,
+      subscribers: deliveries.length
+    });
+
+    // Primer intento en segundo plano; los reintentos los hace deliver-payment-events
+    setImmediate(() => {
+      deliveries.forEach(delivery => {
+        this.deliver(delivery._id).catch(error => {
+          logger.error(`Error entregando evento ${delivery.deliveryId}:`, error);
+        });
+      });
+    });
+
+    return deliveries;
+  }
+
+  /**
+   * Intentar una entrega si está pendiente o le toca reintento
+   * @param {string} id - _id de la entrega
+   * @returns {Promise<Object|null>} Entrega actualizada, o null si no estaba disponible
+   */
+  async deliver(id) {
+    const delivery = await retryQueue.claim(EventDelivery, id, ACTIVE_STATUS, notificationsConfig);
+    if (!delivery) {
+      return null;
+    }
+
+    const subscriber = await EventSubscriber.findById(delivery.subscriber).select('+secret');
+    const startedAt = Date.now();
+    const entry = { attemptedAt: new Date(startedAt) };
+
+    try {
+      if (!subscriber || !subscriber.active) {
+        throw new ApiError('El suscriptor no existe o está inactivo', 410, 'SUBSCRIBER_INACTIVE');
+      }
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(startedAt / 1000);
+
+      const response = await axios.post(delivery.url, body, {
+        timeout: notificationsConfig.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Eqhuma-Event': delivery.type,
+          'X-Eqhuma-Event-Id': delivery.eventId,
+          'X-Eqhuma-Delivery': delivery.deliveryId,
+          'X-Eqhuma-Signature': signPayload(subscriber.secret, body, timestamp)
+        }
+      });
+
+      entry.statusCode = response.status;
+      entry.durationMs = Date.now() - startedAt;
+
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = null;
+      delivery.lastError = undefined;
+    } catch (error) {
+      entry.statusCode = error.response?.status;
+      entry.durationMs = Date.now() - startedAt;
+      entry.error = error.message;
+
+      // Sin suscriptor activo no tiene sentido reintentar
+      const retry = error.code !== 'SUBSCRIBER_INACTIVE';
+
+      delivery.status = 'failed';
+      delivery.lastError = error.message;
+      delivery.nextAttemptAt = retry
+        ? retryQueue.nextAttemptAt(delivery.attempts, notificationsConfig)
+        : null;
+
+      logger.warn('Entrega de evento fallida:', {
+        deliveryId: delivery.deliveryId,
+        url: delivery.url,
+        attempts: delivery.attempts,
+        statusCode: entry.statusCode,
+        nextAttemptAt: delivery.nextAttemptAt,
+        error: error.message
+      });
+    }
+
+    delivery.lockedAt = undefined;
+    delivery.log.push(entry);
+    return delivery.save();
+  }
+
+  /**
+   * Entregar los eventos pendientes, con reintento vencido o abandonados
+   * @param {number} [limit=100] - Máximo de entregas por ejecución
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async deliverDue(limit = 100) {
+    const deliveries = await EventDelivery.find(retryQueue.dueQuery(ACTIVE_STATUS, notificationsConfig))
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    const summary = { delivered: 0, failed: 0 };
+    for (const { _id } of deliveries) {
+      const delivery = await this.deliver(_id);
+      if (delivery) {
+        summary[delivery.status === 'delivered' ? 'delivered' : 'failed'] += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reintentar una entrega con un nuevo ciclo de reintentos
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Promise<Object>} Entrega actualizada
+   */
+  async retry(deliveryId) {
+    const delivery = await EventDelivery.findOneAndUpdate(
+      { deliveryId, status: { $ne: ACTIVE_STATUS } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      const exists = await EventDelivery.exists({ deliveryId });
+      if (!exists) {
+        throw ApiError.notFoundError('Entrega no encontrada');
+      }
+      throw ApiError.conflictError('La entrega está en curso');
+    }
+
+    return this.deliver(delivery._id);
+  }
+}
+
+const notificationService = new NotificationService();
+
+// El modelo Payment emite sus cambios de estado; aquí se publican a los
+// suscriptores sin que el guardado del pago espere las entregas
+Payment.events.on('event', (type, payment, extra) => {
+  notificationService.publishPaymentEvent(type, payment, extra).catch(error => {
+    logger.error(`Error publicando ${type} del pago ${payment.paymentId}:`, error);
+  });
+});
+
+module.exports = notificationService;
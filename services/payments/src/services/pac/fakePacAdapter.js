@@ -0,0 +1,52 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../config/logger');
+
+/**
+ * PAC local para desarrollo y pruebas. Simula el timbrado agregando un
+ * TimbreFiscalDigital con un UUID aleatorio; no se comunica con el SAT.
+ */
+class FakePacAdapter {
+  constructor() {
+    this.name = 'fake';
+  }
+
+  /**
+   * Timbrar un CFDI
+   * @param {string} xml - CFDI sin timbrar
+   * @returns {Promise<Object>} UUID, XML timbrado y fecha de timbrado
+   */
+  async stamp(xml) {
+    const uuid = uuidv4().toUpperCase();
+    const stampedAt = new Date();
+
+    const stamp = `  <cfdi:Complemento>
+    <tfd:TimbreFiscalDigital xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital" Version="1.1" UUID="${uuid}" FechaTimbrado="${stampedAt.toISOString().slice(0, 19)}" RfcProvCertif="SPR190613I52" SelloCFD="FAKE" NoCertificadoSAT="00000000000000000000" SelloSAT="FAKE"/>
+  </cfdi:Complemento>
+</cfdi:Comprobante>`;
+
+    logger.info(`CFDI timbrado con PAC de prueba: ${uuid}`);
+
+    return {
+      uuid,
+      xml: xml.replace('</cfdi:Comprobante>', stamp),
+      stampedAt
+    };
+  }
+
+  /**
+   * Cancelar un CFDI
+   * @param {Object} data - Datos de la cancelación
+   * @param {string} data.uuid - Folio fiscal a cancelar
+   * @returns {Promise<Object>} Estado de la cancelación
+   */
+  async cancel({ uuid }) {
+    logger.info(`CFDI cancelado con PAC de prueba: ${uuid}`);
+
+    return {
+      status: 'cancelled',
+      cancelledAt: new Date()
+    };
+  }
+}
+
+module.exports = FakePacAdapter;
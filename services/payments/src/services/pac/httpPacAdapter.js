@@ -0,0 +1,85 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const ApiError = require('../../utils/ApiError');
+
+/**
+ * PAC genérico vía HTTP. Envía el CFDI sin sellar para que el PAC lo
+ * selle con el CSD del emisor y lo timbre.
+ */
+class HttpPacAdapter {
+  constructor({ provider, apiUrl, username, password }) {
+    this.name = provider;
+    this.axios = axios.create({
+      baseURL: apiUrl,
+      timeout: 30000,
+      auth: {
+        username,
+        password
+      },
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Timbrar un CFDI
+   * @param {string} xml - CFDI sin timbrar
+   * @returns {Promise<Object>} UUID, XML timbrado, PDF y fecha de timbrado
+   */
+  async stamp(xml) {
+    try {
+      const response = await this.axios.post('/stamp', {
+        xml: Buffer.from(xml).toString('base64')
+      });
+
+      return {
+        uuid: response.data.uuid,
+        xml: Buffer.from(response.data.xml, 'base64').toString('utf8'),
+        pdf: response.data.pdf ? Buffer.from(response.data.pdf, 'base64') : undefined,
+        stampedAt: new Date(response.data.stampedAt || Date.now())
+      };
+    } catch (error) {
+      logger.error('Error timbrando CFDI:', error);
+      throw new ApiError(
+        error.response?.data?.message || 'Error al timbrar el CFDI',
+        error.response?.status || 502,
+        'PAC_STAMP_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancelar un CFDI
+   * @param {Object} data - Datos de la cancelación
+   * @param {string} data.uuid - Folio fiscal a cancelar
+   * @param {string} data.issuerRfc - RFC del emisor
+   * @param {string} data.reason - Motivo de cancelación del SAT (01-04)
+   * @param {string} [data.replacementUuid] - UUID que sustituye al cancelado (motivo 01)
+   * @returns {Promise<Object>} Estado de la cancelación
+   */
+  async cancel({ uuid, issuerRfc, reason, replacementUuid }) {
+    try {
+      const response = await this.axios.post('/cancel', {
+        uuid,
+        rfc: issuerRfc,
+        motivo: reason,
+        folioSustitucion: replacementUuid
+      });
+
+      return {
+        status: response.data.status === 'cancelled' ? 'cancelled' : 'pending',
+        cancelledAt: response.data.cancelledAt ? new Date(response.data.cancelledAt) : undefined
+      };
+    } catch (error) {
+      logger.error('Error cancelando CFDI:', error);
+      throw new ApiError(
+        error.response?.data?.message || 'Error al cancelar el CFDI',
+        error.response?.status || 502,
+        'PAC_CANCEL_ERROR'
+      );
+    }
+  }
+}
+
+module.exports = HttpPacAdapter;
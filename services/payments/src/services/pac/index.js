@@ -0,0 +1,21 @@
+const FakePacAdapter = require('./fakePacAdapter');
+const HttpPacAdapter = require('./httpPacAdapter');
+
+/**
+ * Obtener el adaptador del PAC configurado. El timbrado simulado sólo se
+ * habilita con NODE_ENV=test, igual que el proveedor de pagos `fake`.
+ * @param {Object} config - Configuración del PAC
+ * @returns {FakePacAdapter|HttpPacAdapter}
+ */
+const createPacAdapter = (config) => {
+  if (config.provider === 'fake' && process.env.NODE_ENV === 'test') {
+    return new FakePacAdapter();
+  }
+  return new HttpPacAdapter(config);
+};
+
+module.exports = {
+  createPacAdapter,
+  FakePacAdapter,
+  HttpPacAdapter
+};
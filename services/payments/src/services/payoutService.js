@@ -0,0 +1,468 @@
+const crypto = require('crypto');
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutLine = require('../models/PayoutLine');
+const stpService = require('./stpService');
+const payoutsConfig = require('../config/payouts');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { validateBeneficiaryAccount } = require('../utils/beneficiaryAccount');
+const { parseCsv } = require('../utils/csv');
+const { toCents } = require('../utils/money');
+
+const REQUIRED_COLUMNS = ['clabe', 'name', 'amount', 'concept'];
+
+// Renglones que todavía pueden cambiar de estado
+const OPEN_LINE_STATUSES = ['pending', 'submitting', 'submitted'];
+
+// Estado de la orden en STP -> estado del renglón
+const LINE_STATUS = {
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'failed',
+  refunded: 'returned'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Nombre del beneficiario en el formato que acepta STP: mayúsculas y sin acentos
+ * @param {string} name - Nombre capturado
+ * @returns {string}
+ */
+const normalizeName = (name) => name
+  .toUpperCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u0302\u0304-\u036f]/g, '')
+  .normalize('NFC')
+  .replace(/\s+/g, ' ');
+
+class PayoutService {
+  /**
+   * Cargar un lote desde CSV. Cada renglón se valida (CLABE, banco, monto y
+   * concepto); un lote con renglones inválidos no puede aprobarse.
+   * @param {Object} data
+   * @param {string} data.csv - Archivo con columnas clabe, name, amount y concept
+   * @param {string} [data.filename] - Nombre del archivo
+   * @param {string} data.userId - Administrador que carga el lote
+   * @returns {Promise<Object>} { batch, lines }
+   */
+  async createBatch({ csv, filename, userId }) {
+    const rows = parseCsv(csv || '');
+
+    if (rows.length === 0) {
+      throw new ApiError('El archivo no tiene renglones', 400, 'EMPTY_PAYOUT_FILE');
+    }
+    if (rows.length > payoutsConfig.maxLines) {
+      throw new ApiError(
+        `El archivo excede el máximo de ${payoutsConfig.maxLines} renglones`,
+        400,
+        'PAYOUT_FILE_TOO_LARGE'
+      );
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(column => !(column in rows[0]));
+    if (missing.length > 0) {
+      throw new ApiError(`Columnas faltantes: ${missing.join(', ')}`, 400, 'INVALID_PAYOUT_FILE');
+    }
+
+    const banks = await this._bankIndex();
+    const lines = rows.map((row, index) => this._validateLine(row, index + 1, banks));
+    const valid = lines.filter(line => line.status === 'pending');
+
+    const batch = await PayoutBatch.create({
+      filename,
+      status: valid.length === lines.length ? 'pending_approval' : 'invalid',
+      totalAmount: valid.reduce((total, line) => total + toCents(line.amount), 0) / 100,
+      lineCount: lines.length,
+      createdBy: userId
+    });
+
+    const saved = await PayoutLine.insertMany(lines.map(line => ({ ...line, batch: batch._id })));
+    const refreshed = await this._refreshBatch(batch._id);
+
+    logger.info('Lote de dispersión cargado:', {
+      batchId: batch.batchId,
+      lines: lines.length,
+      invalid: lines.length - valid.length,
+      createdBy: userId
+    });
+
+    return { batch: refreshed, lines: saved };
+  }
+
+  /**
+   * Aprobar un lote; debe hacerlo un administrador distinto al que lo cargó
+   * @param {string} batchId - ID del lote
+   * @param {string} userId - Administrador que aprueba
+   * @returns {Promise<Object>} Lote en `processing`
+   */
+  async approve(batchId, userId) {
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { batchId, status: 'pending_approval', createdBy: { $ne: userId } },
+      { status: 'processing', approvedBy: userId, approvedAt: new Date() },
+      { new: true }
+    );
+
+    if (!batch) {
+      const existing = await PayoutBatch.findByBatchId(batchId);
+      if (!existing) {
+        throw ApiError.notFoundError('Lote no encontrado');
+      }
+      if (existing.createdBy === userId && existing.status === 'pending_approval') {
+        throw new ApiError(
+          'El lote debe aprobarlo un administrador distinto al que lo cargó',
+          403,
+          'SAME_APPROVER'
+        );
+      }
+      throw new ApiError(`El lote está en estado ${existing.status}`, 409, 'INVALID_BATCH_STATUS');
+    }
+
+    // Los renglones los envía el trabajo submit-payouts en su siguiente ejecución
+    logger.info('Lote de dispersión aprobado:', { batchId, approvedBy: userId });
+
+    return batch;
+  }
+
+  /**
+   * Rechazar un lote pendiente o inválido
+   * @param {string} batchId - ID del lote
+   * @param {string} userId - Administrador que rechaza
+   * @param {string} [reason] - Motivo
+   * @returns {Promise<Object>} Lote rechazado
+   */
+  async reject(batchId, userId, reason) {
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { batchId, status: { $in: ['pending_approval', 'invalid'] } },
+      { status: 'rejected', rejectedBy: userId, rejectedAt: new Date(), rejectionReason: reason },
+      { new: true }
+    );
+
+    if (!batch) {
+      const existing = await PayoutBatch.findByBatchId(batchId);
+      if (!existing) {
+        throw ApiError.notFoundError('Lote no encontrado');
+      }
+      throw new ApiError(`El lote está en estado ${existing.status}`, 409, 'INVALID_BATCH_STATUS');
+    }
+
+    return batch;
+  }
+
+  /**
+   * Enviar a STP los renglones pendientes de lotes aprobados, respetando
+   * `PAYOUT_ORDERS_PER_MINUTE`. Sólo lo invoca el trabajo submit-payouts,
+   * que corre con concurrencia 1 para no enviar un renglón dos veces.
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async submitDue() {
+    const { ordersPerMinute } = payoutsConfig;
+    const recovered = await this.recoverStaleSubmissions();
+    const batches = await PayoutBatch.find({ status: 'processing' }).select('_id');
+    const summary = { submitted: 0, failed: 0, recovered };
+
+    if (batches.length === 0) {
+      return summary;
+    }
+
+    const lines = await PayoutLine.find({
+      batch: { $in: batches.map(batch => batch._id) },
+      status: 'pending'
+    })
+      .sort({ createdAt: 1, lineNumber: 1 })
+      .limit(ordersPerMinute)
+      .select('_id');
+
+    const interval = Math.floor(60000 / ordersPerMinute);
+    const touched = new Map();
+
+    for (const [index, { _id }] of lines.entries()) {
+      if (index > 0) {
+        await sleep(interval);
+      }
+
+      const line = await this._submitLine(_id);
+      if (line) {
+        touched.set(String(line.batch), line.batch);
+        summary[line.status === 'submitted' ? 'submitted' : 'failed'] += 1;
+      }
+    }
+
+    for (const id of touched.values()) {
+      await this._refreshBatch(id);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resolver los renglones que quedaron en `submitting` más de
+   * `PAYOUT_SUBMITTING_TIMEOUT_MINUTES` (por ejemplo, si el proceso se reinició
+   * durante el envío). Se consulta en STP la claveRastreo guardada al tomar el
+   * renglón; nunca se reenvía la orden.
+   * @returns {Promise<number>} Renglones resueltos
+   */
+  async recoverStaleSubmissions() {
+    const cutoff = new Date(Date.now() - payoutsConfig.submittingTimeoutMinutes * 60000);
+    const lines = await PayoutLine.find({ status: 'submitting', updatedAt: { $lt: cutoff } });
+    const touched = new Map();
+    let recovered = 0;
+
+    for (const line of lines) {
+      const trackingKey = line.provider && line.provider.trackingKey;
+
+      if (!trackingKey) {
+        logger.warn('Renglón de dispersión en submitting sin claveRastreo; revisar contra STP:', {
+          lineId: String(line._id),
+          lineNumber: line.lineNumber
+        });
+        continue;
+      }
+
+      try {
+        const result = await stpService.getPaymentStatus(trackingKey);
+
+        if (LINE_STATUS[result.status]) {
+          this._applyOrderStatus(line, result);
+        } else {
+          // STP conoce la orden pero todavía no la liquida
+          line.status = 'submitted';
+          line.submittedAt = line.submittedAt || new Date();
+        }
+
+        await line.save();
+        touched.set(String(line.batch), line.batch);
+        recovered += 1;
+
+        logger.info('Renglón de dispersión recuperado:', {
+          trackingKey,
+          lineNumber: line.lineNumber,
+          status: line.status
+        });
+      } catch (error) {
+        logger.warn('No se pudo consultar en STP un renglón en submitting:', {
+          lineId: String(line._id),
+          trackingKey,
+          error: error.message
+        });
+      }
+    }
+
+    for (const id of touched.values()) {
+      await this._refreshBatch(id);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Aplicar una notificación de STP a un renglón de dispersión
+   * @param {Object} line - Renglón con la claveRastreo notificada
+   * @param {Object} payload - Cuerpo verificado del webhook
+   */
+  async applyStpEvent(line, payload) {
+    const result = await stpService.getPaymentStatus(payload.claveRastreo);
+    const status = LINE_STATUS[result.status];
+
+    // Una orden liquidada todavía puede devolverla el banco receptor
+    const applicable = OPEN_LINE_STATUSES.includes(line.status) ||
+      (line.status === 'completed' && status === 'returned');
+    if (!status || !applicable) {
+      return;
+    }
+
+    this._applyOrderStatus(line, result, payload.causaDevolucion);
+    await line.save();
+    await this._refreshBatch(line.batch);
+
+    logger.info('Dispersión STP actualizada:', {
+      trackingKey: payload.claveRastreo,
+      lineNumber: line.lineNumber,
+      status
+    });
+  }
+
+  /**
+   * Filas del archivo de resultados de un lote
+   * @param {Object} batch - Lote
+   * @returns {Promise<Array>}
+   */
+  async getResultRows(batch) {
+    const lines = await PayoutLine.find({ batch: batch._id }).sort({ lineNumber: 1 });
+
+    return lines.map(line => ({
+      lineNumber: line.lineNumber,
+      clabe: line.clabe,
+      name: line.name,
+      bank: line.bank && line.bank.name,
+      amount: line.amount,
+      concept: line.concept,
+      status: line.status,
+      trackingKey: line.provider && line.provider.trackingKey,
+      error: line.validationErrors.length > 0
+        ? line.validationErrors.join('; ')
+        : line.error && line.error.message,
+      submittedAt: line.submittedAt,
+      settledAt: line.settledAt
+    }));
+  }
+
+  /**
+   * Tomar un renglón pendiente y enviar su orden a STP
+   * @private
+   */
+  async _submitLine(id) {
+    // La claveRastreo se guarda antes de enviar para poder consultar la orden
+    // si el proceso se interrumpe
+    const line = await PayoutLine.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { status: 'submitting', 'provider.trackingKey': crypto.randomBytes(16).toString('hex') },
+      { new: true }
+    );
+    if (!line) {
+      return null;
+    }
+
+    try {
+      const order = await stpService.createPaymentOrder({
+        trackingKey: line.provider.trackingKey,
+        concept: line.concept,
+        amount: line.amount,
+        beneficiaryName: line.name,
+        beneficiaryAccount: line.clabe,
+        beneficiaryBank: { code: line.bank.code },
+        reference: String(line.lineNumber).padStart(7, '0')
+      });
+
+      line.status = 'submitted';
+      line.submittedAt = new Date();
+      line.provider = {
+        paymentId: order.paymentId,
+        trackingKey: order.trackingKey,
+        bankReference: order.bankReference
+      };
+    } catch (error) {
+      line.status = 'failed';
+      line.error = { code: error.code || 'STP_ORDER_FAILED', message: error.message };
+      logger.warn('Orden de dispersión rechazada:', {
+        lineId: String(line._id),
+        lineNumber: line.lineNumber,
+        error: error.message
+      });
+    }
+
+    return line.save();
+  }
+
+  /**
+   * Pasar a un renglón el estado final de su orden en STP
+   * @private
+   */
+  _applyOrderStatus(line, result, reason) {
+    const status = LINE_STATUS[result.status];
+
+    line.status = status;
+    line.settledAt = new Date();
+    if (status !== 'completed') {
+      line.error = {
+        code: String(result.statusDetail.code),
+        message: reason || result.statusDetail.description
+      };
+    }
+  }
+
+  /**
+   * Recalcular el conteo por estado y cerrar el lote si ya no hay renglones abiertos
+   * @private
+   */
+  async _refreshBatch(id) {
+    const counts = await PayoutLine.aggregate([
+      { $match: { batch: id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const summary = {};
+    counts.forEach(({ _id, count }) => {
+      summary[_id] = count;
+    });
+
+    const batch = await PayoutBatch.findById(id);
+    batch.summary = summary;
+
+    const open = OPEN_LINE_STATUSES.some(status => summary[status] > 0);
+    if (batch.status === 'processing' && !open) {
+      batch.status = 'completed';
+      batch.completedAt = new Date();
+    }
+
+    return batch.save();
+  }
+
+  /**
+   * Validar un renglón del archivo
+   * @private
+   */
+  _validateLine(row, lineNumber, banks) {
+    const errors = [];
+    const clabe = row.clabe.replace(/\s/g, '');
+    const name = normalizeName(row.name);
+    const concept = row.concept;
+    const amount = Number(row.amount);
+
+    const account = validateBeneficiaryAccount(clabe);
+    if (account.type !== 'CLABE') {
+      errors.push('La cuenta debe ser una CLABE de 18 dígitos');
+    } else {
+      errors.push(...account.errors);
+    }
+
+    const bank = banks.get(clabe.slice(0, 3));
+    if (!bank) {
+      errors.push(`El banco ${clabe.slice(0, 3)} no está en el catálogo de STP`);
+    }
+
+    if (!/^[A-ZÑ\s]{3,100}$/.test(name)) {
+      errors.push('El nombre debe tener entre 3 y 100 letras, sin caracteres especiales');
+    }
+
+    if (!/^\d+(\.\d{1,2})?$/.test(row.amount) || amount <= 0 || amount > payoutsConfig.maxAmount) {
+      errors.push(`El monto debe estar entre 0.01 y ${payoutsConfig.maxAmount}`);
+    }
+
+    if (concept.length < 1 || concept.length > 40) {
+      errors.push('El concepto debe tener entre 1 y 40 caracteres');
+    }
+
+    return {
+      lineNumber,
+      clabe,
+      name,
+      amount: Number.isFinite(amount) ? amount : undefined,
+      concept,
+      bank,
+      status: errors.length > 0 ? 'invalid' : 'pending',
+      validationErrors: errors
+    };
+  }
+
+  /**
+   * Catálogo de bancos indexado por el prefijo de 3 dígitos de la CLABE.
+   * STP usa claves de 5 dígitos; los últimos 3 son el código de banco.
+   * @private
+   */
+  async _bankIndex() {
+    const catalog = await stpService.getBanksCatalog();
+    const banks = new Map();
+
+    (catalog || []).forEach(bank => {
+      const code = String(bank.clave || bank.codigo || '');
+      if (/^\d{5}$/.test(code)) {
+        banks.set(code.slice(-3), { code, name: bank.nombre });
+      }
+    });
+
+    return banks;
+  }
+}
+
+module.exports = new PayoutService();
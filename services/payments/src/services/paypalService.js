@@ -224,6 +224,41 @@ class PayPalService {
     }
   }
 
+  /**
+   * Verificar la firma de un webhook con la API de PayPal
+   * @param {Object} headers - Headers de la petición
+   * @param {Object} event - Cuerpo del webhook
+   * @returns {Promise<boolean>} Si la firma es válida
+   */
+  async verifyWebhook(headers, event) {
+    try {
+      const accessToken = await this.getAccessToken();
+
+      const response = await axios({
+        method: 'post',
+        url: `${this.baseURL}/v1/notifications/verify-webhook-signature`,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        data: {
+          auth_algo: headers['paypal-auth-algo'],
+          cert_url: headers['paypal-cert-url'],
+          transmission_id: headers['paypal-transmission-id'],
+          transmission_sig: headers['paypal-transmission-sig'],
+          transmission_time: headers['paypal-transmission-time'],
+          webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+          webhook_event: event
+        }
+      });
+
+      return response.data.verification_status === 'SUCCESS';
+    } catch (error) {
+      logger.error('Error verificando webhook de PayPal:', error);
+      return false;
+    }
+  }
+
   async handleWebhookEvent(event) {
     try {
       switch (event.event_type) {
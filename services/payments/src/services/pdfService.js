@@ -0,0 +1,162 @@
+const PDFDocument = require('pdfkit');
+
+const formatMoney = (amount, currency) =>
+  `${new Intl.NumberFormat('es-MX', { style: 'currency', currency }).format(amount || 0)} ${currency}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' })
+  : '-');
+
+class PdfService {
+  /**
+   * Renderizar un documento PDF en memoria
+   * @private
+   * @param {Function} render - Función que dibuja sobre el documento
+   * @returns {Promise<Buffer>} Contenido del PDF
+   */
+  _toBuffer(render) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      render(doc);
+      doc.end();
+    });
+  }
+
+  /**
+   * Dibujar una fila etiqueta/valor
+   * @private
+   */
+  _row(doc, label, value) {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(value || '-');
+  }
+
+  /**
+   * Representación impresa de un CFDI
+   * @param {Object} invoice - Factura timbrada
+   * @param {Object} issuer - Datos fiscales del emisor
+   * @param {Array<Object>} concepts - Conceptos facturados
+   * @returns {Promise<Buffer>} PDF
+   */
+  renderInvoice(invoice, issuer, concepts) {
+    return this._toBuffer((doc) => {
+      doc.fontSize(18).font('Helvetica-Bold').text('Factura (CFDI 4.0)', { align: 'right' });
+      doc.fontSize(10).font('Helvetica').text(`${invoice.series}-${invoice.folio}`, { align: 'right' });
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Emisor');
+      doc.fontSize(10);
+      this._row(doc, 'RFC', issuer.rfc);
+      this._row(doc, 'Nombre', issuer.name);
+      this._row(doc, 'Régimen fiscal', issuer.taxRegime);
+      this._row(doc, 'Lugar de expedición', issuer.postalCode);
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Receptor');
+      doc.fontSize(10);
+      this._row(doc, 'RFC', invoice.receiver.rfc);
+      this._row(doc, 'Nombre', invoice.receiver.name);
+      this._row(doc, 'Régimen fiscal', invoice.receiver.taxRegime);
+      this._row(doc, 'Uso CFDI', invoice.receiver.cfdiUse);
+      this._row(doc, 'Domicilio fiscal', invoice.receiver.postalCode);
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Conceptos');
+      doc.fontSize(10).font('Helvetica');
+      concepts.forEach(concept => {
+        doc.text(`${concept.productCode}  ${concept.description}  ${formatMoney(concept.total, invoice.currency)}`);
+      });
+      doc.moveDown();
+
+      this._row(doc, 'Subtotal', formatMoney(invoice.subtotal, invoice.currency));
+      this._row(doc, 'IVA', formatMoney(invoice.tax, invoice.currency));
+      this._row(doc, 'Total', formatMoney(invoice.total, invoice.currency));
+      doc.moveDown();
+
+      this._row(doc, 'Folio fiscal (UUID)', invoice.uuid);
+      this._row(doc, 'Fecha de timbrado', formatDate(invoice.issuedAt));
+      doc.moveDown();
+      doc.fontSize(8).text('Este documento es una representación impresa de un CFDI.', { align: 'center' });
+    });
+  }
+
+  /**
+   * Recibo de un pago completado, con su historial de reembolsos
+   * @param {Object} payment - Pago
+   * @returns {Promise<Buffer>} PDF
+   */
+  renderReceipt(payment) {
+    const { billingDetails, provider, currency } = payment;
+    const address = billingDetails.address;
+
+    return this._toBuffer((doc) => {
+      doc.fontSize(18).font('Helvetica-Bold').text('Recibo de pago', { align: 'right' });
+      doc.fontSize(10).font('Helvetica').text(payment.paymentId, { align: 'right' });
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Datos de facturación');
+      doc.fontSize(10);
+      this._row(doc, 'Nombre', billingDetails.name);
+      this._row(doc, 'Email', billingDetails.email);
+      this._row(doc, 'RFC', billingDetails.taxId);
+      if (address) {
+        this._row(doc, 'Dirección', [
+          address.line1,
+          address.line2,
+          address.city,
+          address.state,
+          address.postalCode,
+          address.country
+        ].filter(Boolean).join(', '));
+      }
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Pago');
+      doc.fontSize(10);
+      this._row(doc, 'Concepto', `${payment.type} - ${payment.itemId}`);
+      if (payment.discountAmount > 0) {
+        this._row(doc, 'Precio', formatMoney(payment.originalAmount, currency));
+        this._row(doc, 'Descuento', formatMoney(payment.discountAmount, currency));
+      }
+      this._row(doc, 'Total pagado', formatMoney(payment.amount, currency));
+      this._row(doc, 'Método de pago', payment.paymentMethod);
+      this._row(doc, 'Estado', payment.status);
+      this._row(doc, 'Fecha', formatDate(payment.createdAt));
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Referencia del proveedor');
+      doc.fontSize(10);
+      this._row(doc, 'Proveedor', provider.name);
+      this._row(doc, 'Referencia', provider.chargeId || provider.paymentId);
+      if (provider.trackingKey) {
+        this._row(doc, 'Clave de rastreo', provider.trackingKey);
+      }
+      doc.moveDown();
+
+      const refunds = payment.refunds.filter(refund => refund.status !== 'failed');
+      if (refunds.length > 0) {
+        doc.fontSize(12).font('Helvetica-Bold').text('Reembolsos');
+        doc.fontSize(10).font('Helvetica');
+        refunds.forEach(refund => {
+          const status = refund.status === 'completed' ? 'aplicado' : 'en proceso';
+          doc.text(
+            `${formatDate(refund.processedAt || refund.requestedAt)}  ${formatMoney(refund.amount, currency)}  ${status}${refund.reason ? `  (${refund.reason})` : ''}`
+          );
+        });
+        doc.moveDown();
+        this._row(doc, 'Total reembolsado', formatMoney(payment.refundedAmount, currency));
+        doc.moveDown();
+      }
+
+      doc.fontSize(8).text('Este recibo no es un comprobante fiscal.', { align: 'center' });
+    });
+  }
+}
+
+module.exports = new PdfService();
@@ -0,0 +1,51 @@
+const catalogService = require('./catalogService');
+const couponService = require('./couponService');
+const exchangeRateService = require('./exchangeRateService');
+const exchangeConfig = require('../config/exchange');
+
+class PricingService {
+  /**
+   * Calcular el monto a cobrar de una compra: cupones y, si se cobra en una
+   * moneda distinta a la del catálogo, conversión con una cotización bloqueada
+   * @param {Object} data
+   * @param {string} data.userId - Usuario que paga
+   * @param {string} data.type - Tipo de item
+   * @param {string} data.itemId - ID del item
+   * @param {number} data.amount - Monto solicitado; se usa si el item no tiene precio en catálogo
+   * @param {string} data.currency - Moneda de cobro
+   * @param {Array<string>} [data.couponCodes] - Códigos de cupón
+   * @param {string} [data.quoteId] - Cotización obtenida con POST /quotes
+   * @returns {Promise<Object>} { amount, originalAmount, discountAmount, coupons, exchange? }
+   */
+  async priceCheckout({ userId, type, itemId, amount, currency, couponCodes, quoteId }) {
+    const { baseCurrency } = exchangeConfig;
+
+    // Cursos y webinars tienen precio en la moneda base; en otra moneda se cotiza
+    const item = currency !== baseCurrency ? await catalogService.getItem(type, itemId) : null;
+    const quoted = Boolean(item && typeof item.price === 'number');
+    const pricingCurrency = quoted ? baseCurrency : currency;
+    const baseAmount = quoted ? item.price : amount;
+
+    const pricing = couponCodes && couponCodes.length > 0
+      ? await couponService.applyCoupons({
+        codes: couponCodes,
+        userId,
+        type,
+        itemId,
+        amount: baseAmount,
+        currency: pricingCurrency
+      })
+      : { amount: baseAmount, originalAmount: baseAmount, discountAmount: 0, coupons: [] };
+
+    if (!quoted) {
+      return pricing;
+    }
+
+    const quote = await exchangeRateService.claimQuote({ quoteId, userId, currency });
+    const converted = exchangeRateService.convert(pricing, quote);
+
+    return { ...converted.pricing, exchange: converted.exchange };
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,222 @@
+// Los adaptadores validan su configuración al cargarse
+Object.assign(process.env, {
+  STP_PRIVATE_KEY: 'test.pem',
+  STP_CERTIFICATE: 'test.cer',
+  STP_ACCOUNT_NUMBER: '1234567890',
+  STP_INSTITUTION: '90646',
+  STP_WEBHOOK_SECRET: 'secret',
+  STP_UTILITY_API_KEY: 'key',
+  PAYPAL_CLIENT_ID: 'client',
+  PAYPAL_CLIENT_SECRET: 'secret'
+});
+
+const stpService = require('../../stpService');
+const { providerRegistry, ProviderRegistry, FakeProvider } = require('..');
+
+describe('ProviderRegistry', () => {
+  it('registra el proveedor fake en pruebas', () => {
+    expect(providerRegistry.get('fake')).toBeInstanceOf(FakeProvider);
+  });
+
+  it('registra los proveedores de producción', () => {
+    ['stripe', 'paypal', 'stp'].forEach(name => {
+      expect(providerRegistry.get(name).name).toBe(name);
+    });
+  });
+
+  it('rechaza un proveedor no registrado', () => {
+    const registry = new ProviderRegistry();
+
+    expect(() => registry.get('fake')).toThrow(
+      expect.objectContaining({ code: 'PROVIDER_NOT_REGISTERED' })
+    );
+  });
+
+  it('resuelve el proveedor de cada método de pago', () => {
+    const registry = new ProviderRegistry();
+
+    expect(registry.providerFor('card')).toBe('stripe');
+    expect(registry.providerFor('paypal')).toBe('paypal');
+    expect(registry.providerFor('stp')).toBe('stp');
+    expect(registry.providerFor('desconocido')).toBe('stripe');
+  });
+
+  it('sólo asigna métodos de pago a proveedores registrados', () => {
+    const registry = new ProviderRegistry().register(new FakeProvider());
+
+    expect(() => registry.useProviderFor('card', 'otro')).toThrow();
+
+    registry.useProviderFor('card', 'fake');
+    expect(registry.providerFor('card')).toBe('fake');
+  });
+
+  it('reemplaza un adaptador con el mismo nombre', () => {
+    const first = new FakeProvider();
+    const second = new FakeProvider();
+    const registry = new ProviderRegistry().register(first).register(second);
+
+    expect(registry.get('fake')).toBe(second);
+  });
+});
+
+describe('FakeProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FakeProvider();
+  });
+
+  const createPayment = async () => {
+    const payment = { amount: 500, currency: 'MXN' };
+    const created = await provider.create(payment);
+    return { ...payment, provider: created.provider };
+  };
+
+  it('completa el pago al confirmarlo', async () => {
+    const payment = await createPayment();
+
+    expect(await provider.getStatus(payment)).toEqual(
+      expect.objectContaining({ status: 'processing' })
+    );
+
+    const result = await provider.confirm(payment);
+
+    expect(result.status).toBe('completed');
+    expect(result.chargeId).toBe(`${payment.provider.paymentId}_charge`);
+  });
+
+  it('simula un rechazo con setOutcome', async () => {
+    const payment = await createPayment();
+    provider.setOutcome(payment.provider.paymentId, 'failed');
+
+    const result = await provider.confirm(payment);
+
+    expect(result.status).toBe('failed');
+    expect(result.error.message).toBeDefined();
+  });
+
+  it('registra reembolsos completados', async () => {
+    const payment = await createPayment();
+    const refund = await provider.refund(payment, { amount: 200 });
+
+    expect(refund.status).toBe('completed');
+    expect(provider.refunds.get(refund.providerRefundId).amount).toBe(200);
+  });
+
+  it('rechaza pagos desconocidos', async () => {
+    await expect(provider.getStatus({ provider: { paymentId: 'fake_x' } }))
+      .rejects.toThrow('Pago no encontrado en el proveedor de prueba');
+  });
+
+  it('normaliza los webhooks al formato del registro', () => {
+    const body = { type: 'payment.updated', paymentId: 'fake_1', status: 'completed', chargeId: 'ch_1' };
+    const verified = provider.verifyWebhook({ body });
+
+    expect(verified.eventId).toBe('fake_1:payment.updated:completed');
+    expect(provider.parseWebhook(verified.payload)).toEqual({
+      type: 'payment.updated',
+      data: body,
+      lookup: { 'provider.paymentId': 'fake_1' },
+      paymentStatus: 'completed',
+      chargeId: 'ch_1'
+    });
+  });
+});
+
+describe('STPProvider.parseWebhook', () => {
+  const stp = providerRegistry.get('stp');
+  const statusDetail = { code: 123, description: 'Orden procesada' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('consulta el estado de la orden y lo normaliza', async () => {
+    jest.spyOn(stpService, 'getPaymentStatus').mockResolvedValue({ status: 'completed', statusDetail });
+
+    const event = await stp.parseWebhook({ claveRastreo: 'abc123' });
+
+    expect(stpService.getPaymentStatus).toHaveBeenCalledWith('abc123');
+    expect(event).toEqual(expect.objectContaining({
+      type: 'stp.order_status',
+      lookup: { 'provider.trackingKey': 'abc123' },
+      paymentStatus: 'completed',
+      chargeId: 'abc123',
+      refund: expect.objectContaining({ providerRefundId: 'abc123', status: 'completed' }),
+      payout: { trackingKey: 'abc123' }
+    }));
+  });
+
+  it('no cambia el estado del pago con una devolución del banco', async () => {
+    jest.spyOn(stpService, 'getPaymentStatus').mockResolvedValue({ status: 'refunded', statusDetail });
+
+    const event = await stp.parseWebhook({ claveRastreo: 'abc123', causaDevolucion: 'Cuenta inexistente' });
+
+    expect(event.paymentStatus).toBeUndefined();
+    expect(event.refund.status).toBe('pending');
+    expect(event.refund.error.message).toBe('Cuenta inexistente');
+  });
+
+  it('marca como fallida una devolución cancelada', async () => {
+    jest.spyOn(stpService, 'getPaymentStatus').mockResolvedValue({ status: 'cancelled', statusDetail });
+
+    const event = await stp.parseWebhook({ claveRastreo: 'abc123' });
+
+    expect(event.paymentStatus).toBe('cancelled');
+    expect(event.refund.status).toBe('failed');
+  });
+});
+
+describe('StripeProvider.parseWebhook', () => {
+  const stripe = providerRegistry.get('stripe');
+
+  it('normaliza un pago completado', () => {
+    const event = stripe.parseWebhook({
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_1', latest_charge: 'ch_1' } }
+    });
+
+    expect(event).toEqual(expect.objectContaining({
+      lookup: { 'provider.paymentId': 'pi_1' },
+      paymentStatus: 'completed',
+      chargeId: 'ch_1'
+    }));
+  });
+
+  it('ignora los tipos de evento que no maneja', () => {
+    expect(stripe.parseWebhook({
+      type: 'charge.updated',
+      data: { object: { id: 'ch_1', payment_intent: 'pi_1' } }
+    })).toBeNull();
+  });
+});
+
+describe('canRefund', () => {
+  it('Stripe sólo reembolsa pagos con tarjeta', () => {
+    const stripe = providerRegistry.get('stripe');
+
+    expect(stripe.canRefund({ paymentMethod: 'card' })).toBe(true);
+    expect(stripe.canRefund({ paymentMethod: 'oxxo' })).toBe(false);
+  });
+
+  it('PayPal reembolsa órdenes capturadas', () => {
+    const paypal = providerRegistry.get('paypal');
+
+    expect(paypal.canRefund({ provider: { chargeId: 'CAP-1' } })).toBe(true);
+    expect(paypal.canRefund({ provider: {} })).toBe(false);
+  });
+
+  it('STP necesita la claveRastreo y la cuenta del ordenante', () => {
+    const stp = providerRegistry.get('stp');
+    const deposit = {
+      type: 'course',
+      paymentMethod: 'spei',
+      provider: { trackingKey: 'abc123' },
+      billingDetails: { beneficiaryAccount: '012180000118359713' }
+    };
+
+    expect(stp.canRefund(deposit)).toBe(true);
+    expect(stp.canRefund({ ...deposit, billingDetails: {} })).toBe(false);
+    expect(stp.canRefund({ ...deposit, type: 'service' })).toBe(false);
+  });
+});
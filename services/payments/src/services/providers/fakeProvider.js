@@ -0,0 +1,119 @@
+const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../../utils/ApiError');
+
+/**
+ * Proveedor en memoria para pruebas. Los pagos se completan al confirmarse
+ * salvo que se simule otro resultado con `setOutcome`.
+ */
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.reset();
+  }
+
+  /**
+   * Limpiar los pagos y reembolsos registrados
+   */
+  reset() {
+    this.payments = new Map();
+    this.refunds = new Map();
+  }
+
+  /**
+   * Definir el estado que devolverán `confirm` y `getStatus` para un pago
+   * @param {string} providerPaymentId - ID del pago en el proveedor
+   * @param {string} status - completed, failed o processing
+   */
+  setOutcome(providerPaymentId, status) {
+    const record = this._find(providerPaymentId);
+    record.outcome = status;
+  }
+
+  async create(payment) {
+    const id = `fake_${uuidv4()}`;
+
+    this.payments.set(id, {
+      id,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: 'processing',
+      outcome: 'completed'
+    });
+
+    return {
+      provider: { paymentId: id },
+      clientSecret: `${id}_secret`
+    };
+  }
+
+  async confirm(payment) {
+    const record = this._find(payment.provider.paymentId);
+    record.status = record.outcome;
+    return this.getStatus(payment);
+  }
+
+  async getStatus(payment) {
+    const record = this._find(payment.provider.paymentId);
+
+    return {
+      status: record.status,
+      chargeId: record.status === 'completed' ? `${record.id}_charge` : undefined,
+      error: record.status === 'failed' ? { message: 'Pago rechazado (simulado)' } : undefined
+    };
+  }
+
+  canRefund() {
+    return true;
+  }
+
+  async refund(payment, { amount }) {
+    const id = `fake_re_${uuidv4()}`;
+    this.refunds.set(id, {
+      id,
+      paymentId: payment.provider.paymentId,
+      amount
+    });
+
+    return {
+      status: 'completed',
+      providerRefundId: id
+    };
+  }
+
+  /**
+   * Recibe eventos sin firma con la forma
+   * `{ id, type, paymentId, status, chargeId }`
+   */
+  verifyWebhook(req) {
+    const event = req.body;
+
+    return {
+      eventId: event.id || `${event.paymentId}:${event.type}:${event.status}`,
+      type: event.type,
+      payload: event
+    };
+  }
+
+  parseWebhook(event) {
+    return {
+      type: event.type,
+      data: event,
+      lookup: { 'provider.paymentId': event.paymentId },
+      paymentStatus: event.status,
+      chargeId: event.chargeId
+    };
+  }
+
+  /**
+   * @private
+   */
+  _find(providerPaymentId) {
+    const record = this.payments.get(providerPaymentId);
+    if (!record) {
+      throw new ApiError('Pago no encontrado en el proveedor de prueba', 404);
+    }
+    return record;
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,95 @@
+const StripeProvider = require('./stripeProvider');
+const PayPalProvider = require('./paypalProvider');
+const STPProvider = require('./stpProvider');
+const FakeProvider = require('./fakeProvider');
+const ApiError = require('../../utils/ApiError');
+
+/**
+ * Registro de proveedores de pago.
+ *
+ * Cada adaptador expone `name` y los métodos:
+ * - create(payment) → { provider, clientSecret?, approvalUrl?, trackingKey? }
+ * - confirm(payment, options) → { status, chargeId?, error? }
+ * - getStatus(payment) → { status, chargeId?, error? }
+ * - canRefund(payment) → boolean; si el proveedor admite reembolsar ese pago
+ * - refund(payment, { amount, reason }) → { status, providerRefundId }
+ * - verifyWebhook(req) → { eventId, type, payload }; lanza error si la firma es inválida
+ *
+ * Opcionales:
+ * - parseWebhook(payload) → { type, data, lookup, paymentStatus?, chargeId?, error?, refund?, voucher?, payout?, scope? }
+ *   o null si el evento no requiere procesarse
+ * - cancel(payment) cancela el cobro pendiente en el proveedor
+ * - getVoucher(payment) → { reference, url, expiresAt } para pagos en efectivo
+ * - getReceipt(payment) → { url, issuedAt } o null; comprobante del emisor tras el webhook
+ *
+ * Los estados devueltos ya están normalizados a los estados del modelo Payment.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.methodProviders = {
+      card: 'stripe',
+      oxxo: 'stripe',
+      spei: 'stripe',
+      paypal: 'paypal',
+      stp: 'stp'
+    };
+  }
+
+  /**
+   * Registrar un adaptador; reemplaza al existente con el mismo nombre
+   * @param {Object} adapter - Adaptador de proveedor
+   */
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  /**
+   * Obtener un adaptador por nombre
+   * @param {string} name - Nombre del proveedor
+   * @returns {Object} Adaptador
+   */
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new ApiError(`Proveedor de pago no soportado: ${name}`, 500, 'PROVIDER_NOT_REGISTERED');
+    }
+    return adapter;
+  }
+
+  /**
+   * Nombre del proveedor que procesa un método de pago
+   * @param {string} paymentMethod - Método de pago
+   * @returns {string}
+   */
+  providerFor(paymentMethod) {
+    return this.methodProviders[paymentMethod] || 'stripe';
+  }
+
+  /**
+   * Asignar un proveedor a un método de pago
+   * @param {string} paymentMethod - Método de pago
+   * @param {string} name - Nombre del proveedor registrado
+   */
+  useProviderFor(paymentMethod, name) {
+    this.get(name);
+    this.methodProviders[paymentMethod] = name;
+    return this;
+  }
+}
+
+const providerRegistry = new ProviderRegistry()
+  .register(new StripeProvider())
+  .register(new PayPalProvider())
+  .register(new STPProvider());
+
+if (process.env.NODE_ENV === 'test') {
+  providerRegistry.register(new FakeProvider());
+}
+
+module.exports = {
+  providerRegistry,
+  ProviderRegistry,
+  FakeProvider
+};
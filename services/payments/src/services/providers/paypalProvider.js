@@ -0,0 +1,110 @@
+const paypalService = require('../paypalService');
+const ApiError = require('../../utils/ApiError');
+
+const REFUND_STATUS = {
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'failed'
+};
+
+/**
+ * Adaptador de PayPal (órdenes con captura)
+ */
+class PayPalProvider {
+  constructor() {
+    this.name = 'paypal';
+  }
+
+  async create(payment) {
+    const order = await paypalService.createOrder({
+      amount: payment.amount,
+      currency: payment.currency,
+      description: `Pago por ${payment.type} - ${payment.itemId}`,
+      metadata: {
+        orderId: payment.paymentId,
+        itemName: `${payment.type} - ${payment.itemId}`,
+        itemDescription: `Pago por ${payment.type}`
+      }
+    });
+
+    const approveLink = (order.links || []).find(link => link.rel === 'approve');
+
+    return {
+      provider: { paymentId: order.id },
+      approvalUrl: approveLink ? approveLink.href : undefined,
+      raw: order
+    };
+  }
+
+  async confirm(payment) {
+    const capture = await paypalService.captureOrder(payment.provider.paymentId);
+    const captureDetails = capture.purchase_units[0].payments.captures[0];
+
+    return {
+      status: capture.status === 'COMPLETED' ? 'completed' : 'processing',
+      chargeId: captureDetails.id
+    };
+  }
+
+  async getStatus(payment) {
+    const order = await paypalService.getOrder(payment.provider.paymentId);
+
+    return {
+      status: order.status === 'COMPLETED' ? 'completed' : 'processing'
+    };
+  }
+
+  // Se reembolsa la captura; una orden sin capturar no tiene qué devolver
+  canRefund(payment) {
+    return Boolean(payment.provider.chargeId);
+  }
+
+  async refund(payment, { amount, reason }) {
+    const refund = await paypalService.refundOrder(payment.provider.chargeId, {
+      amount,
+      currency: payment.currency,
+      reason
+    });
+
+    return {
+      status: REFUND_STATUS[refund.status] || 'pending',
+      providerRefundId: refund.id
+    };
+  }
+
+  async verifyWebhook(req) {
+    const isValid = await paypalService.verifyWebhook(req.headers, req.body);
+    if (!isValid) {
+      throw new ApiError('Invalid webhook signature', 400);
+    }
+
+    return { eventId: req.body.id, type: req.body.event_type, payload: req.body };
+  }
+
+  parseWebhook(event) {
+    const resource = event.resource;
+    const result = {
+      type: event.event_type,
+      data: resource,
+      // Los eventos de captura traen el ID de la orden en related_ids
+      lookup: {
+        'provider.paymentId': resource.supplementary_data?.related_ids?.order_id || resource.id
+      }
+    };
+
+    switch (event.event_type) {
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        result.paymentStatus = 'completed';
+        result.chargeId = resource.id;
+        break;
+      case 'PAYMENT.CAPTURE.DENIED':
+        result.paymentStatus = 'failed';
+        result.error = { message: 'Payment denied by PayPal' };
+        break;
+    }
+
+    return result;
+  }
+}
+
+module.exports = PayPalProvider;
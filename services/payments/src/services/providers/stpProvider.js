@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const stpService = require('../stpService');
+const stpUtilityService = require('../stpUtilityService');
+const ApiError = require('../../utils/ApiError');
+
+// Estados de orden STP que resuelven un cobro; DEVOLUCION y las órdenes en
+// tránsito no cambian el estado del pago
+const PAYMENT_STATUS = {
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+// Estados de orden STP que resuelven una devolución
+const REFUND_STATUS = {
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'failed'
+};
+
+/**
+ * Adaptador de STP: transferencias SPEI y pagos de servicios.
+ * STP no tiene un paso de confirmación; confirmar consulta el estado.
+ */
+class STPProvider {
+  constructor() {
+    this.name = 'stp';
+  }
+
+  async create(payment) {
+    const { billingDetails } = payment;
+
+    const result = payment.type === 'service'
+      ? await stpUtilityService.payUtilityService({
+        serviceType: payment.serviceType,
+        agreementCode: billingDetails.agreementCode,
+        reference: billingDetails.reference,
+        amount: payment.amount,
+        dueDate: billingDetails.dueDate
+      })
+      : await stpService.createPaymentOrder({
+        concept: `Pago por ${payment.type} - ${payment.itemId}`,
+        amount: payment.amount,
+        beneficiaryName: billingDetails.beneficiaryName,
+        beneficiaryAccount: billingDetails.beneficiaryAccount,
+        beneficiaryBank: billingDetails.beneficiaryBank,
+        reference: billingDetails.reference
+      });
+
+    return {
+      provider: {
+        paymentId: result.paymentId,
+        trackingKey: result.trackingKey,
+        operationId: result.operationId,
+        bankReference: result.bankReference
+      },
+      trackingKey: result.trackingKey,
+      raw: result
+    };
+  }
+
+  async confirm(payment) {
+    return this.getStatus(payment);
+  }
+
+  async getStatus(payment) {
+    const result = payment.type === 'service'
+      ? await stpUtilityService.checkUtilityPaymentStatus(payment.provider.paymentId)
+      : await stpService.getPaymentStatus(payment.provider.paymentId);
+
+    if (result.status === 'completed' || result.status === 'success') {
+      return {
+        status: 'completed',
+        chargeId: result.operationId || result.paymentId
+      };
+    }
+
+    if (result.status === 'failed' || result.status === 'rejected') {
+      return {
+        status: 'failed',
+        error: { message: result.statusDetail?.description || result.statusDetail || 'Pago rechazado por STP' }
+      };
+    }
+
+    return { status: 'processing' };
+  }
+
+  // La devolución se liga a la claveRastreo original y necesita la cuenta del
+  // ordenante; los pagos de servicios no se devuelven por SPEI
+  canRefund(payment) {
+    return payment.type !== 'service' &&
+      Boolean(payment.provider.trackingKey && payment.billingDetails?.beneficiaryAccount);
+  }
+
+  async refund(payment, { amount, reason }) {
+    const refund = await stpService.createRefund({
+      originalTrackingKey: payment.provider.trackingKey,
+      amount,
+      reason,
+      beneficiaryAccount: payment.billingDetails.beneficiaryAccount,
+      beneficiaryName: payment.billingDetails.beneficiaryName
+    });
+
+    // Las devoluciones SPEI se liquidan de forma asíncrona vía webhook
+    return {
+      status: 'pending',
+      providerRefundId: refund.trackingKey
+    };
+  }
+
+  /**
+   * STP no envía un ID de evento; se usa el hash del cuerpo, de modo que
+   * sólo los reenvíos idénticos se consideran duplicados.
+   */
+  verifyWebhook(req) {
+    if (!stpService.verifyWebhook(req.headers, req.body)) {
+      throw new ApiError('Firma del webhook inválida', 400);
+    }
+
+    const eventId = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(req.body))
+      .digest('hex');
+
+    return { eventId, type: 'stp.order_status', payload: req.body };
+  }
+
+  /**
+   * La notificación sólo trae la claveRastreo; el estado se consulta a STP.
+   * La clave puede ser de un cobro, de una devolución o de una dispersión,
+   * por lo que el evento incluye los tres criterios de búsqueda.
+   */
+  async parseWebhook(payload) {
+    const trackingKey = payload.claveRastreo;
+    const { status, statusDetail } = await stpService.getPaymentStatus(trackingKey);
+    const error = {
+      code: statusDetail.code,
+      message: payload.causaDevolucion || statusDetail.description
+    };
+
+    return {
+      type: 'stp.order_status',
+      data: payload,
+      lookup: { 'provider.trackingKey': trackingKey },
+      paymentStatus: PAYMENT_STATUS[status],
+      chargeId: status === 'completed' ? trackingKey : undefined,
+      error: status === 'completed' ? undefined : error,
+      refund: {
+        providerRefundId: trackingKey,
+        status: REFUND_STATUS[status] || 'pending',
+        error
+      },
+      payout: { trackingKey }
+    };
+  }
+
+  /**
+   * Comprobante del emisor para pagos de servicios
+   * @param {Object} payment - Pago
+   * @returns {Promise<Object|null>} { url, issuedAt }
+   */
+  async getReceipt(payment) {
+    if (payment.type !== 'service') {
+      return null;
+    }
+
+    const result = await stpUtilityService.checkUtilityPaymentStatus(payment.provider.paymentId);
+
+    return result.receiptUrl
+      ? { url: result.receiptUrl, issuedAt: result.confirmedAt }
+      : null;
+  }
+}
+
+module.exports = STPProvider;
@@ -0,0 +1,183 @@
+const stripeService = require('../stripeService');
+
+// Estados de Stripe; cualquier otro se considera en proceso
+const PAYMENT_STATUS = {
+  succeeded: 'completed',
+  canceled: 'cancelled'
+};
+
+const REFUND_STATUS = {
+  succeeded: 'completed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Código de Stripe cuando la ficha OXXO vence sin pago
+const VOUCHER_EXPIRED_CODE = 'payment_intent_payment_attempt_expired';
+
+// Eventos que se procesan en el servicio de suscripciones
+const SUBSCRIPTION_EVENTS = [
+  'invoice.paid',
+  'invoice.payment_failed',
+  'customer.subscription.updated',
+  'customer.subscription.deleted'
+];
+
+/**
+ * Adaptador de Stripe para pagos con tarjeta, OXXO y SPEI
+ */
+class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+  }
+
+  async create(payment) {
+    const paymentIntent = await stripeService.createPaymentIntent({
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethod: payment.paymentMethod,
+      description: `Pago por ${payment.type} - ${payment.itemId}`,
+      metadata: {
+        paymentId: payment.paymentId,
+        type: payment.type,
+        itemId: payment.itemId
+      },
+      billingDetails: payment.billingDetails,
+      requestThreeDSecure: payment.risk?.decision === 'challenge'
+    });
+
+    return {
+      provider: { paymentId: paymentIntent.id },
+      clientSecret: paymentIntent.client_secret,
+      voucher: this._toVoucher(paymentIntent),
+      raw: paymentIntent
+    };
+  }
+
+  async confirm(payment, { paymentMethod } = {}) {
+    const paymentIntent = await stripeService.confirmPaymentIntent(
+      payment.provider.paymentId,
+      paymentMethod
+    );
+
+    return this._toStatus(paymentIntent);
+  }
+
+  async getStatus(payment) {
+    const paymentIntent = await stripeService.retrievePaymentIntent(payment.provider.paymentId);
+    return this._toStatus(paymentIntent);
+  }
+
+  async cancel(payment) {
+    await stripeService.cancelPaymentIntent(payment.provider.paymentId);
+  }
+
+  async getVoucher(payment) {
+    const paymentIntent = await stripeService.retrievePaymentIntent(payment.provider.paymentId);
+    return this._toVoucher(paymentIntent);
+  }
+
+  // OXXO y SPEI no tienen una cuenta a la cual devolver
+  canRefund(payment) {
+    return payment.paymentMethod === 'card';
+  }
+
+  async refund(payment, { amount, reason }) {
+    const refund = await stripeService.processRefund(payment.provider.paymentId, amount, reason);
+
+    return {
+      status: REFUND_STATUS[refund.status] || 'pending',
+      providerRefundId: refund.id
+    };
+  }
+
+  verifyWebhook(req) {
+    const event = stripeService.verifyWebhookSignature(req.rawBody, req.headers['stripe-signature']);
+
+    return { eventId: event.id, type: event.type, payload: event };
+  }
+
+  parseWebhook(event) {
+    const object = event.data.object;
+
+    if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+      return { type: event.type, data: event, scope: 'subscription' };
+    }
+
+    // Los cobros de suscripciones se registran con el evento invoice.paid
+    if (event.type.startsWith('payment_intent.') && object.invoice) {
+      return null;
+    }
+
+    const result = {
+      type: event.type,
+      data: object,
+      // Los eventos de reembolso traen el objeto refund con su payment_intent
+      lookup: {
+        'provider.paymentId': event.type.startsWith('charge.refund') ? object.payment_intent : object.id
+      }
+    };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        result.paymentStatus = 'completed';
+        result.chargeId = object.latest_charge;
+        break;
+      case 'payment_intent.requires_action':
+        result.voucher = this._toVoucher(object);
+        break;
+      case 'payment_intent.processing':
+        result.paymentStatus = 'processing';
+        break;
+      case 'payment_intent.payment_failed':
+        result.paymentStatus = object.last_payment_error?.code === VOUCHER_EXPIRED_CODE
+          ? 'cancelled'
+          : 'failed';
+        result.error = object.last_payment_error;
+        break;
+      case 'charge.refund.updated':
+        result.refund = {
+          providerRefundId: object.id,
+          status: REFUND_STATUS[object.status] || 'pending',
+          error: { message: object.failure_reason }
+        };
+        break;
+      default:
+        // Eventos suscritos que no cambian el pago
+        return null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Extraer la ficha OXXO de una intención de pago
+   * @private
+   */
+  _toVoucher(paymentIntent) {
+    const details = paymentIntent.next_action?.oxxo_display_details;
+    if (!details) {
+      return undefined;
+    }
+
+    return {
+      reference: details.number,
+      url: details.hosted_voucher_url,
+      expiresAt: new Date(details.expires_after * 1000)
+    };
+  }
+
+  /**
+   * Normalizar una intención de pago
+   * @private
+   */
+  _toStatus(paymentIntent) {
+    return {
+      status: PAYMENT_STATUS[paymentIntent.status] || 'processing',
+      chargeId: paymentIntent.latest_charge || paymentIntent.charges?.data[0]?.id,
+      error: paymentIntent.last_payment_error
+    };
+  }
+}
+
+module.exports = StripeProvider;
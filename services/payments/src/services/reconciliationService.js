@@ -0,0 +1,276 @@
+const Payment = require('../models/Payment');
+const Reconciliation = require('../models/Reconciliation');
+const SpeiDeposit = require('../models/SpeiDeposit');
+const PayoutLine = require('../models/PayoutLine');
+const stpService = require('./stpService');
+const stpConfig = require('../config/stp');
+const logger = require('../config/logger');
+const { toCents } = require('../utils/money');
+
+// Estados de movimiento que no prueban la liquidación del pago
+const UNSETTLED_MOVEMENT_STATES = ['DEVOLUCION', 'CANCELADO', 'ERROR'];
+
+/**
+ * Fecha y hora de pared de un instante en una zona horaria
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== 'literal') {
+      acc[part.type] = Number(part.value);
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Instante en que empieza un día calendario en una zona horaria
+ * @param {number} year
+ * @param {number} month - 1 a 12
+ * @param {number} day
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date}
+ */
+const startOfZonedDay = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const wall = zonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - guess;
+
+  return new Date(guess - offset);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class ReconciliationService {
+  constructor() {
+    this.config = stpConfig.reconciliation;
+  }
+
+  /**
+   * Normalizar un movimiento del estado de cuenta de STP
+   * @private
+   * @param {Object} movement - Movimiento tal como lo regresa STP
+   * @returns {Object} Movimiento normalizado
+   */
+  _normalizeMovement(movement) {
+    return {
+      trackingKey: movement.claveRastreo,
+      amount: parseFloat(movement.monto),
+      type: movement.tipoMovimiento,
+      status: movement.estado,
+      operationDate: movement.fechaOperacion ? new Date(movement.fechaOperacion) : undefined,
+      raw: movement
+    };
+  }
+
+  /**
+   * Obtener el periodo de un día completo en la zona horaria de la conciliación
+   * @param {Date|string} date - Instante dentro del día, o fecha YYYY-MM-DD
+   * @returns {{startDate: Date, endDate: Date, day: string}}
+   */
+  getDayPeriod(date) {
+    const { timezone } = this.config;
+    const { year, month, day } = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? (([y, m, d]) => ({ year: y, month: m, day: d }))(date.split('-').map(Number))
+      : zonedParts(new Date(date), timezone);
+
+    const startDate = startOfZonedDay(year, month, day, timezone);
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    const endDate = new Date(
+      startOfZonedDay(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), timezone) - 1
+    );
+
+    return { startDate, endDate, day: `${year}-${pad(month)}-${pad(day)}` };
+  }
+
+  /**
+   * Buscar el registro interno de cada clave de rastreo. Un movimiento puede
+   * ser un abono SPEI, una dispersión, un reembolso o el cobro de un pago;
+   * se revisan en ese orden porque un abono también queda como
+   * `provider.trackingKey` del pago al que se aplicó.
+   * @private
+   * @param {Array<string>} trackingKeys - Claves del estado de cuenta
+   * @returns {Promise<Map>} Clave → { source, reference, paymentId, expectedAmount, payment }
+   */
+  async _findRecords(trackingKeys) {
+    const records = new Map();
+    const add = (trackingKey, record) => {
+      if (trackingKey && !records.has(trackingKey)) {
+        records.set(trackingKey, record);
+      }
+    };
+
+    const [deposits, payoutLines, refundedPayments, payments] = await Promise.all([
+      SpeiDeposit.find({ trackingKey: { $in: trackingKeys } }),
+      PayoutLine.find({ 'provider.trackingKey': { $in: trackingKeys } }).populate('batch', 'batchId'),
+      Payment.find({ 'provider.name': 'stp', 'refunds.providerRefundId': { $in: trackingKeys } }),
+      Payment.find({ 'provider.name': 'stp', 'provider.trackingKey': { $in: trackingKeys } })
+    ]);
+
+    deposits.forEach(deposit => add(deposit.trackingKey, {
+      source: 'deposit',
+      reference: deposit.trackingKey,
+      paymentId: deposit.paymentId,
+      expectedAmount: deposit.amount
+    }));
+
+    payoutLines.forEach(line => add(line.provider.trackingKey, {
+      source: 'payout',
+      reference: `${line.batch.batchId}#${line.lineNumber}`,
+      expectedAmount: line.amount
+    }));
+
+    refundedPayments.forEach(payment => {
+      payment.refunds
+        .filter(refund => trackingKeys.includes(refund.providerRefundId))
+        .forEach(refund => add(refund.providerRefundId, {
+          source: 'refund',
+          reference: refund.refundId,
+          paymentId: payment.paymentId,
+          expectedAmount: refund.amount
+        }));
+    });
+
+    payments.forEach(payment => add(payment.provider.trackingKey, {
+      source: 'payment',
+      reference: payment.paymentId,
+      paymentId: payment.paymentId,
+      expectedAmount: payment.amount,
+      payment
+    }));
+
+    return records;
+  }
+
+  /**
+   * Conciliar los movimientos de STP de un día contra pagos, reembolsos,
+   * abonos y dispersiones registrados
+   * @param {Object} [options] - Opciones de la conciliación
+   * @param {Date|string} [options.date] - Día a conciliar (por defecto, ayer)
+   * @param {string} [options.triggeredBy='schedule'] - Origen de la ejecución
+   * @param {boolean} [options.autoComplete] - Completar pagos liquidados en `processing`
+   * @returns {Promise<Object>} Reporte de conciliación
+   */
+  async runDailyReconciliation({
+    date,
+    triggeredBy = 'schedule',
+    autoComplete = this.config.autoComplete
+  } = {}) {
+    const period = this.getDayPeriod(date || Date.now() - 24 * 60 * 60 * 1000);
+
+    const report = await Reconciliation.create({
+      period: { startDate: period.startDate, endDate: period.endDate },
+      triggeredBy
+    });
+
+    try {
+      const statement = await stpService.getAccountStatement(period.day, period.day);
+      const movements = (statement.movements || []).map(movement => this._normalizeMovement(movement));
+      const records = await this._findRecords(
+        movements.map(movement => movement.trackingKey).filter(Boolean)
+      );
+
+      for (const movement of movements) {
+        const record = records.get(movement.trackingKey);
+
+        if (!record) {
+          report.orphanMovements.push(movement);
+          continue;
+        }
+
+        const { source, reference, paymentId, expectedAmount, payment } = record;
+
+        if (toCents(expectedAmount) !== toCents(movement.amount)) {
+          report.amountMismatches.push({
+            source,
+            reference,
+            paymentId,
+            movement,
+            expectedAmount,
+            difference: (toCents(movement.amount) - toCents(expectedAmount)) / 100
+          });
+          continue;
+        }
+
+        const settled = !UNSETTLED_MOVEMENT_STATES.includes(movement.status);
+        let autoCompleted = false;
+
+        // Sólo los cobros se completan aquí; abonos, reembolsos y dispersiones
+        // ya actualizan su estado al recibir la notificación de STP
+        if (source === 'payment' && autoComplete && settled && payment.status === 'processing') {
+          payment.provider.chargeId = payment.provider.chargeId || movement.trackingKey;
+          autoCompleted = await payment.updateStatusIfAllowed('completed');
+        }
+
+        report.matched.push({
+          source,
+          reference,
+          paymentId,
+          movement,
+          paymentStatus: payment ? payment.status : undefined,
+          autoCompleted
+        });
+      }
+
+      // Pagos creados hasta el cierre del periodo que siguen sin liquidarse
+      const stuckPayments = await Payment.find({
+        'provider.name': 'stp',
+        status: 'processing',
+        createdAt: { $lte: period.endDate }
+      }).select('paymentId provider.trackingKey amount createdAt');
+
+      report.stuckPayments = stuckPayments.map(payment => ({
+        paymentId: payment.paymentId,
+        trackingKey: payment.provider.trackingKey,
+        amount: payment.amount,
+        createdAt: payment.createdAt
+      }));
+
+      const summary = {
+        movements: movements.length,
+        matched: report.matched.length,
+        orphanMovements: report.orphanMovements.length,
+        stuckPayments: report.stuckPayments.length,
+        amountMismatches: report.amountMismatches.length,
+        autoCompleted: report.matched.filter(item => item.autoCompleted).length,
+        statement: statement.summary
+      };
+      report.summary = summary;
+      report.status = 'completed';
+      report.completedAt = new Date();
+      await report.save();
+
+      logger.info('Conciliación STP completada:', {
+        reconciliationId: report.reconciliationId,
+        ...summary
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Error en conciliación STP:', error);
+      report.status = 'failed';
+      report.error = {
+        message: error.message,
+        detail: error.code
+      };
+      report.completedAt = new Date();
+      await report.save();
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,249 @@
+const Payment = require('../models/Payment');
+const reportsConfig = require('../config/reports');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Pagos cobrados; los reembolsos se descuentan del neto
+const COLLECTED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Pagos con resultado final del proveedor
+const SETTLED_STATUSES = [...COLLECTED_STATUSES, 'failed'];
+
+const DATE_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+/**
+ * Primer registro de `attempts` con el estado dado
+ * @param {string} status - Estado del pago
+ * @returns {Object} Expresión de agregación
+ */
+const firstAttemptAt = (status) => ({
+  $min: {
+    $map: {
+      input: {
+        $filter: {
+          input: '$attempts',
+          cond: { $eq: ['$$this.status', status] }
+        }
+      },
+      in: '$$this.timestamp'
+    }
+  }
+});
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+};
+
+const ratio = (part, total) => (total > 0 ? round(part / total, 4) : 0);
+
+class ReportService {
+  /**
+   * Ingresos brutos y netos por periodo, agrupados siempre por moneda.
+   * Los pagos cuentan en el periodo en que se completaron; sus reembolsos
+   * se descuentan en ese mismo periodo.
+   * @param {Object} options
+   * @param {Date} options.startDate - Inicio del rango
+   * @param {Date} options.endDate - Fin del rango
+   * @param {string} [options.groupBy='day'] - day, week o month
+   * @param {string} [options.by] - Dimensión adicional: type, paymentMethod o currency
+   * @returns {Promise<Object>} { rows, totals }
+   */
+  async getRevenue({ startDate, endDate, groupBy = 'day', by }) {
+    const { timezone } = reportsConfig;
+    const groupId = {
+      period: {
+        $dateToString: {
+          date: '$completedAt',
+          format: DATE_FORMATS[groupBy],
+          timezone
+        }
+      },
+      currency: '$currency'
+    };
+    if (by && by !== 'currency') {
+      groupId[by] = `$${by}`;
+    }
+
+    const groups = await Payment.aggregate([
+      {
+        $match: {
+          status: { $in: COLLECTED_STATUSES },
+          createdAt: {
+            $gte: new Date(startDate.getTime() - reportsConfig.completionWindowDays * DAY),
+            $lte: endDate
+          }
+        }
+      },
+      { $addFields: { completedAt: { $ifNull: [firstAttemptAt('completed'), '$createdAt'] } } },
+      { $match: { completedAt: { $gte: startDate, $lte: endDate } } },
+      {
+        $group: {
+          _id: groupId,
+          payments: { $sum: 1 },
+          gross: { $sum: '$amount' },
+          discounts: { $sum: '$discountAmount' },
+          refunded: { $sum: '$refundedAmount' },
+          refundedPayments: {
+            $sum: { $cond: [{ $gt: ['$refundedAmount', 0] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.currency': 1 } }
+    ]);
+
+    const rows = groups.map(group => ({
+      ...group._id,
+      payments: group.payments,
+      gross: round(group.gross),
+      discounts: round(group.discounts),
+      refunded: round(group.refunded),
+      net: round(group.gross - group.refunded),
+      refundRate: ratio(group.refunded, group.gross),
+      refundedPayments: group.refundedPayments
+    }));
+
+    // Totales por moneda; no se suman montos de monedas distintas
+    const totals = {};
+    rows.forEach(row => {
+      const total = totals[row.currency] || { payments: 0, gross: 0, refunded: 0, refundedPayments: 0 };
+      total.payments += row.payments;
+      total.gross += row.gross;
+      total.refunded += row.refunded;
+      total.refundedPayments += row.refundedPayments;
+      totals[row.currency] = total;
+    });
+    Object.values(totals).forEach(total => {
+      total.gross = round(total.gross);
+      total.refunded = round(total.refunded);
+      total.net = round(total.gross - total.refunded);
+      total.refundRate = ratio(total.refunded, total.gross);
+    });
+
+    return { rows, totals };
+  }
+
+  /**
+   * Tasa de fallos por proveedor y código de error
+   * @param {Object} options
+   * @param {Date} options.startDate - Inicio del rango (fecha de creación)
+   * @param {Date} options.endDate - Fin del rango
+   * @returns {Promise<Object>} { providers, errors }
+   */
+  async getFailures({ startDate, endDate }) {
+    const [result] = await Payment.aggregate([
+      {
+        $match: {
+          status: { $in: SETTLED_STATUSES },
+          createdAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $facet: {
+          providers: [
+            {
+              $group: {
+                _id: '$provider.name',
+                total: { $sum: 1 },
+                failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          errors: [
+            { $match: { status: 'failed' } },
+            {
+              $group: {
+                _id: {
+                  provider: '$provider.name',
+                  errorCode: { $ifNull: ['$error.code', 'UNKNOWN'] }
+                },
+                failed: { $sum: 1 },
+                sampleMessage: { $first: '$error.message' }
+              }
+            },
+            { $sort: { '_id.provider': 1, failed: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = {};
+    const providers = result.providers.map(group => {
+      totals[group._id] = group.total;
+      return {
+        provider: group._id,
+        total: group.total,
+        failed: group.failed,
+        failureRate: ratio(group.failed, group.total)
+      };
+    });
+
+    const errors = result.errors.map(group => ({
+      provider: group._id.provider,
+      errorCode: group._id.errorCode,
+      failed: group.failed,
+      total: totals[group._id.provider],
+      failureRate: ratio(group.failed, totals[group._id.provider]),
+      sampleMessage: group.sampleMessage
+    }));
+
+    return { providers, errors };
+  }
+
+  /**
+   * Tiempo de `pending` a `completed` según los registros de `attempts`.
+   * Los pagos que se crean ya completados (cobros de suscripción) no cuentan.
+   * @param {Object} options
+   * @param {Date} options.startDate - Inicio del rango (fecha de creación)
+   * @param {Date} options.endDate - Fin del rango
+   * @returns {Promise<Array>} Filas por proveedor y método de pago
+   */
+  async getCompletionTime({ startDate, endDate }) {
+    const groups = await Payment.aggregate([
+      {
+        $match: {
+          status: { $in: COLLECTED_STATUSES },
+          createdAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $addFields: {
+          pendingAt: firstAttemptAt('pending'),
+          completedAt: firstAttemptAt('completed')
+        }
+      },
+      { $match: { pendingAt: { $ne: null }, completedAt: { $ne: null } } },
+      {
+        $addFields: {
+          seconds: { $divide: [{ $subtract: ['$completedAt', '$pendingAt'] }, 1000] }
+        }
+      },
+      {
+        $group: {
+          _id: { provider: '$provider.name', paymentMethod: '$paymentMethod' },
+          payments: { $sum: 1 },
+          avgSeconds: { $avg: '$seconds' },
+          minSeconds: { $min: '$seconds' },
+          maxSeconds: { $max: '$seconds' }
+        }
+      },
+      { $sort: { '_id.provider': 1, '_id.paymentMethod': 1 } }
+    ]);
+
+    return groups.map(group => ({
+      provider: group._id.provider,
+      paymentMethod: group._id.paymentMethod,
+      payments: group.payments,
+      avgSeconds: round(group.avgSeconds, 1),
+      minSeconds: round(group.minSeconds, 1),
+      maxSeconds: round(group.maxSeconds, 1)
+    }));
+  }
+}
+
+module.exports = new ReportService();
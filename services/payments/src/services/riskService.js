@@ -0,0 +1,250 @@
+const Payment = require('../models/Payment');
+const RiskRule = require('../models/RiskRule');
+const stripeService = require('./stripeService');
+const riskConfig = require('../config/risk');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const MINUTE = 60 * 1000;
+
+// Orden de severidad de las decisiones
+const DECISIONS = ['allow', 'challenge', 'block'];
+
+const stricter = (a, b) => (DECISIONS.indexOf(b) > DECISIONS.indexOf(a) ? b : a);
+
+/**
+ * Contar intentos de pago recientes
+ * @param {Object} filter - Filtro adicional
+ * @param {number} windowMinutes - Ventana en minutos
+ * @returns {Promise<number>}
+ */
+const countRecent = (filter, windowMinutes) => Payment.countDocuments({
+  ...filter,
+  createdAt: { $gte: new Date(Date.now() - windowMinutes * MINUTE) }
+});
+
+/**
+ * Regla de velocidad: intentos en la ventana por un mismo valor
+ * @param {string} field - Campo del pago
+ * @param {string} label - Nombre del valor para el detalle
+ * @returns {Function}
+ */
+const velocity = (field, label) => async (context, { windowMinutes = 10, maxAttempts = 5 }) => {
+  const value = context.fields[field];
+  if (!value) {
+    return null;
+  }
+
+  const count = await countRecent({ [field]: value }, windowMinutes);
+  return count >= maxAttempts
+    ? `${count} intentos por ${label} en ${windowMinutes} min`
+    : null;
+};
+
+/**
+ * Evaluaciones por señal. Cada una devuelve el detalle si la regla se cumple
+ * o null si no.
+ */
+const SIGNALS = {
+  velocity_user: velocity('userId', 'usuario'),
+  velocity_ip: velocity('risk.ip', 'IP'),
+  velocity_email: velocity('billingDetails.email', 'email'),
+  velocity_card: velocity('risk.cardFingerprint', 'tarjeta'),
+
+  billing_country_mismatch: async (context) => {
+    const { billingCountry, cardCountry } = context;
+    if (!billingCountry || !cardCountry || billingCountry === cardCountry) {
+      return null;
+    }
+    return `Tarjeta de ${cardCountry} con dirección de facturación en ${billingCountry}`;
+  },
+
+  repeated_failures: async (context, { windowMinutes = 60, maxFailures = 3 }) => {
+    const identities = ['userId', 'risk.cardFingerprint']
+      .filter(field => context.fields[field])
+      .map(field => ({ [field]: context.fields[field] }));
+
+    const count = await countRecent({ $or: identities, status: 'failed' }, windowMinutes);
+    return count >= maxFailures
+      ? `${count} pagos fallidos en ${windowMinutes} min`
+      : null;
+  },
+
+  amount_anomaly: async (context, { multiplier = 5, minHistory = 3, firstPaymentMax }) => {
+    const [history] = await Payment.aggregate([
+      { $match: { userId: context.userId, status: 'completed', currency: context.currency } },
+      { $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$amount' } } }
+    ]);
+
+    if (!history || history.count < minHistory) {
+      return firstPaymentMax && context.amount > firstPaymentMax
+        ? `Monto ${context.amount} sin historial suficiente (máximo ${firstPaymentMax})`
+        : null;
+    }
+
+    return context.amount > history.average * multiplier
+      ? `Monto ${context.amount} mayor a ${multiplier} veces el promedio (${history.average.toFixed(2)})`
+      : null;
+  },
+
+  confirmed_fraud: async (context) => {
+    const identities = ['risk.cardFingerprint', 'billingDetails.email', 'userId']
+      .filter(field => context.fields[field])
+      .map(field => ({ [field]: context.fields[field] }));
+
+    const fraud = await Payment.findOne({ $or: identities, 'risk.review.status': 'fraud' })
+      .select('paymentId');
+    return fraud ? `Relacionado con el pago fraudulento ${fraud.paymentId}` : null;
+  }
+};
+
+class RiskService {
+  /**
+   * Evaluar un intento de pago antes de crearlo
+   * @param {Object} attempt
+   * @param {string} attempt.userId - Usuario que paga
+   * @param {string} attempt.ip - IP de la petición
+   * @param {number} attempt.amount - Monto a cobrar
+   * @param {string} attempt.currency - Moneda
+   * @param {string} attempt.paymentMethod - Método de pago
+   * @param {Object} attempt.billingDetails - Datos de facturación
+   * @param {string} [attempt.paymentMethodId] - Método de pago de Stripe (pm_...) para tarjeta
+   * @returns {Promise<Object>} Datos para `payment.risk`
+   */
+  async assess({ userId, ip, amount, currency, paymentMethod, billingDetails, paymentMethodId }) {
+    const card = await this._cardDetails(paymentMethod, paymentMethodId);
+    const risk = {
+      score: 0,
+      decision: 'allow',
+      reasons: [],
+      ip,
+      cardFingerprint: card.fingerprint,
+      cardCountry: card.country,
+      evaluatedAt: new Date()
+    };
+
+    if (!riskConfig.enabled) {
+      return risk;
+    }
+
+    const context = {
+      userId,
+      amount,
+      currency,
+      // Sin dirección no hay país que comparar; la señal no aplica
+      billingCountry: billingDetails?.address?.country?.toUpperCase(),
+      cardCountry: card.country,
+      fields: {
+        userId,
+        'risk.ip': ip,
+        'billingDetails.email': billingDetails?.email,
+        'risk.cardFingerprint': card.fingerprint
+      }
+    };
+
+    const rules = await this.listRules({ enabled: true });
+    for (const rule of rules) {
+      if (rule.paymentMethods.length > 0 && !rule.paymentMethods.includes(paymentMethod)) {
+        continue;
+      }
+
+      let detail;
+      try {
+        detail = await SIGNALS[rule.signal](context, rule.params || {});
+      } catch (error) {
+        // Una regla que falla no debe impedir cobrar
+        logger.error(`Error evaluando la regla de riesgo ${rule.name}:`, error);
+        continue;
+      }
+
+      if (detail) {
+        risk.score += rule.score;
+        risk.reasons.push({ rule: rule.name, signal: rule.signal, score: rule.score, detail });
+        if (rule.action) {
+          risk.decision = stricter(risk.decision, rule.action);
+        }
+      }
+    }
+
+    if (risk.score >= riskConfig.blockScore) {
+      risk.decision = 'block';
+    } else if (risk.score >= riskConfig.challengeScore) {
+      risk.decision = stricter(risk.decision, 'challenge');
+    }
+
+    if (risk.decision !== 'allow') {
+      risk.review = { status: 'pending' };
+      logger.warn('Intento de pago con riesgo:', {
+        userId,
+        ip,
+        score: risk.score,
+        decision: risk.decision,
+        rules: risk.reasons.map(reason => reason.rule)
+      });
+    }
+
+    return risk;
+  }
+
+  /**
+   * Listar reglas; si la colección está vacía se crean las de `defaultRules`
+   * @param {Object} [filter] - Filtro
+   * @returns {Promise<Array>}
+   */
+  async listRules(filter = {}) {
+    if (await RiskRule.estimatedDocumentCount() === 0) {
+      try {
+        await RiskRule.insertMany(riskConfig.defaultRules, { ordered: false });
+      } catch (error) {
+        // Otra instancia pudo haberlas creado al mismo tiempo
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    return RiskRule.find(filter).sort({ name: 1 });
+  }
+
+  /**
+   * Registrar la revisión de un pago evaluado
+   * @param {string} paymentId - ID del pago
+   * @param {Object} review - { status, note, reviewedBy }
+   * @returns {Promise<Object>} Pago actualizado
+   */
+  async review(paymentId, { status, note, reviewedBy }) {
+    const payment = await Payment.findOneAndUpdate(
+      { paymentId, 'risk.decision': { $exists: true } },
+      {
+        'risk.review': { status, note, reviewedBy, reviewedAt: new Date() }
+      },
+      { new: true }
+    ).select('+risk');
+
+    if (!payment) {
+      throw ApiError.notFoundError('Pago evaluado no encontrado');
+    }
+
+    return payment;
+  }
+
+  /**
+   * Huella y país de la tarjeta; sin ellos las reglas de tarjeta no aplican
+   * @private
+   */
+  async _cardDetails(paymentMethod, paymentMethodId) {
+    if (paymentMethod !== 'card' || !paymentMethodId) {
+      return {};
+    }
+
+    try {
+      const { card } = await stripeService.retrievePaymentMethod(paymentMethodId);
+      return { fingerprint: card?.fingerprint, country: card?.country };
+    } catch (error) {
+      logger.warn(`No se pudo consultar el método de pago ${paymentMethodId}:`, error);
+      return {};
+    }
+  }
+}
+
+module.exports = new RiskService();
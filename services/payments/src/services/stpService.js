@@ -4,6 +4,27 @@ const fs = require('fs');
 const logger = require('../config/logger');
 const ApiError = require('../utils/ApiError');
 const stpConfig = require('../config/stp');
+const { validateBeneficiaryAccount } = require('../utils/beneficiaryAccount');
+
+/**
+ * Validar localmente la cuenta beneficiaria antes de enviarla a STP
+ * @param {string} account - CLABE, tarjeta o celular
+ * @param {string} [bankCode] - Clave del banco
+ * @returns {Object} Resultado de validateBeneficiaryAccount
+ */
+const assertBeneficiaryAccount = (account, bankCode) => {
+  const result = validateBeneficiaryAccount(account, { bankCode });
+
+  if (!result.isValid) {
+    throw new ApiError(
+      `Cuenta beneficiaria inválida: ${result.errors.join('; ')}`,
+      400,
+      'INVALID_BENEFICIARY_ACCOUNT'
+    );
+  }
+
+  return result;
+};
 
 class STPService {
   constructor() {
@@ -54,9 +75,11 @@ class STPService {
   }
 
   /**
-   * Crear orden de pago SPEI
+   * Crear orden de pago SPEI. Si no se indica `trackingKey` se genera una
+   * claveRastreo aleatoria.
    */
   async createPaymentOrder({
+    trackingKey = crypto.randomBytes(16).toString('hex'),
     concept,
     amount,
     beneficiaryName,
@@ -64,17 +87,19 @@ class STPService {
     beneficiaryBank,
     reference
   }) {
+    const account = assertBeneficiaryAccount(beneficiaryAccount, beneficiaryBank && beneficiaryBank.code);
+
     try {
       const data = {
         institucionOperante: this.config.institution,
-        claveRastreo: crypto.randomBytes(16).toString('hex'),
+        claveRastreo: trackingKey,
         conceptoPago: concept,
         monto: amount.toFixed(2),
         nombreBeneficiario: beneficiaryName,
-        cuentaBeneficiario: beneficiaryAccount,
-        institucionContraparte: beneficiaryBank.code,
+        cuentaBeneficiario: account.account,
+        institucionContraparte: account.bank.code,
         referenciaNumerica: reference,
-        tipoCuentaBeneficiario: '40', // CLABE
+        tipoCuentaBeneficiario: account.accountType,
         tipoPago: 1 // Normal
       };
 
@@ -103,14 +128,91 @@ class STPService {
     }
   }
 
+  /**
+   * Crear una devolución SPEI de un pago previo
+   * @param {Object} refundData - Datos de la devolución
+   * @param {string} refundData.originalTrackingKey - claveRastreo del pago original
+   * @param {number} refundData.amount - Monto a devolver
+   * @param {string} refundData.reason - Motivo de la devolución
+   * @param {string} refundData.beneficiaryAccount - CLABE a la que se devuelve
+   * @param {string} refundData.beneficiaryName - Titular de la cuenta
+   * @returns {Promise<Object>} Devolución registrada en STP
+   */
+  async createRefund({
+    originalTrackingKey,
+    amount,
+    reason,
+    beneficiaryAccount,
+    beneficiaryName
+  }) {
+    const account = assertBeneficiaryAccount(beneficiaryAccount);
+
+    try {
+      const data = {
+        empresa: this.config.institution,
+        institucionOperante: this.config.institution,
+        claveRastreo: crypto.randomBytes(16).toString('hex'),
+        claveRastreoDevolucion: originalTrackingKey,
+        conceptoPago: reason,
+        monto: amount.toFixed(2),
+        nombreBeneficiario: beneficiaryName,
+        cuentaBeneficiario: account.account,
+        tipoCuentaBeneficiario: account.accountType,
+        medioEntrega: stpConfig.constants.deliveryMethods.SPEI
+      };
+
+      const signature = this.signRequest(data);
+      const response = await this.axios.post('/devolucion', data, {
+        headers: {
+          'X-Signature': signature
+        }
+      });
+
+      if (response.data.resultado.id === 0) {
+        throw new ApiError(response.data.resultado.descripcion, 400);
+      }
+
+      logger.info('Devolución STP registrada:', {
+        originalTrackingKey,
+        trackingKey: data.claveRastreo,
+        amount
+      });
+
+      return {
+        refundId: response.data.resultado.id,
+        trackingKey: data.claveRastreo,
+        originalTrackingKey,
+        status: 'pending'
+      };
+    } catch (error) {
+      logger.error('Error creando devolución STP:', error);
+      throw new ApiError(
+        'Error al procesar la devolución con STP',
+        error.response?.status || 500
+      );
+    }
+  }
+
   /**
    * Validar cuenta beneficiaria
    */
   async validateBeneficiaryAccount(accountNumber, bankCode) {
+    // Las cuentas mal formadas no se consultan en STP
+    const local = validateBeneficiaryAccount(accountNumber, { bankCode });
+    if (!local.isValid) {
+      return {
+        isValid: false,
+        details: local.errors.join('; '),
+        accountType: local.type,
+        bank: local.bank
+      };
+    }
+
     try {
       const data = {
-        cuenta: accountNumber,
-        institucionContraparte: bankCode,
+        cuenta: local.account,
+        institucionContraparte: local.bank.code,
+        tipoCuenta: local.accountType,
         empresa: this.config.institution
       };
 
@@ -123,7 +225,9 @@ class STPService {
 
       return {
         isValid: response.data.resultado.id === 1,
-        details: response.data.resultado.descripcion
+        details: response.data.resultado.descripcion,
+        accountType: local.type,
+        bank: local.bank
       };
     } catch (error) {
       logger.error('Error validando cuenta STP:', error);
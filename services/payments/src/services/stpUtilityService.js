@@ -48,12 +48,16 @@ class STPUtilityService {
   }
 
   /**
-   * Validar referencia de servicio
+   * Validar referencia de servicio y consultar el saldo adeudado
+   * @param {string} serviceType - Código del emisor
+   * @param {string} reference - Referencia del recibo
+   * @param {string} [agreementCode] - Convenio del emisor
    */
-  async validateServiceReference(serviceType, reference) {
+  async validateServiceReference(serviceType, reference, agreementCode) {
     try {
       const data = {
         tipoServicio: serviceType,
+        codigoConvenio: agreementCode,
         referencia: reference
       };
 
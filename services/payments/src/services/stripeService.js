@@ -1,5 +1,6 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const logger = require('../config/logger');
+const oxxoConfig = require('../config/oxxo');
 const ApiError = require('../utils/ApiError');
 
 class StripeService {
@@ -21,7 +22,8 @@ class StripeService {
         description,
         metadata = {},
         customer = null,
-        billingDetails
+        billingDetails,
+        requestThreeDSecure = false
       } = paymentData;
 
       // Convertir el monto a centavos para Stripe
@@ -45,12 +47,30 @@ class StripeService {
       }
 
       // Configurar opciones específicas según el método de pago
+      if (paymentMethod === 'card' && requestThreeDSecure) {
+        // El motor de riesgo exige autenticar al tarjetahabiente
+        paymentIntentData.payment_method_options = {
+          card: {
+            request_three_d_secure: 'any'
+          }
+        };
+      }
+
       if (paymentMethod === 'oxxo') {
         paymentIntentData.payment_method_options = {
           oxxo: {
-            expires_after_days: 2
+            expires_after_days: oxxoConfig.expiresAfterDays
+          }
+        };
+        // Confirmar en el servidor para generar la ficha de inmediato
+        paymentIntentData.payment_method_data = {
+          type: 'oxxo',
+          billing_details: {
+            name: billingDetails.name,
+            email: billingDetails.email
           }
         };
+        paymentIntentData.confirm = true;
       }
 
       const paymentIntent = await this.stripe.paymentIntents.create(paymentIntentData);
@@ -86,6 +106,54 @@ class StripeService {
     }
   }
 
+  /**
+   * Consultar un método de pago
+   * @param {string} paymentMethodId - ID del método de pago (pm_...)
+   * @returns {Promise<Object>} Método de pago
+   */
+  async retrievePaymentMethod(paymentMethodId) {
+    try {
+      return await this.stripe.paymentMethods.retrieve(paymentMethodId);
+    } catch (error) {
+      logger.error('Error retrieving payment method:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
+  /**
+   * Consultar una intención de pago
+   * @param {string} paymentIntentId - ID de la intención de pago
+   * @returns {Promise<Object>} Intención de pago
+   */
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      return await this.stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+      logger.error('Error retrieving payment intent:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
+  /**
+   * Cancelar una intención de pago
+   * @param {string} paymentIntentId - ID de la intención de pago
+   * @param {string} [reason] - Motivo de cancelación de Stripe
+   * @returns {Promise<Object>} Intención de pago cancelada
+   */
+  async cancelPaymentIntent(paymentIntentId, reason = 'abandoned') {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.cancel(paymentIntentId, {
+        cancellation_reason: reason
+      });
+
+      logger.info(`Payment intent cancelled: ${paymentIntent.id}`);
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Error cancelling payment intent:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
   /**
    * Procesar un reembolso
    * @param {string} paymentIntentId - ID de la intención de pago
@@ -150,6 +218,136 @@ class StripeService {
     }
   }
 
+  /**
+   * Crear el producto y precio recurrente de un plan de suscripción
+   * @param {Object} plan - Plan de suscripción
+   * @returns {Promise<Object>} IDs del producto y precio en Stripe
+   */
+  async createPlanPrice(plan) {
+    try {
+      const product = await this.stripe.products.create({
+        name: plan.name,
+        description: plan.description,
+        metadata: { planId: plan.planId }
+      });
+
+      const price = await this.stripe.prices.create({
+        product: product.id,
+        unit_amount: Math.round(plan.amount * 100),
+        currency: plan.currency.toLowerCase(),
+        recurring: {
+          interval: plan.interval,
+          interval_count: plan.intervalCount
+        },
+        metadata: { planId: plan.planId }
+      });
+
+      logger.info(`Plan price created: ${price.id}`);
+      return {
+        productId: product.id,
+        priceId: price.id
+      };
+    } catch (error) {
+      logger.error('Error creating plan price:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
+  /**
+   * Crear una suscripción. El primer cobro queda pendiente de confirmar
+   * en el cliente con el client_secret devuelto.
+   * @param {Object} subscriptionData - Datos de la suscripción
+   * @returns {Promise<Object>} Suscripción con latest_invoice.payment_intent
+   */
+  async createSubscription(subscriptionData) {
+    try {
+      const {
+        customerId,
+        priceId,
+        paymentMethodId,
+        trialDays = 0,
+        metadata = {}
+      } = subscriptionData;
+
+      await this.stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+
+      const subscription = await this.stripe.subscriptions.create({
+        customer: customerId,
+        items: [{ price: priceId }],
+        default_payment_method: paymentMethodId,
+        payment_behavior: 'default_incomplete',
+        trial_period_days: trialDays || undefined,
+        expand: ['latest_invoice.payment_intent'],
+        metadata
+      });
+
+      logger.info(`Subscription created: ${subscription.id}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Error creating subscription:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
+  /**
+   * Cancelar una suscripción
+   * @param {string} subscriptionId - ID de la suscripción en Stripe
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.atPeriodEnd=true] - Cancelar al final del periodo
+   * @returns {Promise<Object>} Suscripción actualizada
+   */
+  async cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    try {
+      const subscription = atPeriodEnd
+        ? await this.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+        : await this.stripe.subscriptions.cancel(subscriptionId);
+
+      logger.info(`Subscription cancelled: ${subscription.id}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Error cancelling subscription:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
+  /**
+   * Pausar el cobro de una suscripción; las facturas del periodo se anulan
+   * @param {string} subscriptionId - ID de la suscripción en Stripe
+   * @returns {Promise<Object>} Suscripción actualizada
+   */
+  async pauseSubscription(subscriptionId) {
+    try {
+      const subscription = await this.stripe.subscriptions.update(subscriptionId, {
+        pause_collection: { behavior: 'void' }
+      });
+
+      logger.info(`Subscription paused: ${subscription.id}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Error pausing subscription:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
+  /**
+   * Reanudar el cobro de una suscripción pausada
+   * @param {string} subscriptionId - ID de la suscripción en Stripe
+   * @returns {Promise<Object>} Suscripción actualizada
+   */
+  async resumeSubscription(subscriptionId) {
+    try {
+      const subscription = await this.stripe.subscriptions.update(subscriptionId, {
+        pause_collection: ''
+      });
+
+      logger.info(`Subscription resumed: ${subscription.id}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Error resuming subscription:', error);
+      throw this._handleStripeError(error);
+    }
+  }
+
   /**
    * Verificar la firma de un webhook
    * @param {string} payload - Payload del webhook
@@ -0,0 +1,345 @@
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const stripeService = require('./stripeService');
+const subscriptionsConfig = require('../config/subscriptions');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+// Estados de suscripción de Stripe; los no listados no modifican el estado local
+const STRIPE_SUBSCRIPTION_STATUS = {
+  trialing: 'trialing',
+  active: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  incomplete_expired: 'expired'
+};
+
+// Una suscripción en estos estados impide contratar otra del mismo plan
+const OPEN_STATUSES = ['incomplete', 'trialing', 'active', 'past_due', 'paused'];
+
+const fromUnix = (timestamp) => (timestamp ? new Date(timestamp * 1000) : undefined);
+
+class SubscriptionService {
+  /**
+   * Crear un plan de suscripción y su precio recurrente en Stripe
+   * @param {Object} planData - Datos del plan
+   * @returns {Promise<Object>} Plan creado
+   */
+  async createPlan(planData) {
+    if (await SubscriptionPlan.exists({ planId: planData.planId })) {
+      throw ApiError.conflictError('Ya existe un plan con ese ID');
+    }
+
+    const plan = new SubscriptionPlan(planData);
+    plan.provider = await stripeService.createPlanPrice(plan);
+    await plan.save();
+
+    logger.info(`Plan de suscripción creado: ${plan.planId}`);
+    return plan;
+  }
+
+  /**
+   * Obtener el cliente de Stripe del usuario, creándolo si no existe
+   * @private
+   * @param {string} userId - ID del usuario
+   * @param {Object} billingDetails - Datos de facturación
+   * @returns {Promise<string>} ID del cliente en Stripe
+   */
+  async _getCustomerId(userId, billingDetails) {
+    const previous = await Subscription.findOne({
+      userId,
+      'provider.customerId': { $exists: true }
+    }).sort({ createdAt: -1 });
+
+    const customer = await stripeService.createOrUpdateCustomer({
+      email: billingDetails.email,
+      name: billingDetails.name,
+      phone: billingDetails.phone,
+      metadata: { userId },
+      stripeCustomerId: previous ? previous.provider.customerId : undefined
+    });
+
+    return customer.id;
+  }
+
+  /**
+   * Contratar un plan
+   * @param {string} userId - ID del usuario
+   * @param {Object} data - Plan, método de pago y datos de facturación
+   * @returns {Promise<Object>} Suscripción y client_secret del primer cobro
+   */
+  async subscribe(userId, { planId, paymentMethodId, billingDetails }) {
+    const plan = await SubscriptionPlan.findActiveByPlanId(planId);
+    if (!plan) {
+      throw ApiError.notFoundError('Plan no encontrado');
+    }
+
+    const existing = await Subscription.findOne({
+      userId,
+      planId,
+      status: { $in: OPEN_STATUSES }
+    });
+    if (existing) {
+      throw ApiError.conflictError('Ya tienes una suscripción activa a este plan');
+    }
+
+    const customerId = await this._getCustomerId(userId, billingDetails);
+    const subscription = new Subscription({
+      userId,
+      planId,
+      amount: plan.amount,
+      currency: plan.currency,
+      billingDetails,
+      provider: { customerId }
+    });
+
+    const stripeSubscription = await stripeService.createSubscription({
+      customerId,
+      priceId: plan.provider.priceId,
+      paymentMethodId,
+      trialDays: plan.trialDays,
+      metadata: {
+        userId,
+        planId,
+        subscriptionId: subscription.subscriptionId
+      }
+    });
+
+    subscription.provider.subscriptionId = stripeSubscription.id;
+    subscription.status = STRIPE_SUBSCRIPTION_STATUS[stripeSubscription.status] || 'incomplete';
+    subscription.currentPeriodStart = fromUnix(stripeSubscription.current_period_start);
+    subscription.currentPeriodEnd = fromUnix(stripeSubscription.current_period_end);
+    await subscription.save();
+
+    const paymentIntent = stripeSubscription.latest_invoice?.payment_intent;
+
+    logger.info('Suscripción creada:', {
+      subscriptionId: subscription.subscriptionId,
+      userId,
+      planId
+    });
+
+    return {
+      subscription,
+      clientSecret: paymentIntent ? paymentIntent.client_secret : null
+    };
+  }
+
+  /**
+   * Obtener una suscripción del usuario
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Suscripción
+   */
+  async getUserSubscription(subscriptionId, user) {
+    const subscription = await Subscription.findBySubscriptionId(subscriptionId);
+
+    if (!subscription || (subscription.userId !== user.id && user.role !== 'admin')) {
+      throw ApiError.notFoundError('Suscripción no encontrada');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Pausar el cobro de una suscripción activa
+   * @param {Object} subscription - Suscripción
+   * @returns {Promise<Object>} Suscripción actualizada
+   */
+  async pause(subscription) {
+    if (subscription.status !== 'active') {
+      throw new ApiError('Solo se pueden pausar suscripciones activas', 409, 'INVALID_SUBSCRIPTION_STATUS');
+    }
+
+    await stripeService.pauseSubscription(subscription.provider.subscriptionId);
+
+    subscription.status = 'paused';
+    subscription.pausedAt = new Date();
+    return subscription.save();
+  }
+
+  /**
+   * Reanudar una suscripción pausada
+   * @param {Object} subscription - Suscripción
+   * @returns {Promise<Object>} Suscripción actualizada
+   */
+  async resume(subscription) {
+    if (subscription.status !== 'paused') {
+      throw new ApiError('La suscripción no está pausada', 409, 'INVALID_SUBSCRIPTION_STATUS');
+    }
+
+    await stripeService.resumeSubscription(subscription.provider.subscriptionId);
+
+    subscription.status = 'active';
+    subscription.pausedAt = undefined;
+    return subscription.save();
+  }
+
+  /**
+   * Cancelar una suscripción
+   * @param {Object} subscription - Suscripción
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.immediately=false] - Cancelar sin esperar al fin del periodo
+   * @param {string} [options.reason] - Motivo de la cancelación
+   * @returns {Promise<Object>} Suscripción actualizada
+   */
+  async cancel(subscription, { immediately = false, reason } = {}) {
+    if (['cancelled', 'expired'].includes(subscription.status)) {
+      throw new ApiError('La suscripción ya fue cancelada', 409, 'INVALID_SUBSCRIPTION_STATUS');
+    }
+
+    // Sin un periodo pagado vigente no hay nada que conservar hasta el final
+    const atPeriodEnd = !immediately && ['active', 'trialing'].includes(subscription.status);
+
+    await stripeService.cancelSubscription(subscription.provider.subscriptionId, { atPeriodEnd });
+
+    subscription.cancellationReason = reason;
+    if (atPeriodEnd) {
+      subscription.cancelAtPeriodEnd = true;
+    } else {
+      subscription.status = 'cancelled';
+      subscription.cancelledAt = new Date();
+    }
+
+    return subscription.save();
+  }
+
+  /**
+   * Procesar un evento de Stripe relacionado con suscripciones
+   * @param {Object} event - Evento verificado de Stripe
+   */
+  async handleStripeEvent(event) {
+    const object = event.data.object;
+    const providerSubscriptionId = event.type.startsWith('invoice.')
+      ? object.subscription
+      : object.id;
+
+    const subscription = await Subscription.findByProviderId(providerSubscriptionId);
+    if (!subscription) {
+      // Puede llegar antes de que se guarde la suscripción; la bandeja de webhooks reintenta
+      throw new ApiError(`Suscripción de Stripe desconocida: ${providerSubscriptionId}`, 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    switch (event.type) {
+      case 'invoice.paid':
+        await this._handleInvoicePaid(subscription, object);
+        break;
+      case 'invoice.payment_failed':
+        // El primer cobro fallido deja la suscripción incompleta; solo las renovaciones entran en gracia
+        if (object.billing_reason !== 'subscription_create') {
+          await subscription.markPaymentFailed(subscriptionsConfig.gracePeriodDays, {
+            code: 'RENEWAL_PAYMENT_FAILED',
+            message: object.last_finalization_error?.message || 'Cobro de renovación rechazado'
+          });
+        }
+        break;
+      case 'customer.subscription.updated': {
+        subscription.cancelAtPeriodEnd = object.cancel_at_period_end;
+        subscription.currentPeriodStart = fromUnix(object.current_period_start);
+        subscription.currentPeriodEnd = fromUnix(object.current_period_end);
+        if (object.status === 'incomplete_expired') {
+          subscription.status = 'expired';
+        }
+        await subscription.save();
+        break;
+      }
+      case 'customer.subscription.deleted':
+        if (subscription.status !== 'expired') {
+          subscription.status = 'cancelled';
+        }
+        subscription.cancelledAt = subscription.cancelledAt || new Date();
+        await subscription.save();
+        break;
+    }
+  }
+
+  /**
+   * Registrar el pago de un periodo y renovar el acceso
+   * @private
+   * @param {Object} subscription - Suscripción
+   * @param {Object} invoice - Factura pagada de Stripe
+   */
+  async _handleInvoicePaid(subscription, invoice) {
+    const period = invoice.lines?.data?.[0]?.period || {};
+
+    if (!['cancelled', 'expired'].includes(subscription.status)) {
+      await subscription.markPaid({
+        periodStart: fromUnix(period.start),
+        periodEnd: fromUnix(period.end)
+      });
+    }
+
+    // Las facturas de periodos de prueba no generan cobro
+    if (!invoice.amount_paid) {
+      return;
+    }
+
+    const alreadyRecorded = await Payment.exists({
+      'provider.name': 'stripe',
+      'provider.paymentId': invoice.payment_intent
+    });
+    if (alreadyRecorded) {
+      return;
+    }
+
+    const payment = await Payment.create({
+      userId: subscription.userId,
+      amount: invoice.amount_paid / 100,
+      currency: invoice.currency.toUpperCase(),
+      paymentMethod: 'card',
+      type: 'subscription',
+      itemId: subscription.planId,
+      subscriptionId: subscription.subscriptionId,
+      billingDetails: subscription.billingDetails,
+      provider: {
+        name: 'stripe',
+        paymentId: invoice.payment_intent,
+        chargeId: invoice.charge
+      },
+      status: 'completed'
+    });
+
+    logger.info('Pago de suscripción registrado:', {
+      subscriptionId: subscription.subscriptionId,
+      paymentId: payment.paymentId,
+      billingReason: invoice.billing_reason
+    });
+  }
+
+  /**
+   * Cancelar las suscripciones cuyo periodo de gracia terminó sin cobro
+   * @returns {Promise<number>} Suscripciones expiradas
+   */
+  async expireOverdueSubscriptions() {
+    const overdue = await Subscription.find({
+      status: 'past_due',
+      gracePeriodEndsAt: { $lte: new Date() }
+    });
+
+    let expired = 0;
+    for (const subscription of overdue) {
+      try {
+        await stripeService.cancelSubscription(subscription.provider.subscriptionId, {
+          atPeriodEnd: false
+        });
+
+        subscription.status = 'expired';
+        subscription.cancelledAt = new Date();
+        subscription.cancellationReason = 'grace_period_expired';
+        await subscription.save();
+        expired += 1;
+      } catch (error) {
+        logger.error(`Error expirando la suscripción ${subscription.subscriptionId}:`, error);
+      }
+    }
+
+    if (expired > 0) {
+      logger.info(`Suscripciones expiradas por falta de pago: ${expired}`);
+    }
+
+    return expired;
+  }
+}
+
+module.exports = new SubscriptionService();
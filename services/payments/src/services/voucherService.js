@@ -0,0 +1,137 @@
+const Payment = require('../models/Payment');
+const emailService = require('./emailService');
+const oxxoConfig = require('../config/oxxo');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { providerRegistry } = require('./providers');
+
+const HOUR = 60 * 60 * 1000;
+
+class VoucherService {
+  /**
+   * Obtener la ficha de un pago en efectivo, consultándola al proveedor
+   * si aún no se había guardado
+   * @param {Object} payment - Pago OXXO
+   * @returns {Promise<Object>} Ficha de pago
+   */
+  async getVoucher(payment) {
+    if (payment.paymentMethod !== 'oxxo') {
+      throw new ApiError('El pago no tiene ficha de pago', 400);
+    }
+
+    if (!['pending', 'processing'].includes(payment.status)) {
+      throw new ApiError('La ficha ya no está vigente', 410, 'VOUCHER_NOT_ACTIVE');
+    }
+
+    if (payment.voucher && payment.voucher.reference) {
+      return payment.voucher;
+    }
+
+    const adapter = providerRegistry.get(payment.provider.name);
+    const voucher = adapter.getVoucher ? await adapter.getVoucher(payment) : undefined;
+    if (!voucher) {
+      throw new ApiError('La ficha aún no está disponible', 404);
+    }
+
+    payment.voucher = voucher;
+    await payment.save();
+
+    return payment.voucher;
+  }
+
+  /**
+   * Enviar recordatorio de las fichas que vencen pronto
+   * @returns {Promise<number>} Recordatorios enviados
+   */
+  async sendExpiryReminders() {
+    const now = Date.now();
+    const payments = await Payment.find({
+      paymentMethod: 'oxxo',
+      status: 'processing',
+      'voucher.expiresAt': {
+        $gt: new Date(now),
+        $lte: new Date(now + oxxoConfig.reminderHoursBeforeExpiry * HOUR)
+      },
+      'voucher.remindedAt': null
+    });
+
+    let sent = 0;
+    for (const payment of payments) {
+      try {
+        await emailService.sendPaymentEmail({
+          to: payment.billingDetails.email,
+          payment,
+          type: 'oxxo_reminder'
+        });
+
+        payment.voucher.remindedAt = new Date();
+        await payment.save();
+        sent += 1;
+      } catch (error) {
+        logger.error(`Error enviando recordatorio OXXO del pago ${payment.paymentId}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Cancelar los pagos cuya ficha venció sin pago
+   * @returns {Promise<number>} Pagos cancelados
+   */
+  async expireVouchers() {
+    const payments = await Payment.find({
+      paymentMethod: 'oxxo',
+      status: { $in: ['pending', 'processing'] },
+      'voucher.expiresAt': { $lte: new Date(Date.now() - oxxoConfig.expiryGraceHours * HOUR) }
+    });
+
+    let expired = 0;
+    for (const payment of payments) {
+      try {
+        const adapter = providerRegistry.get(payment.provider.name);
+        if (adapter.cancel) {
+          await adapter.cancel(payment);
+        }
+      } catch (error) {
+        // La ficha pudo pagarse en el proveedor; se reintenta en la siguiente ejecución
+        logger.warn(`No se pudo cancelar la ficha del pago ${payment.paymentId} en el proveedor:`, error);
+        continue;
+      }
+
+      const applied = await payment.updateStatusIfAllowed('cancelled', {
+        code: 'VOUCHER_EXPIRED',
+        message: 'La ficha OXXO venció sin pago'
+      });
+      if (!applied) {
+        continue;
+      }
+      expired += 1;
+
+      try {
+        await emailService.sendPaymentEmail({
+          to: payment.billingDetails.email,
+          payment,
+          type: 'oxxo_expired'
+        });
+      } catch (error) {
+        logger.error(`Error notificando vencimiento OXXO del pago ${payment.paymentId}:`, error);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Recordatorios y vencimientos de fichas
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async processVouchers() {
+    const reminded = oxxoConfig.remindersEnabled ? await this.sendExpiryReminders() : 0;
+    const expired = await this.expireVouchers();
+
+    return { reminded, expired };
+  }
+}
+
+module.exports = new VoucherService();
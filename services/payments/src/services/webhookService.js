@@ -0,0 +1,241 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const PayoutLine = require('../models/PayoutLine');
+const subscriptionService = require('./subscriptionService');
+const payoutService = require('./payoutService');
+const webhooksConfig = require('../config/webhooks');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { providerRegistry } = require('./providers');
+const retryQueue = require('../utils/retryQueue');
+
+// Estado del evento mientras un proceso lo tiene tomado
+const ACTIVE_STATUS = 'processing';
+
+/**
+ * Buscar el pago al que corresponde un evento normalizado. Si no hay un
+ * cobro con `lookup`, el evento puede ser de un reembolso del pago.
+ * @param {string} providerName - Nombre del proveedor
+ * @param {Object} event - Evento devuelto por parseWebhook
+ * @returns {Promise<Object>} { payment, viaRefund }
+ */
+const findEventPayment = async (providerName, event) => {
+  const payment = await Payment.findOne({
+    'provider.name': providerName,
+    ...event.lookup
+  });
+
+  if (payment || !event.refund) {
+    return { payment, viaRefund: false };
+  }
+
+  const refundedPayment = await Payment.findOne({
+    'provider.name': providerName,
+    'refunds.providerRefundId': event.refund.providerRefundId
+  });
+
+  return { payment: refundedPayment, viaRefund: Boolean(refundedPayment) };
+};
+
+/**
+ * Aplicar un evento normalizado por el adaptador del proveedor
+ * @param {string} providerName - Nombre del proveedor
+ * @param {Object} payload - Cuerpo verificado del evento
+ */
+const applyProviderEvent = async (providerName, payload) => {
+  const adapter = providerRegistry.get(providerName);
+  const event = await adapter.parseWebhook(payload);
+
+  if (!event) {
+    return;
+  }
+
+  if (event.scope === 'subscription') {
+    await subscriptionService.handleStripeEvent(event.data);
+    return;
+  }
+
+  const { payment, viaRefund } = await findEventPayment(providerName, event);
+
+  if (!payment) {
+    // La clave puede corresponder a una dispersión
+    const payoutLine = event.payout && await PayoutLine.findOne({
+      'provider.trackingKey': event.payout.trackingKey
+    });
+
+    if (payoutLine) {
+      await payoutService.applyStpEvent(payoutLine, event.data);
+      return;
+    }
+
+    // El evento puede llegar antes de que el pago se guarde; se reintenta
+    throw new ApiError('Pago no encontrado', 404, 'PAYMENT_NOT_FOUND');
+  }
+
+  await payment.addWebhookEvent(viaRefund ? 'refund.updated' : event.type, event.data);
+
+  if (event.voucher) {
+    payment.voucher = { ...event.voucher, remindedAt: payment.voucher?.remindedAt };
+    await payment.save();
+  }
+
+  // El estado del evento es del cobro; no aplica si llegó por un reembolso
+  if (event.paymentStatus && !viaRefund) {
+    if (event.paymentStatus === 'completed' && event.chargeId && payment.canTransitionTo('completed')) {
+      payment.provider.chargeId = event.chargeId;
+    }
+
+    // Las transiciones inválidas quedan registradas en `attempts` y no se aplican
+    const applied = await payment.updateStatusIfAllowed(event.paymentStatus, event.error);
+
+    if (!applied) {
+      logger.warn('Transición de estado rechazada en webhook:', {
+        provider: providerName,
+        paymentId: payment.paymentId,
+        from: payment.status,
+        to: event.paymentStatus
+      });
+    }
+  }
+
+  if (event.refund) {
+    const refundEntry = payment.findRefundByProviderId(event.refund.providerRefundId);
+    if (refundEntry) {
+      await payment.settleRefund(refundEntry.refundId, {
+        status: event.refund.status,
+        error: event.refund.error
+      });
+    }
+  }
+
+  if (adapter.getReceipt && !viaRefund) {
+    const receipt = await adapter.getReceipt(payment);
+
+    if (receipt) {
+      payment.invoice = {
+        required: true,
+        url: receipt.url,
+        issuedAt: receipt.issuedAt
+      };
+      await payment.save();
+    }
+  }
+};
+
+class WebhookService {
+  /**
+   * Guardar un evento verificado y procesarlo en segundo plano.
+   * Los reenvíos del mismo evento no se vuelven a procesar.
+   * @param {string} provider - Nombre del proveedor
+   * @param {Object} verified - { eventId, type, payload } devuelto por verifyWebhook
+   * @returns {Promise<Object>} { event, duplicate }
+   */
+  async ingest(provider, { eventId, type, payload }) {
+    let event;
+    try {
+      event = await WebhookEvent.create({ provider, eventId, type, payload });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      event = await WebhookEvent.findOne({ provider, eventId });
+      logger.info('Webhook duplicado ignorado:', { provider, eventId, status: event.status });
+      return { event, duplicate: true };
+    }
+
+    // El proveedor recibe la respuesta sin esperar al procesamiento; si el
+    // proceso termina antes, el trabajo process-webhook-events lo retoma
+    setImmediate(() => {
+      this.process(event._id).catch(error => {
+        logger.error(`Error procesando webhook ${provider}/${eventId}:`, error);
+      });
+    });
+
+    return { event, duplicate: false };
+  }
+
+  /**
+   * Procesar un evento si está pendiente o le toca reintento
+   * @param {string} id - _id del evento
+   * @returns {Promise<Object|null>} Evento actualizado, o null si no estaba disponible
+   */
+  async process(id) {
+    const event = await retryQueue.claim(WebhookEvent, id, ACTIVE_STATUS, webhooksConfig);
+    if (!event) {
+      return null;
+    }
+
+    try {
+      await applyProviderEvent(event.provider, event.payload);
+
+      await event.markProcessed();
+    } catch (error) {
+      const nextAttemptAt = retryQueue.nextAttemptAt(event.attempts, webhooksConfig);
+
+      await event.markFailed(error, nextAttemptAt);
+
+      logger.warn('Webhook no procesado:', {
+        provider: event.provider,
+        eventId: event.eventId,
+        attempts: event.attempts,
+        nextAttemptAt,
+        error: error.message
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Procesar los eventos pendientes, con reintento vencido o abandonados
+   * @param {number} [limit=100] - Máximo de eventos por ejecución
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async processDue(limit = 100) {
+    const events = await WebhookEvent.find(retryQueue.dueQuery(ACTIVE_STATUS, webhooksConfig))
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    const summary = { processed: 0, failed: 0 };
+    for (const { _id } of events) {
+      const event = await this.process(_id);
+      if (event) {
+        summary[event.status === 'processed' ? 'processed' : 'failed'] += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Volver a procesar un evento con un nuevo ciclo de reintentos
+   * @param {string} id - _id del evento
+   * @returns {Promise<Object>} Evento actualizado
+   */
+  async replay(id) {
+    const event = await WebhookEvent.findOneAndUpdate(
+      { _id: id, status: { $ne: ACTIVE_STATUS } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+
+    if (!event) {
+      const exists = await WebhookEvent.exists({ _id: id });
+      if (!exists) {
+        throw ApiError.notFoundError('Evento de webhook no encontrado');
+      }
+      throw ApiError.conflictError('El evento se está procesando');
+    }
+
+    logger.info('Reproceso de webhook solicitado:', {
+      provider: event.provider,
+      eventId: event.eventId
+    });
+
+    return this.process(event._id);
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,152 @@
+const {
+  luhnCheck,
+  isValidCardNumber,
+  isValidMobileNumber,
+  detectAccountType,
+  validateBeneficiaryAccount
+} = require('../beneficiaryAccount');
+
+describe('beneficiaryAccount', () => {
+  describe('luhnCheck', () => {
+    it('acepta números con dígito Luhn correcto', () => {
+      expect(luhnCheck('4111111111111111')).toBe(true);
+      expect(luhnCheck('378282246310005')).toBe(true);
+    });
+
+    it('rechaza un dígito incorrecto o caracteres no numéricos', () => {
+      expect(luhnCheck('4111111111111112')).toBe(false);
+      expect(luhnCheck('4111 1111 1111 1111')).toBe(false);
+      expect(luhnCheck('')).toBe(false);
+    });
+  });
+
+  describe('isValidCardNumber', () => {
+    it('acepta tarjetas de 15 y 16 dígitos', () => {
+      expect(isValidCardNumber('4111111111111111')).toBe(true);
+      expect(isValidCardNumber('378282246310005')).toBe(true);
+    });
+
+    it('rechaza otra longitud aunque pase Luhn', () => {
+      expect(isValidCardNumber('4222222222222')).toBe(false);
+    });
+  });
+
+  describe('isValidMobileNumber', () => {
+    it('acepta 10 dígitos que no inician en 0', () => {
+      expect(isValidMobileNumber('5512345678')).toBe(true);
+    });
+
+    it('rechaza otra longitud o un 0 inicial', () => {
+      expect(isValidMobileNumber('0512345678')).toBe(false);
+      expect(isValidMobileNumber('551234567')).toBe(false);
+    });
+  });
+
+  describe('detectAccountType', () => {
+    it.each([
+      ['012180000118359713', 'CLABE'],
+      ['4111111111111111', 'CARD'],
+      ['378282246310005', 'CARD'],
+      ['5512345678', 'MOBILE'],
+      ['12345', null],
+      ['01218000011835971A', null]
+    ])('%s -> %s', (account, type) => {
+      expect(detectAccountType(account)).toBe(type);
+    });
+  });
+
+  describe('validateBeneficiaryAccount', () => {
+    it('valida una CLABE y toma el banco de su prefijo', () => {
+      const result = validateBeneficiaryAccount('012 180 00011835971-3');
+
+      expect(result).toEqual({
+        isValid: true,
+        type: 'CLABE',
+        accountType: '40',
+        account: '012180000118359713',
+        bank: { prefix: '012', code: '40012', name: 'BBVA MEXICO' },
+        errors: []
+      });
+    });
+
+    it('rechaza una CLABE con dígito verificador incorrecto', () => {
+      const result = validateBeneficiaryAccount('012180000118359714');
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Dígito verificador de la CLABE inválido');
+    });
+
+    it('rechaza una CLABE con prefijo de banco inexistente', () => {
+      const result = validateBeneficiaryAccount('032180000118359719');
+
+      expect(result.isValid).toBe(false);
+      expect(result.bank).toBeNull();
+      expect(result.errors).toContain('El prefijo de banco 032 de la CLABE no existe');
+    });
+
+    it('rechaza una CLABE de otro banco que el indicado', () => {
+      const result = validateBeneficiaryAccount('012180000118359713', { bankCode: '40072' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.bank.name).toBe('BBVA MEXICO');
+      expect(result.errors).toContain('La CLABE pertenece a BBVA MEXICO, no a BANORTE');
+    });
+
+    it('acepta la clave STP o el prefijo del mismo banco de la CLABE', () => {
+      expect(validateBeneficiaryAccount('012180000118359713', { bankCode: '40012' }).isValid).toBe(true);
+      expect(validateBeneficiaryAccount('012180000118359713', { bankCode: '012' }).isValid).toBe(true);
+    });
+
+    it('exige el banco en tarjetas y celulares', () => {
+      expect(validateBeneficiaryAccount('4111111111111111').errors)
+        .toEqual(['El banco es requerido para tarjetas y celulares']);
+      expect(validateBeneficiaryAccount('5512345678').errors)
+        .toEqual(['El banco es requerido para tarjetas y celulares']);
+    });
+
+    it('valida una tarjeta con su banco', () => {
+      const result = validateBeneficiaryAccount('4111-1111-1111-1111', { bankCode: '40072' });
+
+      expect(result.isValid).toBe(true);
+      expect(result.type).toBe('CARD');
+      expect(result.accountType).toBe('03');
+      expect(result.account).toBe('4111111111111111');
+      expect(result.bank.name).toBe('BANORTE');
+    });
+
+    it('valida un celular con su banco', () => {
+      const result = validateBeneficiaryAccount('55 1234 5678', { bankCode: '90638' });
+
+      expect(result.isValid).toBe(true);
+      expect(result.type).toBe('MOBILE');
+      expect(result.accountType).toBe('01');
+    });
+
+    it('rechaza una tarjeta o celular inválidos', () => {
+      expect(validateBeneficiaryAccount('4111111111111112', { bankCode: '40072' }).errors)
+        .toEqual(['Número de tarjeta inválido']);
+      expect(validateBeneficiaryAccount('0512345678', { bankCode: '40072' }).errors)
+        .toEqual(['Número celular inválido']);
+    });
+
+    it('rechaza un banco desconocido', () => {
+      const result = validateBeneficiaryAccount('4111111111111111', { bankCode: '99999' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Banco 99999 desconocido');
+    });
+
+    it('rechaza una cuenta de longitud no reconocida', () => {
+      const result = validateBeneficiaryAccount('12345');
+
+      expect(result).toMatchObject({ isValid: false, type: null, accountType: null, bank: null });
+      expect(result.errors).toEqual([
+        'La cuenta debe ser una CLABE (18 dígitos), tarjeta (15 o 16) o celular (10)'
+      ]);
+    });
+
+    it('trata un valor vacío como cuenta no reconocida', () => {
+      expect(validateBeneficiaryAccount(undefined)).toMatchObject({ isValid: false, account: '' });
+    });
+  });
+});
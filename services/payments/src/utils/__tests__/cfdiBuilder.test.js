@@ -0,0 +1,105 @@
+const {
+  buildCfdiXml,
+  computeAmounts,
+  formatCfdiDate,
+  escapeXml
+} = require('../cfdiBuilder');
+
+const baseData = {
+  issuer: {
+    rfc: 'EWE200101AB1',
+    name: 'EQHUMA WEB',
+    taxRegime: '601',
+    postalCode: '06600',
+    certificateNumber: '30001000000400002434'
+  },
+  receiver: {
+    rfc: 'PEGJ800101AB1',
+    name: 'JUAN PEREZ GARCIA',
+    taxRegime: '612',
+    cfdiUse: 'G03',
+    postalCode: '06600'
+  },
+  concepts: [{
+    productCode: '86132000',
+    unitCode: 'E48',
+    description: 'Curso en línea: Finanzas',
+    total: 1160
+  }],
+  series: 'EQH',
+  folio: 1001,
+  currency: 'MXN',
+  paymentForm: '04',
+  taxRate: 0.16,
+  date: new Date('2026-01-15T18:30:00Z')
+};
+
+describe('cfdiBuilder', () => {
+  describe('computeAmounts', () => {
+    it('desglosa el IVA incluido en el total', () => {
+      expect(computeAmounts(1160, 0.16)).toEqual({ subtotal: 1000, tax: 160, total: 1160 });
+    });
+
+    it('redondea a centavos sin perder el total', () => {
+      const { subtotal, tax, total } = computeAmounts(99.99, 0.16);
+
+      expect(subtotal).toBe(86.2);
+      expect(tax).toBe(13.79);
+      expect(Math.round((subtotal + tax) * 100)).toBe(Math.round(total * 100));
+    });
+  });
+
+  describe('formatCfdiDate', () => {
+    it('usa la hora del centro de México sin zona horaria', () => {
+      expect(formatCfdiDate(new Date('2026-01-15T18:30:00Z'))).toBe('2026-01-15T12:30:00');
+    });
+  });
+
+  describe('escapeXml', () => {
+    it('escapa los caracteres reservados', () => {
+      expect(escapeXml('A & B <"c">\'')).toBe('A &amp; B &lt;&quot;c&quot;&gt;&apos;');
+    });
+  });
+
+  describe('buildCfdiXml', () => {
+    it('genera un comprobante de ingreso en MXN sin TipoCambio', () => {
+      const { xml, subtotal, tax, total } = buildCfdiXml(baseData);
+
+      expect({ subtotal, tax, total }).toEqual({ subtotal: 1000, tax: 160, total: 1160 });
+      expect(xml).toContain('Version="4.0"');
+      expect(xml).toContain('Serie="EQH" Folio="1001"');
+      expect(xml).toContain('Fecha="2026-01-15T12:30:00"');
+      expect(xml).toContain('SubTotal="1000.00" Moneda="MXN" Total="1160.00"');
+      expect(xml).toContain('TasaOCuota="0.160000"');
+      expect(xml).toContain('TotalImpuestosTrasladados="160.00"');
+      expect(xml).not.toContain('TipoCambio');
+    });
+
+    it('agrega TipoCambio cuando la moneda no es MXN', () => {
+      const { xml } = buildCfdiXml({ ...baseData, currency: 'USD', exchangeRate: 17.25 });
+
+      expect(xml).toContain('Moneda="USD" TipoCambio="17.25"');
+    });
+
+    it('suma los importes de varios conceptos', () => {
+      const { subtotal, tax, total } = buildCfdiXml({
+        ...baseData,
+        concepts: [
+          { ...baseData.concepts[0], total: 580 },
+          { ...baseData.concepts[0], total: 580 }
+        ]
+      });
+
+      expect({ subtotal, tax, total }).toEqual({ subtotal: 1000, tax: 160, total: 1160 });
+    });
+
+    it('escapa los datos del receptor', () => {
+      const { xml } = buildCfdiXml({
+        ...baseData,
+        receiver: { ...baseData.receiver, name: 'PEREZ & HIJOS' }
+      });
+
+      expect(xml).toContain('Nombre="PEREZ &amp; HIJOS"');
+    });
+  });
+});
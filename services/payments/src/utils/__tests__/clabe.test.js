@@ -0,0 +1,49 @@
+const {
+  computeCheckDigit,
+  isValidClabe,
+  generateClabe
+} = require('../clabe');
+
+describe('clabe', () => {
+  describe('computeCheckDigit', () => {
+    it('calcula el dígito verificador con los factores 3, 7, 1', () => {
+      expect(computeCheckDigit('03218000011835971')).toBe(9);
+    });
+
+    it('rechaza una base que no tiene 17 dígitos', () => {
+      expect(() => computeCheckDigit('1234')).toThrow('17 dígitos');
+      expect(() => computeCheckDigit('0321800001183597A')).toThrow();
+    });
+  });
+
+  describe('isValidClabe', () => {
+    it('acepta una CLABE con dígito verificador correcto', () => {
+      expect(isValidClabe('032180000118359719')).toBe(true);
+    });
+
+    it('rechaza un dígito verificador incorrecto', () => {
+      expect(isValidClabe('032180000118359718')).toBe(false);
+    });
+
+    it('rechaza longitud o tipo inválidos', () => {
+      expect(isValidClabe('03218000011835971')).toBe(false);
+      expect(isValidClabe('0321800001183597190')).toBe(false);
+      expect(isValidClabe(32180000118359719)).toBe(false);
+      expect(isValidClabe(undefined)).toBe(false);
+    });
+  });
+
+  describe('generateClabe', () => {
+    it('completa el consecutivo con ceros y agrega el dígito verificador', () => {
+      const clabe = generateClabe('6461801570', 1);
+
+      expect(clabe).toHaveLength(18);
+      expect(clabe.startsWith('64618015700000001')).toBe(true);
+      expect(isValidClabe(clabe)).toBe(true);
+    });
+
+    it('rechaza un consecutivo que excede la longitud disponible', () => {
+      expect(() => generateClabe('6461801570', 123456789)).toThrow('excede');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { toCsv, parseCsv } = require('../csv');
+
+describe('csv', () => {
+  describe('toCsv', () => {
+    it('escapa comillas, comas y saltos de línea', () => {
+      const csv = toCsv([{ name: 'Pérez, "Juan"', note: 'a\nb' }], ['name', 'note']);
+
+      expect(csv).toBe('name,note\r\n"Pérez, ""Juan""","a\nb"');
+    });
+
+    it('deja vacías las celdas nulas y convierte fechas a ISO', () => {
+      const csv = toCsv([{ a: null, b: new Date('2026-01-01T00:00:00Z') }], ['a', 'b']);
+
+      expect(csv).toBe('a,b\r\n,2026-01-01T00:00:00.000Z');
+    });
+
+    it('neutraliza los textos que empiezan como fórmula', () => {
+      const rows = ['=HYPERLINK("x")', '+1', '-2+3', '@SUM(A1)', '\tdato', '\rdato']
+        .map(value => ({ value }));
+
+      expect(toCsv(rows, ['value']).split('\r\n').slice(1, 5)).toEqual([
+        '"\'=HYPERLINK(""x"")"',
+        '\'+1',
+        '\'-2+3',
+        '\'@SUM(A1)'
+      ]);
+      expect(toCsv([rows[4]], ['value'])).toBe('value\r\n\'\tdato');
+      expect(toCsv([rows[5]], ['value'])).toBe('value\r\n"\'\rdato"');
+    });
+
+    it('conserva los números negativos', () => {
+      expect(toCsv([{ amount: -150.5 }], ['amount'])).toBe('amount\r\n-150.5');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('indexa las filas por el encabezado en minúsculas', () => {
+      const rows = parseCsv('\uFEFFCLABE,Monto\r\n"012180001234567891","1,500.00"\r\n\r\n');
+
+      expect(rows).toEqual([{ clabe: '012180001234567891', monto: '1,500.00' }]);
+    });
+  });
+});
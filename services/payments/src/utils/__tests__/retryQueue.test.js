@@ -0,0 +1,65 @@
+const { dueQuery, claim, retryDelay, nextAttemptAt } = require('../retryQueue');
+
+const options = {
+  maxAttempts: 3,
+  retryBaseSeconds: 30,
+  retryMaxSeconds: 100,
+  lockTimeoutMinutes: 10
+};
+
+describe('retryQueue', () => {
+  const now = new Date('2024-03-01T12:00:00Z').getTime();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('dueQuery', () => {
+    it('incluye pendientes vencidos y documentos tomados hace más del límite', () => {
+      expect(dueQuery('processing', options)).toEqual({
+        $or: [
+          { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: new Date(now) } },
+          { status: 'processing', lockedAt: { $lte: new Date(now - 10 * 60 * 1000) } }
+        ]
+      });
+    });
+  });
+
+  describe('claim', () => {
+    it('toma el documento disponible y cuenta el intento', async () => {
+      const Model = { findOneAndUpdate: jest.fn().mockResolvedValue({ _id: 'a1' }) };
+
+      await expect(claim(Model, 'a1', 'delivering', options)).resolves.toEqual({ _id: 'a1' });
+
+      const [filter, update, queryOptions] = Model.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'a1', ...dueQuery('delivering', options) });
+      expect(update).toEqual({
+        $set: { status: 'delivering', lockedAt: expect.any(Date) },
+        $inc: { attempts: 1 }
+      });
+      expect(queryOptions).toEqual({ new: true });
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('duplica la espera en cada intento hasta el máximo', () => {
+      expect(retryDelay(1, options)).toBe(30000);
+      expect(retryDelay(2, options)).toBe(60000);
+      expect(retryDelay(3, options)).toBe(100000);
+    });
+  });
+
+  describe('nextAttemptAt', () => {
+    it('programa el reintento mientras queden intentos', () => {
+      expect(nextAttemptAt(2, options)).toEqual(new Date(now + 60000));
+    });
+
+    it('devuelve null al agotar los intentos', () => {
+      expect(nextAttemptAt(3, options)).toBeNull();
+    });
+  });
+});
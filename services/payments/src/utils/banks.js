@@ -0,0 +1,112 @@
+/**
+ * Participantes de SPEI indexados por el prefijo de 3 dígitos de la CLABE.
+ * `code` es la clave de 5 dígitos que STP espera en `institucionContraparte`.
+ */
+const BANKS = {
+  '002': { code: '40002', name: 'BANAMEX' },
+  '006': { code: '37006', name: 'BANCOMEXT' },
+  '009': { code: '37009', name: 'BANOBRAS' },
+  '012': { code: '40012', name: 'BBVA MEXICO' },
+  '014': { code: '40014', name: 'SANTANDER' },
+  '019': { code: '37019', name: 'BANJERCITO' },
+  '021': { code: '40021', name: 'HSBC' },
+  '030': { code: '40030', name: 'BAJIO' },
+  '036': { code: '40036', name: 'INBURSA' },
+  '042': { code: '40042', name: 'MIFEL' },
+  '044': { code: '40044', name: 'SCOTIABANK' },
+  '058': { code: '40058', name: 'BANREGIO' },
+  '059': { code: '40059', name: 'INVEX' },
+  '060': { code: '40060', name: 'BANSI' },
+  '062': { code: '40062', name: 'AFIRME' },
+  '072': { code: '40072', name: 'BANORTE' },
+  '106': { code: '40106', name: 'BANK OF AMERICA' },
+  '108': { code: '40108', name: 'MUFG' },
+  '110': { code: '40110', name: 'JP MORGAN' },
+  '112': { code: '40112', name: 'BMONEX' },
+  '113': { code: '40113', name: 'VE POR MAS' },
+  '127': { code: '40127', name: 'AZTECA' },
+  '128': { code: '40128', name: 'AUTOFIN' },
+  '129': { code: '40129', name: 'BARCLAYS' },
+  '130': { code: '40130', name: 'COMPARTAMOS' },
+  '132': { code: '40132', name: 'MULTIVA BANCO' },
+  '133': { code: '40133', name: 'ACTINVER' },
+  '135': { code: '37135', name: 'NAFIN' },
+  '136': { code: '40136', name: 'INTERCAM BANCO' },
+  '137': { code: '40137', name: 'BANCOPPEL' },
+  '138': { code: '40138', name: 'ABC CAPITAL' },
+  '140': { code: '40140', name: 'CONSUBANCO' },
+  '141': { code: '40141', name: 'VOLKSWAGEN' },
+  '143': { code: '40143', name: 'CIBANCO' },
+  '145': { code: '40145', name: 'BBASE' },
+  '147': { code: '40147', name: 'BANKAOOL' },
+  '148': { code: '40148', name: 'PAGATODO' },
+  '150': { code: '40150', name: 'INMOBILIARIO' },
+  '151': { code: '40151', name: 'DONDE' },
+  '152': { code: '40152', name: 'BANCREA' },
+  '154': { code: '40154', name: 'BANCO COVALTO' },
+  '155': { code: '40155', name: 'ICBC' },
+  '156': { code: '40156', name: 'SABADELL' },
+  '157': { code: '40157', name: 'SHINHAN' },
+  '158': { code: '40158', name: 'MIZUHO BANK' },
+  '159': { code: '40159', name: 'BANK OF CHINA' },
+  '160': { code: '40160', name: 'BANCO S3' },
+  '166': { code: '37166', name: 'BANCO DEL BIENESTAR' },
+  '168': { code: '37168', name: 'HIPOTECARIA FEDERAL' },
+  '600': { code: '90600', name: 'MONEXCB' },
+  '601': { code: '90601', name: 'GBM' },
+  '602': { code: '90602', name: 'MASARI' },
+  '605': { code: '90605', name: 'VALUE' },
+  '608': { code: '90608', name: 'VECTOR' },
+  '616': { code: '90616', name: 'FINAMEX' },
+  '617': { code: '90617', name: 'VALMEX' },
+  '620': { code: '90620', name: 'PROFUTURO' },
+  '630': { code: '90630', name: 'CB INTERCAM' },
+  '631': { code: '90631', name: 'CI BOLSA' },
+  '634': { code: '90634', name: 'FINCOMUN' },
+  '638': { code: '90638', name: 'NU MEXICO' },
+  '646': { code: '90646', name: 'STP' },
+  '652': { code: '90652', name: 'CREDICAPITAL' },
+  '653': { code: '90653', name: 'KUSPIT' },
+  '656': { code: '90656', name: 'UNAGRA' },
+  '659': { code: '90659', name: 'ASP INTEGRA OPC' },
+  '670': { code: '90670', name: 'LIBERTAD' },
+  '677': { code: '90677', name: 'CAJA POP MEXICA' },
+  '680': { code: '90680', name: 'CRISTOBAL COLON' },
+  '683': { code: '90683', name: 'CAJA TELEFONIST' },
+  '684': { code: '90684', name: 'TRANSFER' },
+  '685': { code: '90685', name: 'FONDO (FIRA)' },
+  '686': { code: '90686', name: 'INVERCAP' },
+  '689': { code: '90689', name: 'FOMPED' },
+  '699': { code: '90699', name: 'FONDEADORA' },
+  '703': { code: '90703', name: 'TESORED' },
+  '706': { code: '90706', name: 'ARCUS' },
+  '710': { code: '90710', name: 'NVIO' },
+  '722': { code: '90722', name: 'MERCADO PAGO W' },
+  '723': { code: '90723', name: 'CUENCA' },
+  '728': { code: '90728', name: 'SPIN BY OXXO' },
+  '901': { code: '90901', name: 'CLS' },
+  '902': { code: '90902', name: 'INDEVAL' }
+};
+
+/**
+ * Obtener un banco por prefijo de CLABE (3 dígitos) o clave STP (5 dígitos).
+ * De la clave STP sólo cuentan los últimos 3 dígitos.
+ * @param {string} code - Prefijo o clave
+ * @returns {Object|null} { prefix, code, name }
+ */
+const getBank = (code) => {
+  const value = String(code || '');
+  if (!/^\d{3}$|^\d{5}$/.test(value)) {
+    return null;
+  }
+
+  const prefix = value.slice(-3);
+  const bank = BANKS[prefix];
+
+  return bank ? { prefix, ...bank } : null;
+};
+
+module.exports = {
+  BANKS,
+  getBank
+};
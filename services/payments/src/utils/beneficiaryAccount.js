@@ -0,0 +1,128 @@
+/**
+ * Validación local de cuentas beneficiarias de SPEI: CLABE, tarjeta de
+ * débito y número celular. Se usa antes de cualquier llamada a STP.
+ */
+
+const { accountTypes } = require('../config/stp').constants;
+const { isValidClabe } = require('./clabe');
+const { getBank } = require('./banks');
+
+/**
+ * Validar un número con el algoritmo de Luhn
+ * @param {string} number - Dígitos
+ * @returns {boolean}
+ */
+const luhnCheck = (number) => {
+  if (!/^\d+$/.test(number)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Validar un número de tarjeta (15 o 16 dígitos con dígito Luhn)
+ * @param {string} number - Número de tarjeta
+ * @returns {boolean}
+ */
+const isValidCardNumber = (number) => /^\d{15,16}$/.test(number) && luhnCheck(number);
+
+/**
+ * Validar un número celular de 10 dígitos
+ * @param {string} number - Número celular
+ * @returns {boolean}
+ */
+const isValidMobileNumber = (number) => /^[1-9]\d{9}$/.test(number);
+
+/**
+ * Detectar el tipo de cuenta por su longitud
+ * @param {string} account - Cuenta sin espacios
+ * @returns {string|null} CLABE, CARD, MOBILE o null
+ */
+const detectAccountType = (account) => {
+  if (/^\d{18}$/.test(account)) {
+    return 'CLABE';
+  }
+  if (/^\d{15,16}$/.test(account)) {
+    return 'CARD';
+  }
+  if (/^\d{10}$/.test(account)) {
+    return 'MOBILE';
+  }
+  return null;
+};
+
+/**
+ * Validar una cuenta beneficiaria y resolver su banco.
+ * En CLABE el banco sale del prefijo; en tarjeta y celular es obligatorio
+ * indicarlo porque el número no lo identifica.
+ * @param {string} account - CLABE, tarjeta o celular
+ * @param {Object} [options]
+ * @param {string} [options.bankCode] - Clave STP de 5 dígitos o prefijo de 3
+ * @returns {Object} { isValid, type, accountType, account, bank, errors }
+ */
+const validateBeneficiaryAccount = (account, { bankCode } = {}) => {
+  const normalized = String(account || '').replace(/[\s-]/g, '');
+  const type = detectAccountType(normalized);
+  const errors = [];
+  let bank = bankCode ? getBank(bankCode) : null;
+
+  if (bankCode && !bank) {
+    errors.push(`Banco ${bankCode} desconocido`);
+  }
+
+  if (type === 'CLABE') {
+    const clabeBank = getBank(normalized.slice(0, 3));
+
+    if (!isValidClabe(normalized)) {
+      errors.push('Dígito verificador de la CLABE inválido');
+    }
+    if (!clabeBank) {
+      errors.push(`El prefijo de banco ${normalized.slice(0, 3)} de la CLABE no existe`);
+    } else if (bank && bank.prefix !== clabeBank.prefix) {
+      errors.push(`La CLABE pertenece a ${clabeBank.name}, no a ${bank.name}`);
+    }
+    bank = clabeBank;
+  } else if (type === 'CARD' || type === 'MOBILE') {
+    if (type === 'CARD' && !isValidCardNumber(normalized)) {
+      errors.push('Número de tarjeta inválido');
+    }
+    if (type === 'MOBILE' && !isValidMobileNumber(normalized)) {
+      errors.push('Número celular inválido');
+    }
+    if (!bankCode) {
+      errors.push('El banco es requerido para tarjetas y celulares');
+    }
+  } else {
+    errors.push('La cuenta debe ser una CLABE (18 dígitos), tarjeta (15 o 16) o celular (10)');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    type,
+    accountType: type ? accountTypes[type] : null,
+    account: normalized,
+    bank,
+    errors
+  };
+};
+
+module.exports = {
+  luhnCheck,
+  isValidCardNumber,
+  isValidMobileNumber,
+  detectAccountType,
+  validateBeneficiaryAccount
+};
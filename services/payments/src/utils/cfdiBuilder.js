@@ -0,0 +1,168 @@
+/**
+ * Construcción de comprobantes CFDI 4.0 (tipo Ingreso)
+ *
+ * El XML se genera sin sello; el PAC lo sella con el CSD del emisor
+ * y agrega el complemento TimbreFiscalDigital al timbrarlo.
+ */
+
+const CFDI_NAMESPACE = 'http://www.sat.gob.mx/cfd/4';
+const CFDI_SCHEMA_LOCATION = 'http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd';
+const IVA = '002';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const money = (value) => round2(value).toFixed(2);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const attributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+  .join(' ');
+
+/**
+ * Fecha de emisión en hora del centro de México (formato AAAA-MM-DDThh:mm:ss)
+ * @param {Date} date - Fecha a formatear
+ * @returns {string}
+ */
+const formatCfdiDate = (date) => date
+  .toLocaleString('sv-SE', { timeZone: 'America/Mexico_City' })
+  .replace(' ', 'T');
+
+/**
+ * Desglosar un total con IVA incluido
+ * @param {number} total - Monto total cobrado
+ * @param {number} taxRate - Tasa de IVA (p. ej. 0.16)
+ * @returns {{subtotal: number, tax: number, total: number}}
+ */
+const computeAmounts = (total, taxRate) => {
+  const subtotal = round2(total / (1 + taxRate));
+  return {
+    subtotal,
+    tax: round2(total - subtotal),
+    total: round2(total)
+  };
+};
+
+/**
+ * Construir el XML de un CFDI 4.0 de ingreso
+ * @param {Object} data - Datos del comprobante
+ * @param {Object} data.issuer - Emisor (rfc, name, taxRegime, postalCode, certificateNumber)
+ * @param {Object} data.receiver - Receptor (rfc, name, taxRegime, cfdiUse, postalCode)
+ * @param {Array<Object>} data.concepts - Conceptos (productCode, unitCode, description, total)
+ * @param {string} data.series - Serie
+ * @param {number} data.folio - Folio
+ * @param {string} data.currency - Moneda (MXN o USD)
+ * @param {number} [data.exchangeRate] - Tipo de cambio cuando la moneda no es MXN
+ * @param {string} data.paymentForm - Forma de pago del catálogo del SAT
+ * @param {number} data.taxRate - Tasa de IVA
+ * @param {Date} [data.date=new Date()] - Fecha de emisión
+ * @returns {{xml: string, subtotal: number, tax: number, total: number}}
+ */
+const buildCfdiXml = ({
+  issuer,
+  receiver,
+  concepts,
+  series,
+  folio,
+  currency,
+  exchangeRate,
+  paymentForm,
+  taxRate,
+  date = new Date()
+}) => {
+  const rate = taxRate.toFixed(6);
+  const lines = concepts.map(concept => ({
+    ...concept,
+    ...computeAmounts(concept.total, taxRate)
+  }));
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const tax = round2(lines.reduce((sum, line) => sum + line.tax, 0));
+  const total = round2(subtotal + tax);
+
+  const conceptsXml = lines.map(line => `
+    <cfdi:Concepto ${attributes({
+      ClaveProdServ: line.productCode,
+      Cantidad: '1',
+      ClaveUnidad: line.unitCode,
+      Descripcion: line.description,
+      ValorUnitario: money(line.subtotal),
+      Importe: money(line.subtotal),
+      ObjetoImp: '02'
+    })}>
+      <cfdi:Impuestos>
+        <cfdi:Traslados>
+          <cfdi:Traslado ${attributes({
+            Base: money(line.subtotal),
+            Impuesto: IVA,
+            TipoFactor: 'Tasa',
+            TasaOCuota: rate,
+            Importe: money(line.tax)
+          })}/>
+        </cfdi:Traslados>
+      </cfdi:Impuestos>
+    </cfdi:Concepto>`).join('');
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<cfdi:Comprobante ${attributes({
+    'xmlns:cfdi': CFDI_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': CFDI_SCHEMA_LOCATION,
+    Version: '4.0',
+    Serie: series,
+    Folio: folio,
+    Fecha: formatCfdiDate(date),
+    FormaPago: paymentForm,
+    NoCertificado: issuer.certificateNumber,
+    SubTotal: money(subtotal),
+    Moneda: currency,
+    TipoCambio: currency !== 'MXN' ? exchangeRate : undefined,
+    Total: money(total),
+    TipoDeComprobante: 'I',
+    Exportacion: '01',
+    MetodoPago: 'PUE',
+    LugarExpedicion: issuer.postalCode
+  })}>
+  <cfdi:Emisor ${attributes({
+    Rfc: issuer.rfc,
+    Nombre: issuer.name,
+    RegimenFiscal: issuer.taxRegime
+  })}/>
+  <cfdi:Receptor ${attributes({
+    Rfc: receiver.rfc,
+    Nombre: receiver.name,
+    DomicilioFiscalReceptor: receiver.postalCode,
+    RegimenFiscalReceptor: receiver.taxRegime,
+    UsoCFDI: receiver.cfdiUse
+  })}/>
+  <cfdi:Conceptos>${conceptsXml}
+  </cfdi:Conceptos>
+  <cfdi:Impuestos TotalImpuestosTrasladados="${money(tax)}">
+    <cfdi:Traslados>
+      <cfdi:Traslado ${attributes({
+        Base: money(subtotal),
+        Impuesto: IVA,
+        TipoFactor: 'Tasa',
+        TasaOCuota: rate,
+        Importe: money(tax)
+      })}/>
+    </cfdi:Traslados>
+  </cfdi:Impuestos>
+</cfdi:Comprobante>
+`;
+
+  return { xml, subtotal, tax, total };
+};
+
+module.exports = {
+  buildCfdiXml,
+  computeAmounts,
+  formatCfdiDate,
+  escapeXml
+};
@@ -0,0 +1,62 @@
+/**
+ * Utilidades para CLABE (Clave Bancaria Estandarizada)
+ *
+ * Una CLABE tiene 18 dígitos: banco (3), plaza (3), cuenta (11) y un
+ * dígito verificador calculado con los factores 3, 7, 1.
+ */
+
+const CLABE_LENGTH = 18;
+const WEIGHTS = [3, 7, 1];
+
+/**
+ * Calcular el dígito verificador de los primeros 17 dígitos de una CLABE
+ * @param {string} base - 17 dígitos
+ * @returns {number} Dígito verificador
+ */
+const computeCheckDigit = (base) => {
+  if (!/^\d{17}$/.test(base)) {
+    throw new Error('La base de la CLABE debe tener 17 dígitos');
+  }
+
+  const sum = base
+    .split('')
+    .reduce((total, digit, index) => total + (Number(digit) * WEIGHTS[index % 3]) % 10, 0);
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validar formato y dígito verificador de una CLABE
+ * @param {string} clabe - CLABE a validar
+ * @returns {boolean}
+ */
+const isValidClabe = (clabe) => {
+  if (typeof clabe !== 'string' || !new RegExp(`^\\d{${CLABE_LENGTH}}$`).test(clabe)) {
+    return false;
+  }
+  return computeCheckDigit(clabe.slice(0, 17)) === Number(clabe[17]);
+};
+
+/**
+ * Generar una CLABE a partir de un prefijo y un consecutivo
+ * @param {string} prefix - Prefijo de la cuenta (banco, plaza y cuenta concentradora)
+ * @param {number|string} sequence - Consecutivo que completa los 17 dígitos
+ * @returns {string} CLABE de 18 dígitos
+ */
+const generateClabe = (prefix, sequence) => {
+  const sequenceLength = 17 - prefix.length;
+  const base = `${prefix}${String(sequence).padStart(sequenceLength, '0')}`;
+
+  if (base.length !== 17) {
+    throw new Error('El consecutivo excede la longitud disponible de la CLABE');
+  }
+
+  return `${base}${computeCheckDigit(base)}`;
+};
+
+module.exports = {
+  CLABE_LENGTH,
+  computeCheckDigit,
+  isValidClabe,
+  generateClabe
+};
@@ -0,0 +1,97 @@
+// Caracteres con los que Excel y Sheets interpretan una celda como fórmula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escapar un valor para CSV (RFC 4180). Los textos que empiezan como
+ * fórmula se prefijan con `'` para que la hoja de cálculo no los ejecute;
+ * los números negativos se conservan.
+ * @param {*} value - Valor de la celda
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convertir filas a CSV
+ * @param {Array<Object>} rows - Filas
+ * @param {Array<string>} columns - Columnas, en orden
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column])).join(','))
+].join('\r\n');
+
+/**
+ * Leer un CSV (RFC 4180) con encabezado
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Filas indexadas por el encabezado, en minúsculas
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const rows = records.filter(values => values.some(value => value.trim() !== ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  return rows.slice(1).map(values => header.reduce((row, column, index) => {
+    row[column] = (values[index] || '').trim();
+    return row;
+  }, {}));
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
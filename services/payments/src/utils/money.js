@@ -0,0 +1,15 @@
+/**
+ * Utilidades para montos. Los montos se operan en centavos para evitar
+ * errores de punto flotante.
+ */
+
+/**
+ * Convertir un monto a centavos enteros
+ * @param {number} [amount] - Monto en unidades de la moneda
+ * @returns {number} Centavos; 0 si el monto está vacío
+ */
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+module.exports = {
+  toCents
+};
@@ -0,0 +1,77 @@
+/**
+ * Cola de trabajos con reintentos sobre una colección de Mongo: la bandeja de
+ * webhooks y las entregas de eventos de pago. Cada documento tiene `status`,
+ * `attempts`, `nextAttemptAt` y `lockedAt`.
+ *
+ * Las opciones de la cola vienen de su configuración: `maxAttempts`,
+ * `retryBaseSeconds`, `retryMaxSeconds` y `lockTimeoutMinutes`.
+ */
+
+/**
+ * Documentos listos para procesarse: pendientes o fallidos con reintento
+ * vencido, o tomados hace más de `lockTimeoutMinutes` (proceso abandonado)
+ * @param {string} activeStatus - Estado mientras un proceso lo tiene tomado
+ * @param {Object} options - Configuración de la cola
+ * @returns {Object} Filtro de Mongo
+ */
+const dueQuery = (activeStatus, { lockTimeoutMinutes }) => {
+  const now = Date.now();
+
+  return {
+    $or: [
+      { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: new Date(now) } },
+      {
+        status: activeStatus,
+        lockedAt: { $lte: new Date(now - lockTimeoutMinutes * 60 * 1000) }
+      }
+    ]
+  };
+};
+
+/**
+ * Tomar un documento para procesarlo y contar el intento; evita que dos
+ * procesos lo tomen a la vez
+ * @param {Object} Model - Modelo de Mongoose
+ * @param {string} id - _id del documento
+ * @param {string} activeStatus - Estado mientras se procesa
+ * @param {Object} options - Configuración de la cola
+ * @returns {Promise<Object|null>} Documento tomado, o null si no estaba disponible
+ */
+const claim = (Model, id, activeStatus, options) => Model.findOneAndUpdate(
+  { _id: id, ...dueQuery(activeStatus, options) },
+  {
+    $set: { status: activeStatus, lockedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { new: true }
+);
+
+/**
+ * Espera exponencial antes del siguiente intento
+ * @param {number} attempts - Intentos realizados
+ * @param {Object} options - Configuración de la cola
+ * @returns {number} Milisegundos
+ */
+const retryDelay = (attempts, { retryBaseSeconds, retryMaxSeconds }) => {
+  const seconds = retryBaseSeconds * 2 ** (attempts - 1);
+  return Math.min(seconds, retryMaxSeconds) * 1000;
+};
+
+/**
+ * Fecha del siguiente intento tras un fallo
+ * @param {number} attempts - Intentos realizados
+ * @param {Object} options - Configuración de la cola
+ * @returns {Date|null} null si ya se agotaron los intentos
+ */
+const nextAttemptAt = (attempts, options) => (
+  attempts < options.maxAttempts
+    ? new Date(Date.now() + retryDelay(attempts, options))
+    : null
+);
+
+module.exports = {
+  dueQuery,
+  claim,
+  retryDelay,
+  nextAttemptAt
+};
@@ -88,6 +88,12 @@ const webinarSchema = new mongoose.Schema({
     required: [true, 'Un webinar debe tener un precio'],
     default: 0
   },
+  // Los precios se capturan en MXN; el cobro en otras monedas se cotiza en payments
+  currency: {
+    type: String,
+    enum: ['MXN'],
+    default: 'MXN'
+  },
   capacity: {
     type: Number,
     required: [true, 'Un webinar debe tener una capacidad máxima']